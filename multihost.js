@@ -0,0 +1,118 @@
+// ============================================
+// multihost.js - Multihost Command Line
+// ============================================
+// Usage:
+//   node multihost.js new <name> --domain <domain> [--domain <domain>...]
+//                         [--description <text>] [--manifest] [--config <path>]
+//   npm run new -- <name> --domain <domain>
+//
+// new         Scaffolds server/<N>-<name>-server, src/<N>-<name>-src and
+//             public/<N>-<name>-public with a working setup function, HTML
+//             entry and React main.jsx, then appends the validated entry to
+//             servers.config.json (the file the multihost would load).
+// --domain    Repeatable, or comma-separated
+// --manifest  Writes server/<N>-<name>-server/microserver.json instead of
+//             editing servers.config.json (needs "global": { "discovery": true })
+// ============================================
+
+import 'dotenv/config';
+
+import { resolveConfigPath } from './server/server-config.js';
+import { ConfigValidationError } from './server/server-config-validator.js';
+import { scaffoldMicroserver } from './server/server-scaffold.js';
+
+
+/**
+ * Splits arguments into positionals and --flags (repeated flags accumulate)
+ *
+ * @param {Array<string>} args - Arguments after the command
+ * @returns {{ positionals: Array<string>, flags: Object<string, Array<string|boolean>> }}
+ */
+function parseArguments(args) {
+
+    const positionals = [];
+    const flags = {};
+    const booleanFlags = ['manifest'];
+
+    for (let index = 0; index < args.length; index++) {
+
+        const argument = args[index];
+
+        if (!argument.startsWith('--')) {
+            positionals.push(argument);
+            continue;
+        }
+
+        const [flag, inlineValue] = argument.slice(2).split(/=(.*)/s);
+        const value = inlineValue ?? (booleanFlags.includes(flag) ? true : args[++index]);
+
+        (flags[flag] = flags[flag] || []).push(value);
+    }
+
+    return { positionals, flags };
+}
+
+
+function printUsage() {
+
+    console.log('Usage: node multihost.js new <name> --domain <domain> [--domain <domain>...] [--description <text>] [--manifest] [--config <path>]');
+}
+
+
+function runNew(args) {
+
+    const { positionals, flags } = parseArguments(args);
+
+    const domains = (flags.domain || [])
+        .filter(value => typeof value === 'string')
+        .flatMap(value => value.split(','))
+        .map(domain => domain.trim())
+        .filter(Boolean);
+
+    const configPath = resolveConfigPath();
+
+    console.log(`[MULTIHOST] Scaffolding '${positionals[0]}' (${configPath})...`);
+
+    const { serverConfig, files, registeredIn } = scaffoldMicroserver({
+        name: positionals[0],
+        domains,
+        description: flags.description?.at(-1),
+        manifest: !!flags.manifest,
+        configPath
+    });
+
+    files.forEach(file => console.log(`[MULTIHOST]   created ${file}`));
+
+    console.log(`[MULTIHOST] ✅ '${serverConfig.name}' (id ${serverConfig.id}) registered in ${registeredIn} for ${serverConfig.domains.join(', ')}`);
+    console.log(`[MULTIHOST]   Backend: server/${serverConfig.paths.server}/${serverConfig.server.file} → ${serverConfig.server.setupFunction}()`);
+}
+
+
+const [command, ...args] = process.argv.slice(2);
+
+try {
+
+    if (command === 'new') {
+
+        runNew(args);
+
+    } else {
+
+        printUsage();
+        process.exit(command && command !== 'help' ? 1 : 0);
+    }
+
+} catch (error) {
+
+    if (error instanceof ConfigValidationError) {
+
+        console.error(`[MULTIHOST] ❌ The new entry would make the configuration invalid (${error.errors.length} problem(s)):`);
+        error.errors.forEach(problem => console.error(`[MULTIHOST]   ${problem.path}: ${problem.message}`));
+
+    } else {
+
+        console.error(`[MULTIHOST] ❌ ${error.message}`);
+    }
+
+    process.exit(1);
+}
@@ -4,11 +4,24 @@
 import fs from 'fs';
 
 export class DailySmartyAPI {
-    constructor(app, dbPath) {
+    /**
+     * @param {Object} app - Router the routes are added to
+     * @param {Object} source - { collection } posts collection of the submodule's database,
+     *                          or { dbPath } db.json loaded once at startup
+     */
+    constructor(app, { collection, dbPath }) {
         this.app = app;
-        this.posts = this.loadPosts(dbPath);
+        this.collection = collection || null;
+        this.posts = this.collection ? null : this.loadPosts(dbPath);
 
-        console.log('[DAILYSMARTY API] Initialized with', this.posts.length, 'posts');
+        // Posts in the last full listing (the collection may change at runtime)
+        this.postCount = this.posts ? this.posts.length : null;
+
+        if (this.collection) {
+            console.log('[DAILYSMARTY API] Initialized with the posts collection of the database');
+        } else {
+            console.log('[DAILYSMARTY API] Initialized with', this.posts.length, 'posts');
+        }
     }
 
     loadPosts(dbPath) {
@@ -21,15 +34,30 @@ export class DailySmartyAPI {
         }
     }
 
+    async findPosts() {
+        const posts = this.collection ? await this.collection.find().toArray() : this.posts;
+
+        this.postCount = posts.length;
+        return posts;
+    }
+
+    async findPost(id) {
+        if (this.collection) {
+            return this.collection.findOne({ id });
+        }
+
+        return this.posts.find(p => p.id === id);
+    }
+
     setupRoutes() {
         // GET /api/posts - All posts or filtered by title
-        this.app.get('/api/posts', (req, res) => {
+        this.app.get('/api/posts', async (req, res) => {
             const { title_like } = req.query;
 
-            let results = this.posts;
+            let results = await this.findPosts();
 
             if (title_like) {
-                results = this.posts.filter(post =>
+                results = results.filter(post =>
                 post.title.toLowerCase().includes(title_like.toLowerCase())
                 );
             }
@@ -39,8 +67,8 @@ export class DailySmartyAPI {
         });
 
         // GET /api/posts/:id - Single post
-        this.app.get('/api/posts/:id', (req, res) => {
-            const post = this.posts.find(p => p.id === parseInt(req.params.id));
+        this.app.get('/api/posts/:id', async (req, res) => {
+            const post = await this.findPost(parseInt(req.params.id));
 
             if (!post) {
                 return res.status(404).json({ error: 'Post not found' });
@@ -55,7 +83,8 @@ export class DailySmartyAPI {
 
     getStats() {
         return {
-            totalPosts: this.posts.length,
+            source: this.collection ? 'database' : 'db.json',
+            totalPosts: this.postCount,
             endpoints: ['/api/posts', '/api/posts/:id']
         };
     }
@@ -33,7 +33,13 @@ export async function setupWebshell(app, server, options = {}) {
         // Create WebShell instance with forced multi-host mode
         const webshell = new WebShellServer(app, server, {
             ...options,
-            shouldStart: false  // Critical: prevent server.listen()
+            shouldStart: false,  // Critical: prevent server.listen()
+
+            // With features.cors, the multihost answers CORS with server.cors instead
+            ...(options.serverConfig?.server?.features?.cors === true ? { cors: null } : {}),
+
+            // With features.rateLimit, /auth and execute_command are limited by server.rateLimit rules instead
+            ...(options.rateLimit?.enabled() ? { authRateLimit: null, socketRateLimit: null } : {})
         });
 
         console.log('[MULTIHOST-ENTRY] WebShellServer instance created');
@@ -43,6 +49,21 @@ export async function setupWebshell(app, server, options = {}) {
 
         console.log('[MULTIHOST-ENTRY] WebShell initialization complete');
 
+        // Socket.IO event rules of server.rateLimit (execute_command...), checked on each event
+        if (options.rateLimit) {
+            options.rateLimit.attachSocket(webshell.io);
+        }
+
+        // With features.redis and global.redis, broadcasts reach the sockets of other processes too
+        if (options.cache) {
+            await options.cache.attachSocket(webshell.io);
+        }
+
+        // Share the AuthManager (JWT) with the other microservers, e.g. DailySmarty
+        if (options.provide) {
+            options.provide('auth', webshell.auth);
+        }
+
         // DO NOT call webshell.start() - multi-host handles server.listen()
 
         // Return multi-host compatible interface
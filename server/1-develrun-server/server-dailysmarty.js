@@ -4,7 +4,10 @@ import { DailySmartyAPI } from './dailysmarty/DailySmartyAPI.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-export function setupDailySmarty(app, server, options = {}) {
+// Posts can be read by anyone; any other method needs a WebShell JWT
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export async function setupDailySmarty(app, server, options = {}) {
     
     console.log('[DAILYSMARTY] Initializing DailySmarty API submodule...');
     console.log('[DAILYSMARTY] Parent microserver:', options.parentConfig?.name || 'unknown');
@@ -14,7 +17,21 @@ export function setupDailySmarty(app, server, options = {}) {
     const dbPath = path.join(__dirname, 'dailysmarty', 'api', 'db.json');
     console.log('[DAILYSMARTY] DB Path:', dbPath);  // ← DEBUG
     
-    const dailySmartyAPI = new DailySmartyAPI(app, dbPath);
+    // Write routes are protected by the WebShell AuthManager, provided by the parent microserver
+    if (options.consume) {
+
+        const auth = await options.consume('auth');
+        const requireToken = auth.createJWTMiddleware();
+
+        app.use('/api/posts', (req, res, next) => READ_METHODS.includes(req.method) ? next() : requireToken(req, res, next));
+
+        console.log('[DAILYSMARTY] Write routes protected by the WebShell auth service');
+    }
+
+    // With a database block (see DatabaseManager), posts are read from it on every request
+    const dailySmartyAPI = new DailySmartyAPI(app, options.database
+        ? { collection: options.database.collection('posts') }
+        : { dbPath });
     dailySmartyAPI.setupRoutes();
 
     console.log('[DAILYSMARTY] DailySmarty API initialized successfully');
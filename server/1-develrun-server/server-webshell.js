@@ -28,6 +28,14 @@ export class WebShellServer {
      * @param {Object} app - Express application instance
      * @param {Object} server - HTTP server instance
      * @param {Object} options - Configuration options
+     * @param {Object|null} options.cors - CORS options, null when the host applies its own
+     *                                     (default: local and Render origins)
+     * @param {Object|null} options.authRateLimit - express-rate-limit options for /auth,
+     *                                              null when the host limits requests itself
+     *                                              (default: 5 attempts per 15 minutes)
+     * @param {Object|null} options.socketRateLimit - execute_command limits, null when the
+     *                                                host limits socket events itself
+     *                                                (default: 3/s for guests, 20/s authenticated)
      */
     constructor(app, server, options = {}) {
 
@@ -62,7 +70,7 @@ export class WebShellServer {
     _buildConfiguration() {
     
         return {
-            cors: {
+            cors: this.options.cors !== undefined ? this.options.cors : {
                 origin: [
                     /^https?:\/\/localhost(:\d+)?$/,
                     /^https?:\/\/0\.0\.0\.0(:\d+)?$/,
@@ -73,6 +81,13 @@ export class WebShellServer {
                 methods: ['GET', 'POST'],
                 credentials: true
             },
+            authRateLimit: this.options.authRateLimit !== undefined ? this.options.authRateLimit : {
+                windowMs: 15 * 60 * 1000,
+                max: 5,
+                message: 'Too Many Attempts. Bye!',
+                standardHeaders: true,
+                legacyHeaders: false,
+            },
             auth: {
                 jwtSecret: process.env.JWT_SECRET,
                 shellPassword: process.env.SHELL_HASHWORD,
@@ -83,7 +98,7 @@ export class WebShellServer {
                 maxAttempts: 3,
                 lockoutTime: 300000,
                 cleanupInterval: 600000,
-                socketRateLimit: {
+                socketRateLimit: this.options.socketRateLimit !== undefined ? this.options.socketRateLimit : {
                     guest: {
                         maxRequests: 3,
                         windowMs: 1000,
@@ -172,19 +187,15 @@ export class WebShellServer {
     
         console.log('[WEBSHELL] Setting up middlewares...');
         
-        // CORS setup
-        this.app.use(cors(this.config.cors));
-        
-        // Rate limiting for authentication endpoints
-        const authLimiter = rateLimit({
-            windowMs: 15 * 60 * 1000,
-            max: 5,
-            message: 'Too Many Attempts. Bye!',
-            standardHeaders: true,
-            legacyHeaders: false,
-        });
+        // CORS setup (skipped when the host applies its own policy)
+        if (this.config.cors) {
+            this.app.use(cors(this.config.cors));
+        }
         
-        this.app.use('/auth', authLimiter);
+        // Rate limiting for authentication endpoints (skipped when the host limits requests)
+        if (this.config.authRateLimit) {
+            this.app.use('/auth', rateLimit(this.config.authRateLimit));
+        }
         
         console.log('[WEBSHELL] Middlewares configured');
     }
@@ -199,7 +210,7 @@ export class WebShellServer {
         console.log('[WEBSHELL] Initialising Socket.IO...');
         
         this.io = new SocketIO(this.server, {
-            cors: this.config.cors,
+            ...(this.config.cors ? { cors: this.config.cors } : {}),
             allowEIO3: true,
             transports: ['websocket', 'polling']
         });
@@ -368,7 +379,9 @@ export class WebShellServer {
             const hasAuthSession = sessionValidation.valid && sessionValidation.session?.authenticated;
 
             // Apply rate limiting
-            const rateLimitCheck = this.security.checkSocketRateLimit(clientIP, hasAuthSession);
+            const rateLimitCheck = this.config.security.socketRateLimit
+                ? this.security.checkSocketRateLimit(clientIP, hasAuthSession)
+                : { allowed: true };
 
             if (!rateLimitCheck.allowed) {
     
@@ -0,0 +1,237 @@
+// ============================================
+// AdminManager.js - Authenticated Admin API
+// ============================================
+/**
+ * Runtime administration endpoints for the multihost.
+ *
+ * This class handles:
+ * - Admin authentication (Bearer token from MULTIHOST_ADMIN_TOKEN)
+ * - Maintenance mode toggles per microserver
+ * - Runtime stop/start/restart/reload of a microserver or submodule
+ *
+ * Endpoints (all under /api/admin, all require the token):
+ * - GET  /api/admin/maintenance                      Maintenance state of every microserver
+ * - POST /api/admin/microservers/:name/maintenance   Body: { enabled, message?, retryAfter? }
+ * - GET  /api/admin/microservers                     Lifecycle state of every microserver and submodule
+ * - POST /api/admin/microservers/:name/stop          Stop (domains answer 503 until started)
+ * - POST /api/admin/microservers/:name/start         Start a stopped or failed microserver
+ * - POST /api/admin/microservers/:name/restart       Stop and start again
+ * - POST /api/admin/microservers/:name/reload        Stop, re-import its module and start again
+ * - GET  /api/admin/authentication                   User and session stores, auth settings and login counts
+ * - GET  /api/admin/databases                        Open database connections and their last ping
+ *
+ * Submodules are addressed by their instance key: "<parent key>-<submodule>" unless they set "key".
+ *
+ * Without MULTIHOST_ADMIN_TOKEN the admin API is disabled (503).
+ *
+ * Design Pattern: Facade
+ * - Thin HTTP layer over the managers owned by the ServerManager
+ */
+
+import crypto from 'crypto';
+
+// Runtime actions: URL segment → MicroserverManager method
+const LIFECYCLE_ACTIONS = {
+    stop: 'stopMicroserver',
+    start: 'startMicroserver',
+    restart: 'restartMicroserver',
+    reload: 'reloadMicroserver'
+};
+
+// MicroserverManager action error codes → HTTP status
+const ACTION_ERROR_STATUS = {
+    UNKNOWN_MICROSERVER: 404,
+    INVALID_STATE: 409,
+    ACTION_IN_PROGRESS: 409,
+    ACTION_FAILED: 500
+};
+
+
+export class AdminManager {
+
+    /**
+     * Initialises the AdminManager
+     *
+     * @param {ServerManager} serverManager - Reference to the main server manager
+     * @param {Object} options - Configuration options
+     * @param {string} options.token - Admin token (defaults to env.MULTIHOST_ADMIN_TOKEN)
+     */
+    constructor(serverManager, options = {}) {
+
+        this.serverManager = serverManager;
+        this.token = options.token || process.env.MULTIHOST_ADMIN_TOKEN || null;
+
+        console.log(`[ADMIN] Initialised admin API (${this.token ? 'enabled' : 'disabled, MULTIHOST_ADMIN_TOKEN not set'})`);
+    }
+
+
+    /**
+     * Sets up the admin endpoints
+     */
+    setupEndpoints() {
+
+        console.log('[ADMIN] Setting up admin endpoints...');
+
+        const app = this.serverManager.getApp();
+
+        app.use('/api/admin', (req, res, next) => this.authenticate(req, res, next));
+
+        app.get('/api/admin/maintenance', (req, res) => {
+            res.json(this.serverManager.maintenanceManager.getStats({ includeAllowIPs: true }));
+        });
+
+        app.post('/api/admin/microservers/:name/maintenance', (req, res) => this.handleMaintenance(req, res));
+
+        app.get('/api/admin/microservers', (req, res) => {
+            res.json(this.serverManager.microserverManager.getLifecycleStats());
+        });
+
+        Object.keys(LIFECYCLE_ACTIONS).forEach(action => {
+            app.post(`/api/admin/microservers/:name/${action}`, (req, res) => this.handleLifecycleAction(action, req, res));
+        });
+
+        app.get('/api/admin/authentication', (req, res) => {
+            res.json(this.serverManager.authenticationManager.getStats({ includeDetails: true }));
+        });
+
+        app.get('/api/admin/databases', (req, res) => {
+            res.json(this.serverManager.microserverManager.databases.getStats({ includeDetails: true }));
+        });
+
+        console.log('[ADMIN] ✅ Admin endpoints configured');
+    }
+
+
+    /**
+     * Rejects requests without a valid admin token
+     *
+     * Tokens are compared through their SHA-256 digests so the comparison
+     * is constant-time whatever the submitted length.
+     *
+     * @param {Express.Request} req - Express request object
+     * @param {Express.Response} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    authenticate(req, res, next) {
+
+        if (!this.token) {
+
+            return res.status(503).json({
+                error: 'Admin API disabled',
+                message: 'Set MULTIHOST_ADMIN_TOKEN to enable the admin API',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const header = req.headers.authorization || '';
+        const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+        const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+        if (!provided || !crypto.timingSafeEqual(digest(provided), digest(this.token))) {
+
+            console.warn(`[ADMIN] ❌ Rejected admin request from ${req.ip}: ${req.method} ${req.originalUrl}`);
+
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Valid admin token required (Authorization: Bearer <token>)',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        next();
+    }
+
+
+    /**
+     * Handles maintenance toggle requests
+     *
+     * @param {Express.Request} req - Express request object
+     * @param {Express.Response} res - Express response object
+     */
+    handleMaintenance(req, res) {
+
+        const { enabled, message, retryAfter } = req.body || {};
+
+        if (typeof enabled !== 'boolean') {
+
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: '"enabled" must be a boolean',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (retryAfter !== undefined && !(Number.isInteger(retryAfter) && retryAfter > 0)) {
+
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: '"retryAfter" must be a positive integer (seconds)',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        try {
+
+            const state = this.serverManager.maintenanceManager.setMaintenance(req.params.name, { enabled, message, retryAfter });
+
+            console.log(`[ADMIN] Maintenance ${enabled ? 'enabled' : 'disabled'} for ${req.params.name} by ${req.ip}`);
+
+            res.json({
+                microserver: req.params.name,
+                enabled: state.enabled,
+                since: state.since,
+                message: state.message,
+                retryAfter: state.retryAfter
+            });
+
+        } catch (error) {
+
+            res.status(404).json({
+                error: 'Not found',
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+
+    /**
+     * Handles stop/start/restart/reload requests
+     *
+     * @param {string} action - Key of LIFECYCLE_ACTIONS
+     * @param {Express.Request} req - Express request object
+     * @param {Express.Response} res - Express response object
+     */
+    async handleLifecycleAction(action, req, res) {
+
+        const microserverManager = this.serverManager.microserverManager;
+
+        console.log(`[ADMIN] ${action} of ${req.params.name} requested by ${req.ip}`);
+
+        try {
+
+            const lifecycle = await microserverManager[LIFECYCLE_ACTIONS[action]](req.params.name);
+
+            res.json({
+                microserver: req.params.name,
+                action: action,
+                state: lifecycle.state,
+                since: lifecycle.since
+            });
+
+        } catch (error) {
+
+            const status = ACTION_ERROR_STATUS[error.code] || 500;
+
+            console.error(`[ADMIN] ❌ ${action} of ${req.params.name} failed: ${error.message}`);
+
+            res.status(status).json({
+                error: status === 404 ? 'Not found' : status === 409 ? 'Conflict' : 'Action failed',
+                message: error.message,
+                state: microserverManager.getState(req.params.name),
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+}
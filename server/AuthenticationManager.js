@@ -0,0 +1,797 @@
+// ============================================
+// AuthenticationManager.js - Per-Microserver Authentication
+// ============================================
+/**
+ * Authenticates the clients of the microservers that enable
+ * "features": { "authentication": true }, against one shared user store.
+ *
+ * This class handles:
+ * - Login, logout, refresh and current-user routes under `basePath`
+ * - JWT (Authorization: Bearer) or cookie sessions, per microserver
+ * - Identifying clients on every request (req.user), before rate limiting
+ * - The routing gate answering 401/403 on the `protect` route patterns
+ * - The same checks for WebSocket upgrades (see ServerManager.admitUpgrade)
+ * - Socket.IO identification (socket.data.user) and route guards, handed
+ *   to the microserver through the `authentication` setup option
+ * - Authentication reporting for /api/health
+ *
+ *   "global": {
+ *     "authentication": {
+ *       "secret": "${JWT_SECRET}",
+ *       "users": "users.json"
+ *     }
+ *   },
+ *   "server": {
+ *     "features": { "authentication": true },
+ *     "authentication": {
+ *       "mode": "jwt",
+ *       "basePath": "/api/auth",
+ *       "protect": ["/api/private/*", { "path": "/api/admin-panel/*", "roles": ["admin"] }]
+ *     }
+ *   }
+ *
+ * JWT mode: login answers a short-lived access token and a refresh token
+ * (a session id, rotated on every refresh). Access tokens are checked
+ * without the session store and stay valid until they expire.
+ * Cookie mode: login sets an HttpOnly, SameSite=Lax session cookie.
+ *
+ * Tokens are signed for one microserver: they are not accepted by another.
+ *
+ * Design Pattern: Gate + Strategy
+ * - Routing gates for all microservers, users and sessions behind store interfaces
+ */
+
+import path from 'path';
+import express from 'express';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+
+import { sendErrorResponse, isApiRequest } from './server-error-pages.js';
+import { compileSourcePattern } from './server-rules.js';
+import { isExemptPath } from './MaintenanceManager.js';
+import { createUserStore, toPublicUser } from './UserStore.js';
+import { createSessionStore } from './SessionStore.js';
+
+const DEFAULTS = {
+    mode: 'jwt',
+    basePath: '/api/auth',
+    cookieName: 'multihost_session',
+    accessTokenTtl: 15 * 60 * 1000,
+    sessionTtl: 7 * 24 * 60 * 60 * 1000
+};
+
+const TOKEN_ISSUER = 'node-multihost';
+
+// Bodies of proxy and isolated microservers are not parsed before routing
+const parseBody = express.json({ limit: '16kb' });
+
+// Compared against when the username is unknown, so that timing does not tell
+let dummyHash = null;
+
+
+export class AuthenticationManager {
+
+    /**
+     * Initialises the AuthenticationManager
+     *
+     * @param {ServerManager} serverManager - Reference to the main server manager
+     */
+    constructor(serverManager) {
+
+        this.serverManager = serverManager;
+
+        this.secret = null;
+
+        this.users = null;
+        this.usersSetting = null;
+
+        this.sessions = null;
+        this.sessionStoreType = null;
+
+        // Key: microserver name, Value: { mode, basePath, cookieName, accessTokenTtl, sessionTtl, loginRedirect, protect }
+        this.policies = new Map();
+
+        // Key: microserver name, Value: { logins, failures } (kept across reloads)
+        this.counters = new Map();
+
+        console.log('[AUTH] Initialised authentication manager');
+    }
+
+
+    /**
+     * Builds the authentication policy of a microserver from its configuration
+     *
+     * @param {Object} serverConfig - Configuration for a single microserver
+     * @returns {Object|null} Policy, or null when features.authentication is not enabled
+     */
+    buildPolicy(serverConfig) {
+
+        const server = serverConfig.server;
+
+        if (server?.features?.authentication !== true) {
+            return null;
+        }
+
+        const block = server.authentication || {};
+
+        return {
+            mode: block.mode || DEFAULTS.mode,
+            basePath: block.basePath || DEFAULTS.basePath,
+            cookieName: block.cookieName || DEFAULTS.cookieName,
+            accessTokenTtl: block.accessTokenTtl || DEFAULTS.accessTokenTtl,
+            sessionTtl: block.sessionTtl || DEFAULTS.sessionTtl,
+            loginRedirect: block.loginRedirect || null,
+            protect: (block.protect || [])
+                .map(rule => typeof rule === 'string' ? { path: rule } : rule)
+                .map(rule => ({
+                    path: rule.path,
+                    // Express routes ignore case: "/API/ok" must not slip past a "/api/ok" rule
+                    pattern: compileSourcePattern(rule.path, { ignoreCase: true }).regex,
+                    methods: rule.methods?.length ? rule.methods.map(method => method.toUpperCase()) : null,
+                    roles: rule.roles?.length ? rule.roles : null
+                }))
+        };
+    }
+
+
+    /**
+     * Loads the secret, stores and policies from configuration
+     *
+     * The user store is recreated when global.authentication.users changes;
+     * sessions survive reloads.
+     *
+     * @param {Object} config - Server configuration from servers.config.json
+     * @throws {Error} If a microserver enables authentication without a secret
+     */
+    loadFromConfig(config) {
+
+        this.prepareConfigChange(config).commit();
+    }
+
+
+    /**
+     * Builds the secret, stores and policies of a reloaded configuration, without using them yet
+     *
+     * @param {Object} newConfig - Reloaded configuration
+     * @returns {Object} { commit, discard } - switch to the new policies, or drop them
+     * @throws {Error} If a microserver enables authentication without a secret
+     */
+    prepareConfigChange(newConfig) {
+
+        const settings = newConfig.global?.authentication || {};
+        const policies = new Map();
+
+        newConfig.servers.forEach(serverConfig => {
+
+            const policy = this.buildPolicy(serverConfig);
+
+            if (policy) {
+                policies.set(serverConfig.name, policy);
+            }
+        });
+
+        if (policies.size > 0 && !settings.secret) {
+            throw Object.assign(new Error('features.authentication needs global.authentication.secret'), { code: 'AUTH_SECRET_MISSING' });
+        }
+
+        const usersSetting = JSON.stringify(settings.users ?? null);
+        const users = usersSetting !== this.usersSetting
+            ? createUserStore(settings.users, path.dirname(this.serverManager.configManager.configPath))
+            : null;
+
+        const sessionStoreType = settings.sessionStore || 'memory';
+        const sessions = sessionStoreType !== this.sessionStoreType
+            ? createSessionStore(sessionStoreType, this.serverManager.cacheManager)
+            : null;
+
+        return {
+            commit: () => {
+
+                if (users) {
+                    this.users = users;
+                    this.usersSetting = usersSetting;
+                }
+
+                if (sessions) {
+                    this.sessions?.close();
+                    this.sessions = sessions;
+                    this.sessionStoreType = sessionStoreType;
+                }
+
+                this.secret = settings.secret || null;
+                this.policies = policies;
+
+                const enabled = Array.from(policies.keys());
+
+                console.log(`[AUTH] ✅ Policies loaded (${this.users.getStats().type} users)${enabled.length ? `, authenticating: ${enabled.join(', ')}` : ''}`);
+            },
+
+            discard: () => sessions?.close()
+        };
+    }
+
+
+    /**
+     * Finds who a request or handshake comes from
+     *
+     * @param {Object} policy - Microserver policy
+     * @param {string} serverName - Name of the microserver
+     * @param {Object} headers - Request headers
+     * @param {string|null} token - Access token given another way (Socket.IO auth)
+     * @returns {Promise<Object|null>} { user, sessionId }, or null when anonymous
+     */
+    async identify(policy, serverName, headers, token = null) {
+
+        if (policy.mode === 'cookie') {
+
+            const sessionId = readCookie(headers.cookie, policy.cookieName);
+            const session = sessionId ? await this.sessions.get(sessionId) : null;
+
+            if (session?.server !== serverName) {
+                return null;
+            }
+
+            const user = await this.users.findById(session.userId);
+
+            return user ? { user: toPublicUser(user), sessionId } : null;
+        }
+
+        const accessToken = token || readBearer(headers.authorization);
+
+        if (!accessToken) {
+            return null;
+        }
+
+        try {
+
+            const claims = jwt.verify(accessToken, this.secret, { issuer: TOKEN_ISSUER, audience: serverName });
+
+            if (claims.type !== 'access') {
+                return null;
+            }
+
+            return {
+                user: { id: claims.sub, username: claims.username, roles: claims.roles || [] },
+                sessionId: claims.sid
+            };
+
+        } catch {
+
+            return null;
+        }
+    }
+
+
+    /**
+     * Identifies the client of a request or WebSocket upgrade
+     *
+     * Sets req.user ({ id, username, roles }) and req.auth ({ mode, sessionId })
+     * for authenticated clients. Never throws: a failure leaves the client
+     * anonymous.
+     *
+     * @param {string} serverName - Name of the microserver the request is routed to
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<void>}
+     */
+    async identifyRequest(serverName, req) {
+
+        const policy = this.policies.get(serverName);
+
+        if (!policy) {
+            return;
+        }
+
+        try {
+
+            const identity = await this.identify(policy, serverName, req.headers);
+
+            if (identity) {
+                req.user = identity.user;
+                req.auth = { mode: policy.mode, sessionId: identity.sessionId };
+            }
+
+        } catch (error) {
+
+            console.error(`[AUTH] ❌ Failed to identify client of ${serverName}: ${error.message}`);
+        }
+    }
+
+
+    /**
+     * Returns the routing gate identifying clients
+     *
+     * Never refuses a request. Runs before rate limiting, so that "user"
+     * rate limit keys see the user.
+     *
+     * @returns {Function} Express middleware
+     */
+    identifyGate() {
+
+        return (req, res, next) => {
+
+            this.identifyRequest(req.targetModule, req).then(() => next());
+        };
+    }
+
+
+    /**
+     * Returns the routing gate answering the auth routes and protecting patterns
+     *
+     * Runs after domain detection, rate limiting and maintenance. Exempt
+     * paths pass through.
+     *
+     * @returns {Function} Express middleware
+     */
+    middleware() {
+
+        return (req, res, next) => {
+
+            const policy = this.policies.get(req.targetModule);
+
+            if (!policy || isExemptPath(req.url)) {
+                return next();
+            }
+
+            const pathname = req.url.split('?')[0];
+
+            if (pathname === policy.basePath || pathname.startsWith(`${policy.basePath}/`)) {
+                return this.handleRoute(policy, req, res, next, pathname.slice(policy.basePath.length) || '/');
+            }
+
+            const rule = findProtectRule(policy, pathname, req.method);
+
+            if (!rule) {
+                return next();
+            }
+
+            this.enforce(policy, rule.roles, req, res, next);
+        };
+    }
+
+
+    /**
+     * Checks a WebSocket upgrade against the protect patterns
+     *
+     * Upgrades never reach the routing gates; the client must have been
+     * identified first (see identifyRequest).
+     *
+     * @param {string} serverName - Name of the microserver the upgrade is routed to
+     * @param {http.IncomingMessage} req - Upgrade request (req.user when identified)
+     * @param {string} url - Upgrade URL, relative to the microserver
+     * @returns {Object|null} Refusal { status, message, headers }, or null when the upgrade may pass
+     */
+    checkUpgrade(serverName, req, url) {
+
+        const policy = this.policies.get(serverName);
+
+        if (!policy || isExemptPath(url)) {
+            return null;
+        }
+
+        const rule = findProtectRule(policy, url.split('?')[0], req.method);
+
+        return rule ? getRefusal(policy, serverName, rule.roles, req.user) : null;
+    }
+
+
+    /**
+     * Lets identified clients with one of the roles through
+     *
+     * Anonymous clients get 401 (or are redirected to loginRedirect when
+     * they asked for a page), clients without the role 403.
+     *
+     * @param {Object} policy - Microserver policy
+     * @param {Array<string>|null} roles - Roles allowed, null for any user
+     */
+    enforce(policy, roles, req, res, next) {
+
+        const refusal = getRefusal(policy, req.targetModule, roles, req.user);
+
+        if (!refusal) {
+            return next();
+        }
+
+        if (refusal.status === 401 && policy.loginRedirect && req.method === 'GET' && !isApiRequest(req, req.serverConfig)) {
+            return res.redirect(302, `${req.basePath || ''}${policy.loginRedirect}?next=${encodeURIComponent(req.originalUrl)}`);
+        }
+
+        sendErrorResponse(req, res, refusal.status, refusal);
+    }
+
+
+    /**
+     * Answers POST login/logout/refresh and GET me under basePath
+     *
+     * Other requests under basePath are left to the microserver.
+     */
+    handleRoute(policy, req, res, next, route) {
+
+        const handlers = {
+            'POST /login': this.login,
+            'POST /logout': this.logout,
+            'POST /refresh': this.refresh,
+            'GET /me': this.me
+        };
+
+        const handler = handlers[`${req.method} ${route}`];
+
+        if (!handler) {
+            return next();
+        }
+
+        const run = () => handler.call(this, policy, req, res).catch(error => {
+
+            console.error(`[AUTH] ❌ ${req.targetModule} ${route} failed: ${error.message}`);
+
+            if (!res.headersSent) {
+                sendErrorResponse(req, res, 500, { message: 'Authentication error' });
+            }
+        });
+
+        if (req.body !== undefined) {
+            return run();
+        }
+
+        parseBody(req, res, (error) => error ? sendErrorResponse(req, res, 400, { message: 'Invalid JSON body' }) : run());
+    }
+
+
+    async login(policy, req, res) {
+
+        const { username, password } = req.body || {};
+        const counters = this.getCounters(req.targetModule);
+
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return sendErrorResponse(req, res, 400, { message: 'username and password are required' });
+        }
+
+        dummyHash = dummyHash || await bcrypt.hash(TOKEN_ISSUER, 10);
+
+        const user = await this.users.findByUsername(username);
+        const valid = await bcrypt.compare(password, typeof user?.passwordHash === 'string' ? user.passwordHash : dummyHash);
+
+        if (!user || !valid) {
+
+            counters.failures++;
+            console.log(`[AUTH] ${req.targetModule}: failed login for '${username}' from ${req.ip}`);
+
+            return sendErrorResponse(req, res, 401, { message: 'Invalid username or password' });
+        }
+
+        counters.logins++;
+        console.log(`[AUTH] ${req.targetModule}: '${user.username}' logged in`);
+
+        res.json(await this.startSession(policy, req, res, user));
+    }
+
+
+    async logout(policy, req, res) {
+
+        const sessionId = policy.mode === 'cookie'
+            ? readCookie(req.headers.cookie, policy.cookieName)
+            : req.body?.refreshToken || req.auth?.sessionId;
+
+        if (typeof sessionId === 'string') {
+            await this.sessions.destroy(sessionId);
+        }
+
+        if (policy.mode === 'cookie') {
+            res.clearCookie(policy.cookieName, { path: req.basePath || '/' });
+        }
+
+        res.status(204).end();
+    }
+
+
+    async refresh(policy, req, res) {
+
+        const sessionId = policy.mode === 'cookie'
+            ? readCookie(req.headers.cookie, policy.cookieName)
+            : req.body?.refreshToken;
+
+        const session = typeof sessionId === 'string' ? await this.sessions.get(sessionId) : null;
+        const user = session?.server === req.targetModule ? await this.users.findById(session.userId) : null;
+
+        if (!user) {
+
+            if (policy.mode === 'cookie') {
+                res.clearCookie(policy.cookieName, { path: req.basePath || '/' });
+            }
+
+            return sendErrorResponse(req, res, 401, { message: 'Session expired, please log in again' });
+        }
+
+        // Refresh tokens and session cookies are single-use
+        await this.sessions.destroy(sessionId);
+
+        res.json(await this.startSession(policy, req, res, user));
+    }
+
+
+    async me(policy, req, res) {
+
+        if (!req.user) {
+            return sendErrorResponse(req, res, 401, { message: 'Authentication required' });
+        }
+
+        res.json({ user: req.user });
+    }
+
+
+    /**
+     * Opens a session and answers its credentials
+     *
+     * @returns {Promise<Object>} Response body: user and expiresIn, plus
+     *          accessToken/refreshToken in JWT mode (cookie mode sets the cookie)
+     */
+    async startSession(policy, req, res, user) {
+
+        const sessionId = await this.sessions.create({
+            userId: user.id,
+            server: req.targetModule,
+            createdAt: new Date().toISOString()
+        }, policy.sessionTtl);
+
+        if (policy.mode === 'cookie') {
+
+            res.cookie(policy.cookieName, sessionId, {
+                httpOnly: true,
+                sameSite: 'lax',
+                secure: req.secure,
+                maxAge: policy.sessionTtl,
+                path: req.basePath || '/'
+            });
+
+            return { user: toPublicUser(user), expiresIn: Math.floor(policy.sessionTtl / 1000) };
+        }
+
+        const accessToken = jwt.sign(
+            { type: 'access', username: user.username, roles: user.roles, sid: sessionId },
+            this.secret,
+            {
+                subject: user.id,
+                issuer: TOKEN_ISSUER,
+                audience: req.targetModule,
+                expiresIn: Math.floor(policy.accessTokenTtl / 1000)
+            }
+        );
+
+        return {
+            user: toPublicUser(user),
+            tokenType: 'Bearer',
+            accessToken: accessToken,
+            expiresIn: Math.floor(policy.accessTokenTtl / 1000),
+            refreshToken: sessionId
+        };
+    }
+
+
+    /**
+     * Identifies Socket.IO clients of a microserver
+     *
+     * The access token is read from the handshake auth ({ token }) or the
+     * Authorization header (JWT mode), or from the session cookie.
+     *
+     * @param {string} serverName - Name of the microserver
+     * @param {Server} io - Socket.IO server of the microserver
+     * @param {Object} options - { required: refuse anonymous handshakes }
+     */
+    attachSocket(serverName, io, options = {}) {
+
+        const refuse = (next) => {
+
+            const error = new Error('Authentication required');
+            error.data = { status: 401 };
+            next(error);
+        };
+
+        io.use((socket, next) => {
+
+            const policy = this.policies.get(serverName);
+
+            if (!policy) {
+                return options.required ? refuse(next) : next();
+            }
+
+            this.identify(policy, serverName, socket.request.headers, socket.handshake.auth?.token)
+                .then(identity => {
+
+                    if (identity) {
+                        socket.data.user = identity.user;
+                        return next();
+                    }
+
+                    options.required ? refuse(next) : next();
+                })
+                .catch(error => {
+
+                    console.error(`[AUTH] ❌ Failed to identify socket of ${serverName}: ${error.message}`);
+                    options.required ? refuse(next) : next();
+                });
+        });
+
+        console.log(`[AUTH] ✅ Socket.IO identification attached for ${serverName}${options.required ? ' (required)' : ''}`);
+    }
+
+
+    /**
+     * Authentication API handed to a microserver in its setup options
+     *
+     * @param {string} serverName - Name of the microserver
+     * @returns {Object} { enabled, requireUser, attachSocket, getUser, createUser }
+     */
+    bindTo(serverName) {
+
+        return {
+            enabled: () => this.policies.has(serverName),
+
+            // Route guard for routes declared in code: 401 when anonymous, 403 without one of the roles
+            requireUser: (roles = []) => (req, res, next) => {
+
+                const policy = this.policies.get(serverName);
+
+                if (!policy) {
+                    return sendErrorResponse(req, res, 401, { message: 'Authentication is not enabled' });
+                }
+
+                this.enforce(policy, roles.length ? roles : null, req, res, next);
+            },
+
+            attachSocket: (io, options) => this.attachSocket(serverName, io, options),
+
+            getUser: async (id) => {
+
+                const user = await this.users.findById(String(id));
+
+                return user ? toPublicUser(user) : null;
+            },
+
+            createUser: async (account) => toPublicUser(await this.users.createUser(account))
+        };
+    }
+
+
+    getCounters(serverName) {
+
+        if (!this.counters.has(serverName)) {
+            this.counters.set(serverName, { logins: 0, failures: 0 });
+        }
+
+        return this.counters.get(serverName);
+    }
+
+
+    /**
+     * Returns authentication statistics for /api/health and the admin API
+     *
+     * The stores, settings and login counts are only listed for the admin
+     * API: /api/health is public.
+     *
+     * @param {Object} options
+     * @param {boolean} options.includeDetails - Add the stores and per-microserver settings (default: false)
+     * @returns {Object} { enabled, healthy } (and users, sessions, microservers)
+     */
+    getStats({ includeDetails = false } = {}) {
+
+        const summary = {
+            enabled: this.policies.size > 0,
+            healthy: !!this.users && !!this.sessions
+        };
+
+        if (!includeDetails) {
+            return summary;
+        }
+
+        const microservers = {};
+
+        for (const [name, policy] of this.policies) {
+
+            microservers[name] = {
+                mode: policy.mode,
+                basePath: policy.basePath,
+                loginRedirect: policy.loginRedirect,
+                protect: policy.protect.map(rule => ({ path: rule.path, methods: rule.methods, roles: rule.roles })),
+                ...this.getCounters(name)
+            };
+        }
+
+        return {
+            ...summary,
+            users: this.users?.getStats() || null,
+            sessions: this.sessions?.getStats() || null,
+            microservers
+        };
+    }
+
+
+    /**
+     * Releases the session store
+     */
+    async close() {
+
+        await this.sessions?.close();
+        this.sessions = null;
+        this.sessionStoreType = null;
+    }
+}
+
+
+/**
+ * First protect rule matching a path and method
+ *
+ * @param {Object} policy - Microserver policy
+ * @param {string} pathname - Path, relative to the microserver
+ * @param {string} method - HTTP method
+ * @returns {Object|undefined} Rule { path, pattern, methods, roles }
+ */
+function findProtectRule(policy, pathname, method) {
+
+    return policy.protect.find(rule => rule.pattern.test(pathname) && (!rule.methods || rule.methods.includes(method)));
+}
+
+
+/**
+ * Refusal of a client on a protected route
+ *
+ * @param {Object} policy - Microserver policy
+ * @param {string} serverName - Name of the microserver
+ * @param {Array<string>|null} roles - Roles allowed, null for any user
+ * @param {Object|undefined} user - Identified user
+ * @returns {Object|null} { status, message, headers }: 401 when anonymous, 403 without the role
+ */
+function getRefusal(policy, serverName, roles, user) {
+
+    if (!user) {
+        return {
+            status: 401,
+            message: 'Authentication required',
+            headers: policy.mode === 'jwt' ? { 'WWW-Authenticate': `Bearer realm="${serverName}"` } : null
+        };
+    }
+
+    if (roles && !roles.some(role => user.roles.includes(role))) {
+        return { status: 403, message: 'Insufficient permissions' };
+    }
+
+    return null;
+}
+
+
+/**
+ * Reads a cookie from a Cookie header
+ *
+ * @param {string|undefined} header - Cookie header
+ * @param {string} name - Cookie name
+ * @returns {string|null} Decoded value, or null
+ */
+function readCookie(header, name) {
+
+    const cookie = String(header || '')
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${name}=`));
+
+    if (!cookie) {
+        return null;
+    }
+
+    try {
+        return decodeURIComponent(cookie.slice(name.length + 1));
+    } catch {
+        return null;
+    }
+}
+
+
+/**
+ * Reads a bearer token from an Authorization header
+ *
+ * @param {string|undefined} header - Authorization header
+ * @returns {string|null} Token, or null
+ */
+function readBearer(header) {
+
+    const match = /^Bearer\s+(\S+)$/i.exec(String(header || ''));
+
+    return match ? match[1] : null;
+}
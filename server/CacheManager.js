@@ -0,0 +1,368 @@
+// ============================================
+// CacheManager.js - Shared Cache and Pub/Sub
+// ============================================
+/**
+ * Offers a key-value cache and pub/sub client to the microservers that
+ * enable "features": { "redis": true }, and to the multihost's own
+ * stores (rate limit buckets, login sessions).
+ *
+ * This class handles:
+ * - The backend: Redis when global.redis.url is set, in-memory otherwise
+ *   (also when Redis is unavailable at startup or on reload)
+ * - One namespace per microserver, so their keys and channels never collide
+ * - Subscriptions that survive a backend switch on reload
+ * - The Socket.IO Redis adapter (@socket.io/redis-adapter), when Redis is used
+ * - Connection state reporting for /api/health
+ *
+ *   "global": {
+ *     "redis": {
+ *       "url": "${REDIS_URL}",
+ *       "keyPrefix": "multihost:",
+ *       "options": {}
+ *     }
+ *   }
+ *
+ * Keys are stored as <keyPrefix><microserver>:<key>, the multihost's own
+ * under <keyPrefix>@<store>:, which no microserver name can produce.
+ *
+ * Design Pattern: Facade + Strategy
+ * - One client interface over interchangeable backends (see CacheStore.js)
+ */
+
+import { MemoryCacheStore, createCacheStore } from './CacheStore.js';
+
+const DEFAULT_KEY_PREFIX = 'multihost:';
+
+const PING_TIMEOUT = 2000;
+
+
+export class CacheManager {
+
+    constructor() {
+
+        this.store = null;
+        this.settings = null;
+        this.keyPrefix = DEFAULT_KEY_PREFIX;
+
+        // Why Redis is not used although configured: { message, code, failedAt }
+        this.error = null;
+
+        // Last ping: { healthy, latencyMs, error?, checkedAt }
+        this.health = null;
+
+        // Key: full channel name, Value: Set of listeners
+        this.subscriptions = new Map();
+
+        // Redis connections handed to Socket.IO adapters
+        // Key: microserver name, Value: [publisher, subscriber]
+        this.adapterClients = new Map();
+    }
+
+
+    /**
+     * Connects the backend described by global.redis
+     *
+     * @param {Object} config - Server configuration from servers.config.json
+     * @returns {Promise<void>}
+     */
+    async loadFromConfig(config) {
+
+        await (await this.prepareConfigChange(config)).commit();
+    }
+
+
+    /**
+     * Connects the backend of a reloaded configuration, without using it yet
+     *
+     * The backend only changes when global.redis changes. If Redis cannot be
+     * used, the in-memory backend takes over and the error is reported.
+     *
+     * @param {Object} newConfig - Reloaded configuration
+     * @returns {Promise<Object>} { commit, discard } - switch to the new backend, or close it
+     */
+    async prepareConfigChange(newConfig) {
+
+        const settings = newConfig.global?.redis || null;
+        const serialised = JSON.stringify(settings);
+
+        if (this.store && serialised === this.settings) {
+            return { commit: () => {}, discard: () => {} };
+        }
+
+        let store;
+        let error = null;
+
+        try {
+
+            store = await createCacheStore(settings);
+
+        } catch (caught) {
+
+            console.error(`[CACHE] ❌ Redis unavailable, using the in-memory cache: ${caught.message}`);
+
+            store = new MemoryCacheStore();
+            error = { message: caught.message, code: caught.code || null, failedAt: new Date().toISOString() };
+        }
+
+        return {
+            commit: async () => {
+
+                const previous = this.store;
+
+                this.store = store;
+                this.settings = serialised;
+                this.keyPrefix = settings?.keyPrefix ?? DEFAULT_KEY_PREFIX;
+                this.error = error;
+                this.health = null;
+
+                // Subscriptions follow the cache to its new backend
+                for (const channel of this.subscriptions.keys()) {
+                    await store.subscribe(channel, message => this.dispatch(channel, message));
+                }
+
+                await previous?.close();
+
+                console.log(`[CACHE] ✅ ${store.type} cache ready${this.subscriptions.size ? ` (${this.subscriptions.size} subscriptions)` : ''}`);
+            },
+
+            discard: () => store.close()
+        };
+    }
+
+
+    /**
+     * Tells whether the cache is shared with other processes
+     *
+     * @returns {boolean} True on the Redis backend
+     */
+    isShared() {
+
+        return this.store?.type === 'redis';
+    }
+
+
+    /**
+     * Runs a Lua script on the Redis backend
+     *
+     * @param {string} script - Lua source
+     * @param {Array<string>} keys - Keys, prefixed here
+     * @param {Array<string|number>} args - Arguments
+     * @returns {Promise<any>} Script result
+     * @throws {Error} On the in-memory backend (check isShared() first)
+     */
+    async evaluate(script, keys, args) {
+
+        if (!this.isShared()) {
+            throw Object.assign(new Error('Scripts need the Redis backend'), { code: 'CACHE_NOT_SHARED' });
+        }
+
+        return this.store.evaluate(script, keys.map(key => this.keyPrefix + key), args);
+    }
+
+
+    /**
+     * Calls the listeners of a channel
+     */
+    dispatch(channel, message) {
+
+        for (const listener of this.subscriptions.get(channel) || []) {
+
+            try {
+                listener(message);
+            } catch (error) {
+                console.error(`[CACHE] ❌ Listener of ${channel} failed: ${error.message}`);
+            }
+        }
+    }
+
+
+    /**
+     * Returns a client whose keys and channels live in a namespace
+     *
+     * @param {string} namespace - Prefix after keyPrefix (e.g. "develrun:")
+     * @returns {Object} { isShared, get, set, delete, increment, publish, subscribe }
+     */
+    client(namespace) {
+
+        const name = key => `${this.keyPrefix}${namespace}${key}`;
+
+        return {
+            isShared: () => this.isShared(),
+            get: (key) => this.store.get(name(key)),
+            set: (key, value, { ttl } = {}) => this.store.set(name(key), value, ttl),
+            delete: (key) => this.store.delete(name(key)),
+            increment: (key, { ttl } = {}) => this.store.increment(name(key), ttl),
+            publish: (channel, message) => this.store.publish(name(channel), message),
+
+            // Resolves to the function that unsubscribes this listener
+            subscribe: async (channel, listener) => {
+
+                const fullChannel = name(channel);
+
+                if (!this.subscriptions.has(fullChannel)) {
+                    this.subscriptions.set(fullChannel, new Set());
+                    await this.store.subscribe(fullChannel, message => this.dispatch(fullChannel, message));
+                }
+
+                this.subscriptions.get(fullChannel).add(listener);
+
+                return async () => {
+
+                    const listeners = this.subscriptions.get(fullChannel);
+
+                    if (listeners?.delete(listener) && listeners.size === 0) {
+                        this.subscriptions.delete(fullChannel);
+                        await this.store.unsubscribe(fullChannel);
+                    }
+                };
+            }
+        };
+    }
+
+
+    /**
+     * Returns the cache handed to a microserver as options.cache
+     *
+     * @param {string} name - Microserver name
+     * @returns {Object} Namespaced client, plus attachSocket(io)
+     */
+    bindTo(name) {
+
+        return {
+            ...this.client(`${name}:`),
+            attachSocket: (io) => this.attachSocket(io, name)
+        };
+    }
+
+
+    /**
+     * Shares a Socket.IO server's rooms and broadcasts through Redis
+     *
+     * Without Redis the default in-process adapter already does the job.
+     * A microserver attaching again (after a restart) gets new connections,
+     * its previous ones are closed.
+     *
+     * @param {Object} io - Socket.IO server
+     * @param {string} name - Microserver name
+     * @returns {Promise<boolean>} True if the Redis adapter was installed
+     */
+    async attachSocket(io, name) {
+
+        if (!this.isShared()) {
+            return false;
+        }
+
+        let createAdapter;
+
+        try {
+            ({ createAdapter } = await import('@socket.io/redis-adapter'));
+        } catch {
+            console.error(`[CACHE] ❌ ${name}: Socket.IO stays in-process, '@socket.io/redis-adapter' is not installed`);
+            return false;
+        }
+
+        const clients = await this.store.duplicate(2);
+        const [publisher, subscriber] = clients;
+
+        await this.closeAdapterClients(name);
+
+        this.adapterClients.set(name, clients);
+        io.adapter(createAdapter(publisher, subscriber, { key: `${this.keyPrefix}${name}:socket.io` }));
+
+        console.log(`[CACHE] ✅ ${name}: Socket.IO Redis adapter attached`);
+
+        return true;
+    }
+
+
+    /**
+     * Closes the Socket.IO adapter connections of a microserver
+     *
+     * @param {string} name - Microserver name
+     * @returns {Promise<void>}
+     */
+    async closeAdapterClients(name) {
+
+        const clients = this.adapterClients.get(name);
+
+        if (clients) {
+            this.adapterClients.delete(name);
+            await Promise.allSettled(clients.map(client => client.quit()));
+        }
+    }
+
+
+    /**
+     * Pings the backend
+     *
+     * @returns {Promise<Object>} { healthy, latencyMs, error?, checkedAt }
+     */
+    async check() {
+
+        const startedAt = Date.now();
+        let timer;
+
+        try {
+
+            await Promise.race([
+                this.store.ping(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`ping timed out after ${PING_TIMEOUT}ms`)), PING_TIMEOUT);
+                })
+            ]);
+
+            this.health = { healthy: true, latencyMs: Date.now() - startedAt };
+
+        } catch (error) {
+
+            this.health = { healthy: false, latencyMs: Date.now() - startedAt, error: error.message };
+
+        } finally {
+
+            clearTimeout(timer);
+        }
+
+        this.health.checkedAt = new Date().toISOString();
+
+        return this.health;
+    }
+
+
+    /**
+     * Returns backend and connection state for /api/health
+     *
+     * @returns {Object} { backend, configured, fallback, keyPrefix, store, health, error, subscriptions, socketAdapters }
+     */
+    getStats() {
+
+        const configured = JSON.parse(this.settings ?? 'null')?.url ? 'redis' : 'memory';
+
+        return {
+            backend: this.store?.type || null,
+            configured,
+            fallback: configured !== (this.store?.type || configured),
+            keyPrefix: this.keyPrefix,
+            store: this.store?.getStats() || null,
+            health: this.health,
+            error: this.error,
+            subscriptions: this.subscriptions.size,
+            socketAdapters: this.adapterClients.size
+        };
+    }
+
+
+    /**
+     * Closes the backend and the Socket.IO adapter connections
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+
+        await Promise.all(Array.from(this.adapterClients.keys(), name => this.closeAdapterClients(name)));
+        await this.store?.close();
+
+        this.subscriptions.clear();
+        this.store = null;
+        this.settings = null;
+    }
+}
@@ -0,0 +1,370 @@
+// ============================================
+// CacheStore.js - Key-Value Cache and Pub/Sub Backends
+// ============================================
+/**
+ * Backends behind the CacheManager: Redis when global.redis.url is set,
+ * an in-process equivalent otherwise.
+ *
+ * A store implements:
+ * - get(key): Promise<any|null>
+ * - set(key, value, ttlMs): Promise<void> (no expiry without ttlMs)
+ * - delete(key): Promise<boolean> true if the key existed
+ * - increment(key, ttlMs): Promise<number> new value, the expiry starts with the key
+ * - publish(channel, message): Promise<void>
+ * - subscribe(channel, listener) / unsubscribe(channel): Promise<void>
+ * - ping(): Promise<void>
+ * - isReady(): boolean
+ * - getStats(): { type, ... }
+ * - close(): Promise<void>
+ *
+ * Values and messages are anything JSON can carry; both stores serialise
+ * them, so a value read back is a copy.
+ *
+ * The Redis client ('redis' package) is not a dependency of the
+ * multihost: install it where global.redis is used (npm install redis).
+ *
+ * Design Pattern: Strategy
+ * - The manager only talks to the store interface, selected by global.redis
+ */
+
+import { EventEmitter } from 'events';
+
+// Expired keys are forgotten on the next sweep
+const SWEEP_INTERVAL = 60000;
+
+// A Redis server that does not answer in time is treated as unavailable
+const CONNECT_TIMEOUT = 5000;
+
+// INCR that sets the expiry of a new key, atomically
+const INCREMENT_SCRIPT = `
+local value = redis.call('INCR', KEYS[1])
+if value == 1 and tonumber(ARGV[1]) > 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return value
+`;
+
+
+/**
+ * In-process store: nothing is shared between processes or kept across restarts
+ */
+export class MemoryCacheStore {
+
+    constructor() {
+
+        this.type = 'memory';
+
+        // Key: cache key, Value: { value (JSON), expiresAt }
+        this.entries = new Map();
+
+        this.channels = new EventEmitter();
+        this.channels.setMaxListeners(0);
+
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+        this.sweepTimer.unref();
+    }
+
+
+    /**
+     * Returns a live entry, forgetting it once expired
+     */
+    read(key) {
+
+        const entry = this.entries.get(key);
+
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return entry || null;
+    }
+
+
+    async get(key) {
+
+        const entry = this.read(key);
+
+        return entry ? JSON.parse(entry.value) : null;
+    }
+
+
+    async set(key, value, ttlMs) {
+
+        this.entries.set(key, { value: JSON.stringify(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    }
+
+
+    async delete(key) {
+
+        const existed = this.read(key) !== null;
+
+        this.entries.delete(key);
+
+        return existed;
+    }
+
+
+    async increment(key, ttlMs) {
+
+        const entry = this.read(key);
+        const value = (entry ? JSON.parse(entry.value) : 0) + 1;
+
+        this.entries.set(key, { value: JSON.stringify(value), expiresAt: entry ? entry.expiresAt : (ttlMs ? Date.now() + ttlMs : null) });
+
+        return value;
+    }
+
+
+    async publish(channel, message) {
+
+        const payload = JSON.stringify(message);
+
+        // Delivered asynchronously, like Redis
+        queueMicrotask(() => this.channels.emit(channel, payload));
+    }
+
+
+    async subscribe(channel, listener) {
+
+        this.channels.on(channel, payload => listener(JSON.parse(payload)));
+    }
+
+
+    async unsubscribe(channel) {
+
+        this.channels.removeAllListeners(channel);
+    }
+
+
+    async ping() {}
+
+
+    isReady() {
+
+        return true;
+    }
+
+
+    /**
+     * Removes the expired keys
+     */
+    sweep() {
+
+        const now = Date.now();
+
+        for (const [key, entry] of this.entries) {
+
+            if (entry.expiresAt !== null && entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+
+    getStats() {
+
+        return { type: 'memory', keys: this.entries.size, channels: this.channels.eventNames().length };
+    }
+
+
+    async close() {
+
+        clearInterval(this.sweepTimer);
+        this.entries.clear();
+        this.channels.removeAllListeners();
+    }
+}
+
+
+/**
+ * Redis store: keys and messages are shared by every process using the same server
+ */
+export class RedisCacheStore {
+
+    /**
+     * @param {Object} client - Connected node-redis client for commands
+     * @param {Object} subscriber - Connected duplicate for subscriptions
+     */
+    constructor(client, subscriber) {
+
+        this.type = 'redis';
+        this.client = client;
+        this.subscriber = subscriber;
+    }
+
+
+    async get(key) {
+
+        const value = await this.client.get(key);
+
+        return value === null ? null : JSON.parse(value);
+    }
+
+
+    async set(key, value, ttlMs) {
+
+        await this.client.set(key, JSON.stringify(value), ttlMs ? { PX: Math.ceil(ttlMs) } : undefined);
+    }
+
+
+    async delete(key) {
+
+        return (await this.client.del(key)) > 0;
+    }
+
+
+    async increment(key, ttlMs) {
+
+        return this.client.eval(INCREMENT_SCRIPT, { keys: [key], arguments: [String(Math.ceil(ttlMs || 0))] });
+    }
+
+
+    async publish(channel, message) {
+
+        await this.client.publish(channel, JSON.stringify(message));
+    }
+
+
+    async subscribe(channel, listener) {
+
+        await this.subscriber.subscribe(channel, payload => listener(JSON.parse(payload)));
+    }
+
+
+    async unsubscribe(channel) {
+
+        await this.subscriber.unsubscribe(channel);
+    }
+
+
+    /**
+     * Runs a Lua script (for atomic updates such as the rate limit buckets)
+     *
+     * @param {string} script - Lua source
+     * @param {Array<string>} keys - KEYS
+     * @param {Array<string|number>} args - ARGV
+     * @returns {Promise<any>} Script result
+     */
+    async evaluate(script, keys, args) {
+
+        return this.client.eval(script, { keys, arguments: args.map(String) });
+    }
+
+
+    /**
+     * Opens extra connections to the same server (Socket.IO adapter)
+     *
+     * @param {number} count - Connections to open
+     * @returns {Promise<Array<Object>>} Connected clients
+     */
+    async duplicate(count) {
+
+        return Promise.all(Array.from({ length: count }, () => connectClient(this.client.duplicate())));
+    }
+
+
+    async ping() {
+
+        await this.client.ping();
+    }
+
+
+    isReady() {
+
+        return this.client.isReady && this.subscriber.isReady;
+    }
+
+
+    getStats() {
+
+        return { type: 'redis', ready: this.isReady() };
+    }
+
+
+    async close() {
+
+        await Promise.allSettled([this.client.quit(), this.subscriber.quit()]);
+    }
+}
+
+
+/**
+ * Connects a node-redis client, giving up after CONNECT_TIMEOUT
+ *
+ * Connection errors are logged rather than thrown: the client keeps
+ * reconnecting in the background.
+ *
+ * @param {Object} client - node-redis client, not connected yet
+ * @returns {Promise<Object>} The connected client
+ * @throws {Error} If the server did not answer in time
+ */
+async function connectClient(client) {
+
+    let lastError = null;
+    let timer;
+
+    client.on('error', error => {
+
+        if (error.message !== lastError) {
+            console.error(`[CACHE] ❌ Redis: ${error.message}`);
+        }
+
+        lastError = error.message;
+    });
+
+    client.on('ready', () => { lastError = null; });
+
+    try {
+
+        await Promise.race([
+            client.connect(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`no answer within ${CONNECT_TIMEOUT}ms${lastError ? ` (${lastError})` : ''}`)), CONNECT_TIMEOUT);
+            })
+        ]);
+
+    } catch (error) {
+
+        client.disconnect().catch(() => {});
+        throw error;
+
+    } finally {
+
+        clearTimeout(timer);
+    }
+
+    return client;
+}
+
+
+/**
+ * Creates the store for global.redis
+ *
+ * @param {Object|null} settings - global.redis ({ url, options })
+ * @returns {Promise<Object>} Store instance (memory without settings.url)
+ * @throws {Error} If the redis package is missing (code CACHE_DRIVER_MISSING) or the server is unreachable
+ */
+export async function createCacheStore(settings) {
+
+    if (!settings?.url) {
+        return new MemoryCacheStore();
+    }
+
+    let redis;
+
+    try {
+        redis = await import('redis');
+    } catch {
+        throw Object.assign(new Error("the 'redis' package is not installed (npm install redis)"), { code: 'CACHE_DRIVER_MISSING' });
+    }
+
+    const client = await connectClient(redis.createClient({ ...settings.options, url: settings.url }));
+
+    try {
+        return new RedisCacheStore(client, await connectClient(client.duplicate()));
+    } catch (error) {
+        await client.quit().catch(() => {});
+        throw error;
+    }
+}
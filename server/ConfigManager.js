@@ -0,0 +1,328 @@
+// ============================================
+// ConfigManager.js - Configuration Loading and Hot Reload
+// ============================================
+/**
+ * Owns the active servers.config.json for the whole multihost.
+ *
+ * This class handles:
+ * - Initial configuration loading at boot
+ * - Watching the configuration file (and its environment overlay) for changes
+ * - Reloading on SIGHUP
+ * - Notifying subscribers (routing, microservers) of a new configuration
+ * - Keeping the running configuration when a reload fails
+ *
+ * Design Pattern: Observer Pattern + two-phase commit
+ * - Subscribers register with onChange() and receive (newConfig, oldConfig)
+ * - Each one prepares its new state and returns { commit, discard }: the
+ *   reload is applied only when every subscriber could prepare it
+ *
+ * @author alexandrglm
+ * @version 0.1.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { resolveConfigPath, loadServerConfig } from './server-config.js';
+import { resolveEnvironment, getOverlayPath } from './server-config-environments.js';
+
+
+export class ConfigManager {
+
+    /**
+     * Initialises the ConfigManager
+     *
+     * @param {Object} options - Configuration options
+     * @param {boolean} options.watch - Watch the config file for changes (default: true)
+     * @param {number} options.debounceMs - Delay before reloading after a file event (default: 500)
+     */
+    constructor(options = {}) {
+
+        this.options = {
+            watch: options.watch !== false,
+            debounceMs: options.debounceMs || 500
+        };
+
+        this.config = null;
+        this.configPath = null;
+        this.environment = null;
+
+        // Subscribers notified after a successful reload
+        this.listeners = [];
+
+        // Reload tracking (reported through /api/health)
+        this.loadedAt = null;
+        this.reloadCount = 0;
+        this.lastReloadAt = null;
+        this.lastReloadError = null;
+        this.isReloading = false;
+
+        // Reason of a reload requested while another one was running (run right after it)
+        this.pendingReload = null;
+
+        this.watcher = null;
+        this.debounceTimer = null;
+        this.sighupHandler = null;
+
+        console.log('[CONFIG MANAGER] Initialised configuration manager');
+    }
+
+
+    /**
+     * Loads the configuration for the first time
+     *
+     * @returns {Object} The loaded configuration
+     * @throws {Error} If the configuration cannot be loaded
+     */
+    load() {
+
+        // The environment is chosen once: reloads apply the same overlays
+        this.configPath = resolveConfigPath();
+        this.environment = resolveEnvironment();
+        this.config = loadServerConfig(this.configPath, { environment: this.environment });
+        this.loadedAt = Date.now();
+
+        console.log(`[CONFIG MANAGER] Configuration loaded from ${this.configPath} (environment '${this.environment}')`);
+
+        return this.config;
+    }
+
+
+    /**
+     * Reloads the configuration and notifies subscribers
+     *
+     * If the new file cannot be loaded, the running configuration stays
+     * in effect and the error is kept for health reporting. A reload
+     * requested while another one runs is queued, so the last change to
+     * the file is always applied.
+     *
+     * @param {string} reason - What triggered the reload (file change, SIGHUP...)
+     * @returns {Promise<boolean>} True if the new configuration was applied
+     */
+    async reload(reason = 'manual') {
+
+        if (this.isReloading) {
+
+            console.log(`[CONFIG MANAGER] Reload already in progress, queued (${reason})`);
+            this.pendingReload = reason;
+            return false;
+        }
+
+        this.isReloading = true;
+
+        try {
+
+            let applied = await this.applyReload(reason);
+
+            while (this.pendingReload) {
+
+                const next = this.pendingReload;
+
+                this.pendingReload = null;
+                applied = await this.applyReload(next);
+            }
+
+            return applied;
+
+        } finally {
+
+            this.isReloading = false;
+        }
+    }
+
+
+    /**
+     * Loads the configuration file and notifies subscribers
+     *
+     * Every subscriber prepares the new configuration first. If the file
+     * or one of them rejects it, the prepared changes are discarded and the
+     * running configuration stays in effect everywhere. Otherwise all of
+     * them commit: a commit that fails is reported, the others still apply,
+     * so that the subscribers never disagree on the running configuration.
+     *
+     * @param {string} reason - What triggered the reload
+     * @returns {Promise<boolean>} True if the new configuration was applied
+     */
+    async applyReload(reason) {
+
+        this.lastReloadAt = Date.now();
+
+        console.log(`[CONFIG MANAGER] Reloading configuration (${reason})...`);
+
+        const changes = [];
+        let newConfig;
+
+        try {
+
+            newConfig = loadServerConfig(this.configPath, { environment: this.environment });
+
+            for (const listener of this.listeners) {
+
+                changes.push(await listener(newConfig, this.config) || {});
+            }
+
+        } catch (error) {
+
+            await Promise.allSettled(changes.map(change => change.discard?.()));
+
+            this.recordReloadError(error, reason);
+
+            console.error('[CONFIG MANAGER] ❌ Reload failed, keeping running configuration:', error.message);
+
+            return false;
+        }
+
+        const failures = [];
+
+        for (const change of changes) {
+
+            try {
+                await change.commit?.();
+            } catch (error) {
+                failures.push(error);
+            }
+        }
+
+        this.config = newConfig;
+        this.reloadCount++;
+        this.lastReloadError = null;
+
+        if (failures.length > 0) {
+
+            this.recordReloadError(new Error(`Configuration applied with errors: ${failures.map(error => error.message).join('; ')}`), reason);
+
+            console.error(`[CONFIG MANAGER] ❌ ${this.lastReloadError.message}`);
+
+            return true;
+        }
+
+        console.log(`[CONFIG MANAGER] ✅ Configuration reloaded: ${newConfig.servers.length} microservers`);
+
+        return true;
+    }
+
+
+    /**
+     * Keeps a reload error for health reporting
+     *
+     * @param {Error} error - Why the reload failed
+     * @param {string} reason - What triggered the reload
+     */
+    recordReloadError(error, reason) {
+
+        this.lastReloadError = {
+            message: error.message,
+            errors: error.errors || [],
+            reason: reason,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+
+    /**
+     * Registers a subscriber for configuration changes
+     *
+     * The listener prepares the change without applying it, and returns
+     * { commit, discard } (both optional, may be async): commit applies the
+     * prepared state, discard releases what it holds if the reload is rejected.
+     *
+     * @param {Function} listener - Called with (newConfig, oldConfig), may be async
+     */
+    onChange(listener) {
+
+        this.listeners.push(listener);
+    }
+
+
+    /**
+     * Starts watching the configuration file and listening for SIGHUP
+     *
+     * The parent directory is watched instead of the file itself so that
+     * editors replacing the file (rename on save) are still detected. The
+     * environment overlay file (servers.config.<env>.json) is watched too,
+     * including when it is created later.
+     */
+    watch() {
+
+        this.sighupHandler = () => this.reload('SIGHUP');
+        process.on('SIGHUP', this.sighupHandler);
+
+        if (!this.options.watch) {
+
+            console.log('[CONFIG MANAGER] File watching disabled, reload with SIGHUP');
+            return;
+        }
+
+        const directory = path.dirname(this.configPath);
+        const fileNames = [path.basename(this.configPath), path.basename(getOverlayPath(this.configPath, this.environment))];
+
+        try {
+
+            this.watcher = fs.watch(directory, (eventType, changedFile) => {
+
+                if (!fileNames.includes(changedFile)) {
+                    return;
+                }
+
+                // Editors usually emit several events per save
+                clearTimeout(this.debounceTimer);
+                this.debounceTimer = setTimeout(() => this.reload('file change'), this.options.debounceMs);
+            });
+
+            console.log(`[CONFIG MANAGER] Watching ${this.configPath} and ${fileNames[1]} for changes (SIGHUP also reloads)`);
+
+        } catch (error) {
+
+            console.error('[CONFIG MANAGER] Could not watch configuration file:', error.message);
+        }
+    }
+
+
+    /**
+     * Stops watching the configuration file and removes the SIGHUP listener
+     */
+    stopWatching() {
+
+        clearTimeout(this.debounceTimer);
+
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+
+        if (this.sighupHandler) {
+            process.removeListener('SIGHUP', this.sighupHandler);
+            this.sighupHandler = null;
+        }
+    }
+
+
+    /**
+     * Returns the active configuration
+     *
+     * @returns {Object} The active configuration
+     */
+    getConfig() {
+
+        return this.config;
+    }
+
+
+    /**
+     * Returns configuration manager statistics
+     *
+     * @returns {Object} Reload state and last reload error, if any
+     */
+    getStats() {
+
+        return {
+            configPath: this.configPath,
+            environment: this.environment,
+            loadedAt: this.loadedAt,
+            watching: !!this.watcher,
+            reloadCount: this.reloadCount,
+            lastReloadAt: this.lastReloadAt,
+            lastReloadError: this.lastReloadError
+        };
+    }
+}
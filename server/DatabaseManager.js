@@ -0,0 +1,241 @@
+// ============================================
+// DatabaseManager.js - Microserver Database Connections
+// ============================================
+/**
+ * Opens the database declared by a microserver (or submodule) before it
+ * is set up, hands the connection to it as options.database, checks it
+ * on /api/health and closes it when the instance stops.
+ *
+ *   "database": {
+ *     "type": "json",                  // json | mongodb (may be left out with features.mongodb)
+ *     "connection": "data/db.json",    // file path, or connection string
+ *     "models": ["posts"],
+ *     "options": {},                   // passed to the driver
+ *     "driver": "shared/my-driver.js"  // optional: module exporting connect(), relative to server/
+ *   }
+ *
+ * A driver exports connect(databaseConfig, { key, baseDir }) returning a
+ * handle with collection(name), ping(), close() and optionally getStats().
+ *
+ * Design Pattern: Strategy
+ * - Microservers only talk to the handle; drivers are picked by type
+ */
+
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Built-in drivers, imported on first use
+const BUILT_IN_DRIVERS = {
+    json: './server-database-json.js',
+    mongodb: './server-database-mongodb.js'
+};
+
+export const DATABASE_DRIVERS = Object.keys(BUILT_IN_DRIVERS);
+
+const PING_TIMEOUT = 5000;
+
+
+/**
+ * Returns the driver type of a database block
+ *
+ * @param {Object} databaseConfig - database block
+ * @param {Object} features - Features of the microserver or submodule
+ * @returns {string|undefined} database.type, or "mongodb" when features.mongodb is on
+ */
+export function getDatabaseType(databaseConfig, features = {}) {
+
+    return databaseConfig.type || (features.mongodb ? 'mongodb' : undefined);
+}
+
+
+export class DatabaseManager {
+
+    constructor() {
+
+        // Key: registry key, Value: { type, models, handle, openedAt, health }
+        this.connections = new Map();
+    }
+
+
+    /**
+     * Returns the driver for a database block
+     *
+     * @param {string} type - Database type
+     * @param {Object} databaseConfig - database block
+     * @returns {Promise<Object>} Driver module ({ connect })
+     * @throws {Error} If the type is unknown (code DATABASE_DRIVER_UNKNOWN)
+     */
+    async loadDriver(type, databaseConfig) {
+
+        if (databaseConfig.driver) {
+            return import(pathToFileURL(path.resolve(__dirname, databaseConfig.driver)).href);
+        }
+
+        if (!BUILT_IN_DRIVERS[type]) {
+            throw Object.assign(new Error(`unknown type (expected ${DATABASE_DRIVERS.join(', ')}, or a driver module)`), { code: 'DATABASE_DRIVER_UNKNOWN' });
+        }
+
+        return import(BUILT_IN_DRIVERS[type]);
+    }
+
+
+    /**
+     * Opens the database of an instance
+     *
+     * @param {string} key - Registry key of the instance
+     * @param {Object} databaseConfig - database block
+     * @param {Object} context - { serverPath, features }
+     * @param {string} context.serverPath - Directory of the instance under server/ (relative paths start there)
+     * @returns {Promise<Object>} Connection handle
+     * @throws {Error} If the driver is missing or the database cannot be opened
+     */
+    async open(key, databaseConfig, { serverPath, features } = {}) {
+
+        await this.close(key);
+
+        const type = getDatabaseType(databaseConfig, features);
+
+        try {
+
+            const driver = await this.loadDriver(type, databaseConfig);
+            const handle = await driver.connect(databaseConfig, { key, baseDir: path.resolve(__dirname, serverPath || '.') });
+
+            this.connections.set(key, {
+                type,
+                models: databaseConfig.models || [],
+                handle,
+                openedAt: new Date().toISOString(),
+                health: null
+            });
+
+            console.log(`[DATABASE] ✅ ${key}: ${type} database opened`);
+
+            return handle;
+
+        } catch (error) {
+
+            throw Object.assign(new Error(`Database '${type}' for ${key}: ${error.message}`), { code: error.code || 'DATABASE_UNAVAILABLE' });
+        }
+    }
+
+
+    /**
+     * Returns the open connection of an instance
+     *
+     * @param {string} key - Registry key
+     * @returns {Object|null} Connection handle
+     */
+    get(key) {
+
+        return this.connections.get(key)?.handle || null;
+    }
+
+
+    /**
+     * Pings the database of an instance
+     *
+     * @param {string} key - Registry key
+     * @returns {Promise<Object|null>} { healthy, latencyMs, error?, checkedAt }, null without a database
+     */
+    async check(key) {
+
+        const connection = this.connections.get(key);
+
+        if (!connection) {
+            return null;
+        }
+
+        const startedAt = Date.now();
+        let timer;
+
+        try {
+
+            await Promise.race([
+                connection.handle.ping(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`ping timed out after ${PING_TIMEOUT}ms`)), PING_TIMEOUT);
+                })
+            ]);
+
+            connection.health = { healthy: true, latencyMs: Date.now() - startedAt };
+
+        } catch (error) {
+
+            connection.health = { healthy: false, latencyMs: Date.now() - startedAt, error: error.message };
+
+        } finally {
+
+            clearTimeout(timer);
+        }
+
+        connection.health.checkedAt = new Date().toISOString();
+
+        return connection.health;
+    }
+
+
+    /**
+     * Closes the database of an instance
+     *
+     * @param {string} key - Registry key
+     * @returns {Promise<void>}
+     */
+    async close(key) {
+
+        const connection = this.connections.get(key);
+
+        if (!connection) {
+            return;
+        }
+
+        this.connections.delete(key);
+
+        try {
+            await connection.handle.close();
+            console.log(`[DATABASE] ${key}: ${connection.type} database closed`);
+        } catch (error) {
+            console.error(`[DATABASE] ❌ Failed to close the database of ${key}: ${error.message}`);
+        }
+    }
+
+
+    /**
+     * Closes every open database
+     *
+     * @returns {Promise<void>}
+     */
+    async closeAll() {
+
+        await Promise.all(Array.from(this.connections.keys(), key => this.close(key)));
+    }
+
+
+    /**
+     * Database statistics for /api/health and the admin API
+     *
+     * The connections are only listed for the admin API: /api/health is
+     * public. Connection strings are always left out.
+     *
+     * @param {Object} options
+     * @param {boolean} options.includeDetails - List every connection (default: false)
+     * @returns {Object} { status } or registry key → { type, models, openedAt, health, ...driver stats }
+     */
+    getStats({ includeDetails = false } = {}) {
+
+        if (!includeDetails) {
+            const healthy = Array.from(this.connections.values()).every(connection => connection.health?.healthy !== false);
+
+            return { status: healthy ? 'OK' : 'DEGRADED' };
+        }
+
+        return Object.fromEntries(Array.from(this.connections, ([key, connection]) => [key, {
+            type: connection.type,
+            models: connection.models,
+            openedAt: connection.openedAt,
+            health: connection.health,
+            ...(connection.handle.getStats?.() || {})
+        }]));
+    }
+}
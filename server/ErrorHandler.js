@@ -7,6 +7,9 @@
  * This class handles:
  * 
  * - Global error event listeners (uncaught exceptions, unhandled rejections)
+ * - Crash containment: errors attributed to a microserver only fail that
+ *   microserver, the process exits for the others or past global.crashThreshold
+ * - Final Express 404 and error middleware (per-microserver error pages)
  * - Shutdown signal handling (SIGTERM, SIGINT)
  * - Error logging and reporting
  * - Process cleanup coordination
@@ -21,6 +24,10 @@
  * @version 1.0.0
  */
 
+import { sendErrorResponse } from './server-error-pages.js';
+import { getErrorOwner, DEFAULT_CRASH_THRESHOLD } from './server-crash-containment.js';
+
+
 export class ErrorHandler {
 
     /**
@@ -34,6 +41,10 @@ export class ErrorHandler {
         this.isShuttingDown = false;
         this.setupTime = Date.now();
 
+        // Contained crashes, for global.crashThreshold: [{ microserver, at }]
+        this.recentCrashes = [];
+        this.containedCrashCount = 0;
+
         console.log('[ERROR HANDLER] Initialised error handling system');
     }
 
@@ -55,6 +66,10 @@ export class ErrorHandler {
       
         console.log('[ERROR HANDLER] Setting up global error handlers...');
 
+
+        // Final Express handlers, after every microserver router
+        this.setupExpressHandlers();
+
       
         // Handle uncaught exceptions
         process.on('uncaughtException', (error) => this.handleUncaughtException(error));
@@ -79,14 +94,84 @@ export class ErrorHandler {
 
 
 
+    /**
+     * Installs the final Express middlewares
+     *
+     * - Not found: nothing (microserver routes, SPA catchall, health endpoints) answered
+     * - Error: an error was thrown or passed to next() inside a route
+     *
+     * Both answer through sendErrorResponse(), which uses the custom error
+     * pages or the JSON envelope of the microserver in req.targetModule.
+     * Must be called after all routes are mounted.
+     */
+    setupExpressHandlers() {
+
+        const app = this.serverManager.getApp();
+
+        app.use((req, res) => {
+
+            sendErrorResponse(req, res, 404, { message: `Cannot ${req.method} ${req.originalUrl}` });
+        });
+
+        // Express recognises error middleware by its four parameters
+        app.use((error, req, res, next) => this.handleRequestError(error, req, res, next));
+
+        console.log('[ERROR HANDLER] ✅ Express not found and error handlers installed');
+    }
+
+
+    /**
+     * Handles an error raised while serving a request
+     *
+     * Client errors (4xx with error.status, e.g. from body-parser) keep
+     * their status and message. Anything else becomes a 500; its message
+     * is only shown outside production.
+     *
+     * @param {Error} error - The request error
+     * @param {Express.Request} req - Express request object
+     * @param {Express.Response} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    handleRequestError(error, req, res, next) {
+
+        // Errors raised before domain routing (e.g. body parsing) skipped it
+        if (!req.targetModule && this.serverManager.resolveTarget) {
+
+            const target = this.serverManager.resolveTarget(req);
+
+            req.targetModule = target.serverName;
+            req.serverConfig = target.serverConfig;
+        }
+
+        const status = error.status || error.statusCode;
+        const isClientError = status >= 400 && status < 500;
+
+        if (!isClientError) {
+            this.logError(error, `${req.targetModule || 'unrouted'} ${req.method} ${req.originalUrl}`);
+        }
+
+        // Too late for an error page: let Express close the connection
+        if (res.headersSent) {
+            return next(error);
+        }
+
+        const exposeMessage = isClientError || error.expose || process.env.NODE_ENV !== 'production';
+
+        sendErrorResponse(req, res, status >= 400 && status < 600 ? status : 500, {
+            message: exposeMessage ? error.message : undefined
+        });
+    }
+
+
     /**
      * Handles uncaught exceptions
      *
      * Uncaught exceptions are serious errors that can crash the application.
      * This handler:
      * 1. Logs detailed error information
-     * 2. Attempts graceful shutdown if possible
-     * 3. Exits the process to prevent undefined behaviour
+     * 2. Contains the crash if it comes from a microserver (see containCrash)
+     * 3. Otherwise attempts graceful shutdown and exits the process to
+     *    prevent undefined behaviour
      *
      * @param {Error} error - The uncaught exception
      */
@@ -104,6 +189,10 @@ export class ErrorHandler {
         if (error.syscall) console.error('[ERROR HANDLER] Syscall:', error.syscall);
         if (error.path) console.error('[ERROR HANDLER] Path:', error.path);
 
+        if (this.containCrash(error)) {
+            return;
+        }
+
         // Attempt graceful shutdown, but with timeout
         this.emergencyShutdown('UNCAUGHT_EXCEPTION', error);
     }
@@ -137,7 +226,11 @@ export class ErrorHandler {
         console.error('[ERROR HANDLER] Type:', typeof reason);
         console.error('[ERROR HANDLER] String representation:', String(reason));
 
-        
+
+        if (this.containCrash(reason)) {
+            return;
+        }
+
         
         // In Node.js 15+, unhandled rejections will terminate the process
         // Handle this gracefully
@@ -146,6 +239,50 @@ export class ErrorHandler {
 
 
 
+    /**
+     * Hands a crash to the microserver it is attributed to
+     *
+     * The process keeps running when the error belongs to a microserver
+     * (its route, socket handler, timer or promise) and fewer than
+     * global.crashThreshold.count crashes happened within its window.
+     *
+     * @param {Error|any} error - Uncaught exception or rejection reason
+     * @returns {boolean} True if the crash was contained
+     */
+    containCrash(error) {
+
+        const owner = getErrorOwner(error);
+
+        if (!owner || this.isShuttingDown) {
+
+            console.error('[ERROR HANDLER] Error cannot be attributed to a microserver');
+            return false;
+        }
+
+        const threshold = { ...DEFAULT_CRASH_THRESHOLD, ...this.serverManager.getConfig()?.global?.crashThreshold };
+        const now = Date.now();
+
+        this.recentCrashes = this.recentCrashes.filter(crash => now - crash.at < threshold.window);
+        this.recentCrashes.push({ microserver: owner, at: now });
+
+        if (this.recentCrashes.length > threshold.count) {
+
+            console.error(`[ERROR HANDLER] ❌ ${this.recentCrashes.length} microserver crashes within ${threshold.window}ms (threshold: ${threshold.count})`);
+            return false;
+        }
+
+        if (!this.serverManager.microserverManager.handleCrash(owner, error)) {
+            return false;
+        }
+
+        this.containedCrashCount++;
+
+        console.error(`[ERROR HANDLER] ✅ Crash contained in ${owner}, other microservers keep running`);
+        return true;
+    }
+
+
+
     /**
      * Handles shutdown signals from the operating system
      *
@@ -361,6 +498,8 @@ export class ErrorHandler {
             isShuttingDown: this.isShuttingDown,
             uptime: Date.now() - this.setupTime,
             handlersConfigured: true,
+            containedCrashes: this.containedCrashCount,
+            recentCrashes: this.recentCrashes.length,
             processId: process.pid,
             platform: process.platform,
             nodeVersion: process.version
@@ -24,6 +24,13 @@
  * @version 1.0.0
  */
 
+import { listRules } from './server-rules.js';
+import { getConfigSource } from './server-config.js';
+
+// healthCheck hooks, database and cache pings run at most this often (ms)
+const PROBE_INTERVAL = 10000;
+
+
 export class HealthManager {
     /**
      * Initialises the HealthManager
@@ -35,6 +42,9 @@ export class HealthManager {
         this.serverManager = serverManager;
         this.setupTime = Date.now();
 
+        // Last probe run: { startedAt, promise }, shared by the requests in between
+        this.probe = null;
+
         console.log('[HEALTH MANAGER] Initialised health monitoring system');
     }
 
@@ -76,6 +86,7 @@ export class HealthManager {
      * - Current request routing information
      * - Microserver configuration and status
      * - Individual microserver statistics
+     * - Microserver lifecycle states (after running their healthCheck hooks)
      * - System resource usage
      *
      * This endpoint is designed to be called by:
@@ -86,9 +97,12 @@ export class HealthManager {
      * @param {Express.Request} req - Express request object
      * @param {Express.Response} res - Express response object
      */
-    handleHealthCheck(req, res) {
+    async handleHealthCheck(req, res) {
      
         try {
+
+            // healthCheck hooks may move microservers between ready and degraded
+            await this.runProbes();
      
             const healthData = this.buildHealthResponse(req);
 
@@ -113,6 +127,43 @@ export class HealthManager {
     }
 
 
+    /**
+     * Runs the healthCheck hooks, database and cache pings
+     *
+     * /api/health is public: probes run at most once per PROBE_INTERVAL,
+     * requests in between get the results of the last run.
+     *
+     * @returns {Promise<void>}
+     */
+    async runProbes() {
+
+        if (this.probe && Date.now() - this.probe.startedAt < PROBE_INTERVAL) {
+            return this.probe.promise;
+        }
+
+        const probe = {
+            startedAt: Date.now(),
+            promise: (async () => {
+                await this.serverManager.microserverManager.checkHealth();
+                await this.serverManager.cacheManager.check();
+            })()
+        };
+
+        this.probe = probe;
+
+        try {
+            await probe.promise;
+        } catch (error) {
+            // A failed run is not reused
+            if (this.probe === probe) {
+                this.probe = null;
+            }
+
+            throw error;
+        }
+    }
+
+
     /**
      * Builds comprehensive health response data
      *
@@ -132,10 +183,17 @@ export class HealthManager {
         const serverStats = this.serverManager.getStats();
         const microserverManager = this.serverManager.microserverManager;
 
+        const configStats = serverStats.configuration;
+        const lifecycle = microserverManager.getLifecycleStats();
+        const hasDegraded = Object.values(lifecycle).some(entry => entry.state === 'degraded');
+        const cache = this.serverManager.cacheManager.getStats();
+
         // Basic server information
         const healthData = {
     
-            status: 'OK',
+            // A failed reload, a failed/degraded microserver or a cache off Redis leaves the rest running: degraded, not down
+            status: configStats.lastReloadError || serverStats.microservers.failed.length > 0 || hasDegraded ||
+                cache.fallback || cache.health?.healthy === false ? 'DEGRADED' : 'OK',
             timestamp: new Date().toISOString(),
             uptime: process.uptime(),
             environment: process.env.NODE_ENV || 'development',
@@ -151,17 +209,40 @@ export class HealthManager {
             // Server manager statistics
             server: serverStats.server,
 
+            // Configuration hot reload state (lastReloadError is set when a reload was rejected)
+            configuration: configStats,
+
             // Microserver configuration and status
             microservers: {
-                total: config.servers.length,
-                active: microserverManager.instances.size,
+                // Microservers and their submodules, in both counts
+                total: microserverManager.getTotalCount(),
+                active: microserverManager.getActiveCount(),
+                failed: serverStats.microservers.failed,
                 dynamicImports: microserverManager.setupFunctions.size,
                 configured: this.buildMicroserverConfigList(config.servers, microserverManager)
             },
 
+            // Microservers in maintenance (and their maintenance settings)
+            maintenance: this.serverManager.maintenanceManager.getStats(),
+
+            // Rate limit store, trusted proxies and per-microserver rules and counters
+            rateLimit: this.serverManager.rateLimitManager.getStats(),
+
+            // Whether authentication is enabled and its stores are open (details under /api/admin/authentication)
+            authentication: this.serverManager.authenticationManager.getStats(),
+
+            // Cache backend (Redis or in-memory fallback), connection state and last ping
+            cache: cache,
+
+            // Whether the databases of in-process microservers answered their last ping (details under /api/admin/databases)
+            databases: microserverManager.databases.getStats(),
+
             // Individual microserver statistics
             stats: microserverManager.getMicroserverStats(),
 
+            // Lifecycle state, transitions and last health check of every microserver and submodule
+            lifecycle: lifecycle,
+
             // System resource information
             system: {
                 memory: process.memoryUsage(),
@@ -197,9 +278,15 @@ export class HealthManager {
             domains: server.domains,
             features: server.server.features,
             hasInstance: microserverManager.isActive(server.name),
+            type: server.server.type || 'module',
+            upstream: server.server.upstream,
+            isolation: server.server.isolation,
+            dependsOn: server.server.dependsOn || [],
             setupFunction: server.server.setupFunction,
             routes: server.server.routes || [],
-            status: microserverManager.isActive(server.name) ? 'active' : 'inactive'
+            maintenance: this.serverManager.maintenanceManager.isInMaintenance(server.name),
+            status: microserverManager.isActive(server.name) ? 'active' : 'inactive',
+            state: microserverManager.getState(server.name)
         }));
     }
 
@@ -264,14 +351,32 @@ export class HealthManager {
         const config = this.serverManager.getConfig();
         const microserverManager = this.serverManager.microserverManager;
 
+        // Shown as written in the file: ${VAR} and "$file" values stay unresolved
+        const source = getConfigSource(config);
+        const rawConfig = source ? source.raw : config;
+
         return {
             loadedAt: new Date().toISOString(),
             setupTime: this.setupTime,
 
-            // Complete server configuration
-            servers: config.servers,
-            default: config.default,
-            global: config.global,
+            // Complete server configuration (environment overlays merged)
+            servers: rawConfig.servers,
+            default: rawConfig.default,
+            global: rawConfig.global,
+
+            // Resolved ${VAR} / "$file" references (names only, never values)
+            references: source ? source.references : [],
+
+            // Servers added from microserver.json manifests (global.discovery)
+            discovered: source ? source.discovered.map(({ name, manifestPath }) => ({ name, manifestPath })) : [],
+
+            // Environment overlays merged into servers/default/global, and the
+            // overlay that set each value (values not listed come from the base file)
+            environment: source ? {
+                name: source.environment.name,
+                overlays: source.environment.overlays,
+                sources: source.environment.sources
+            } : null,
 
             // Dynamic import information
             dynamicImports: {
@@ -289,6 +394,10 @@ export class HealthManager {
             },
 
             
+            // Services shared between microservers (provide/consume)
+            services: microserverManager.services.list(),
+
+
             // Domain and routing information
             routing: {
             
@@ -296,7 +405,10 @@ export class HealthManager {
             
                 defaultServer: config.default.serverName,
             
-                serverDomainMapping: this.buildDomainMapping(config.servers)
+                serverDomainMapping: this.buildDomainMapping(config.servers),
+
+                // Active redirect and rewrite rules (global, then per server)
+                rules: listRules(config)
             },
 
             
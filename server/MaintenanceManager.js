@@ -0,0 +1,339 @@
+// ============================================
+// MaintenanceManager.js - Per-Microserver Maintenance Mode
+// ============================================
+/**
+ * Keeps the maintenance state of every microserver.
+ *
+ * This class handles:
+ * - Initial state from the `maintenance` block of servers.config.json
+ * - Runtime toggles from the admin API (AdminManager)
+ * - The routing gate answering 503 while a microserver is in maintenance,
+ *   for WebSocket upgrades too, whose open connections are closed when
+ *   maintenance starts
+ * - IP allowlists that bypass maintenance
+ * - Maintenance state reporting for /api/health
+ *
+ *   "maintenance": {
+ *     "enabled": false,
+ *     "page": "maintenance.html",
+ *     "retryAfter": 3600,
+ *     "message": "Back soon",
+ *     "allowIPs": ["127.0.0.1", "10.0.0.0/8"]
+ *   }
+ *
+ * A runtime toggle lasts until the next toggle, or until the microserver's
+ * `maintenance` block is changed in the configuration file.
+ *
+ * Design Pattern: State + Gate
+ * - One state per microserver, enforced by a single routing gate
+ */
+
+import { sendErrorResponse } from './server-error-pages.js';
+import { buildAllowList, isAllowed } from './server-client-ip.js';
+
+// Multihost endpoints keep answering during maintenance
+const EXEMPT_PATHS = ['/api/health', '/api/config', '/api/admin'];
+
+const DEFAULT_RETRY_AFTER = 3600;
+
+
+export class MaintenanceManager {
+
+    /**
+     * Initialises the MaintenanceManager
+     *
+     * @param {ServerManager} serverManager - Reference to the main server manager
+     */
+    constructor(serverManager) {
+
+        this.serverManager = serverManager;
+
+        // Key: microserver name
+        // Value: { enabled, source, since, message, retryAfter, page, allowIPs, allowList }
+        this.states = new Map();
+
+        console.log('[MAINTENANCE] Initialised maintenance manager');
+    }
+
+
+    /**
+     * Builds the state of a microserver from its configuration
+     *
+     * @param {Object} serverConfig - Configuration for a single microserver
+     * @returns {Object} Maintenance state
+     */
+    buildState(serverConfig) {
+
+        const maintenance = serverConfig.maintenance || {};
+        const allowIPs = maintenance.allowIPs || [];
+
+        return {
+            enabled: maintenance.enabled === true,
+            source: 'config',
+            since: maintenance.enabled === true ? new Date().toISOString() : null,
+            message: maintenance.message || `${serverConfig.description || serverConfig.name} is under maintenance`,
+            retryAfter: maintenance.retryAfter || DEFAULT_RETRY_AFTER,
+            page: maintenance.page || null,
+            allowIPs: allowIPs,
+            allowList: buildAllowList(allowIPs)
+        };
+    }
+
+
+    /**
+     * Loads the maintenance state of all microservers from configuration
+     *
+     * @param {Object} config - Server configuration from servers.config.json
+     */
+    loadFromConfig(config) {
+
+        this.states.clear();
+
+        config.servers.forEach(serverConfig => {
+
+            this.states.set(serverConfig.name, this.buildState(serverConfig));
+        });
+
+        const active = this.getActive();
+
+        console.log(`[MAINTENANCE] ✅ Maintenance state loaded${active.length ? `, in maintenance: ${active.join(', ')}` : ''}`);
+    }
+
+
+    /**
+     * Builds the maintenance states of a reloaded configuration, without using them yet
+     *
+     * Microservers whose `maintenance` block did not change keep their
+     * current (possibly runtime-toggled) state.
+     *
+     * @param {Object} newConfig - Reloaded configuration
+     * @param {Object} oldConfig - Previously active configuration
+     * @returns {Object} { commit } - switches to the new states
+     */
+    prepareConfigChange(newConfig, oldConfig) {
+
+        const oldServers = new Map(oldConfig.servers.map(server => [server.name, server]));
+        const changed = new Map();
+
+        newConfig.servers.forEach(serverConfig => {
+
+            const oldServer = oldServers.get(serverConfig.name);
+
+            if (!oldServer || JSON.stringify(oldServer.maintenance) !== JSON.stringify(serverConfig.maintenance)) {
+                changed.set(serverConfig.name, this.buildState(serverConfig));
+            }
+        });
+
+        return {
+            // Unchanged microservers are read at commit time, toggles made meanwhile are kept
+            commit: () => {
+
+                const wasEnabled = new Set(this.getActive());
+
+                this.states = new Map(newConfig.servers.map(serverConfig => [
+                    serverConfig.name,
+                    changed.get(serverConfig.name) || this.states.get(serverConfig.name) || this.buildState(serverConfig)
+                ]));
+
+                this.getActive()
+                    .filter(name => !wasEnabled.has(name))
+                    .forEach(name => this.disconnectClients(name));
+            }
+        };
+    }
+
+
+    /**
+     * Turns maintenance on or off for a microserver at runtime
+     *
+     * @param {string} serverName - Name of the microserver
+     * @param {Object} options - { enabled, message, retryAfter }
+     * @returns {Object} The new maintenance state
+     * @throws {Error} If the microserver does not exist
+     */
+    setMaintenance(serverName, options = {}) {
+
+        const current = this.states.get(serverName);
+
+        if (!current) {
+            throw new Error(`Unknown microserver: ${serverName}`);
+        }
+
+        const enabled = options.enabled === true;
+
+        const state = {
+            ...current,
+            enabled: enabled,
+            source: 'admin',
+            since: enabled ? (current.enabled ? current.since : new Date().toISOString()) : null,
+            message: options.message || current.message,
+            retryAfter: options.retryAfter || current.retryAfter
+        };
+
+        this.states.set(serverName, state);
+
+        console.log(`[MAINTENANCE] ${serverName} maintenance ${enabled ? 'ENABLED' : 'disabled'} (admin)`);
+
+        if (enabled && !current.enabled) {
+            this.disconnectClients(serverName);
+        }
+
+        return state;
+    }
+
+
+    /**
+     * Closes the WebSocket connections of a microserver entering maintenance
+     *
+     * Allowlisted clients keep theirs. Socket.IO polling clients get 503 on
+     * their next request.
+     *
+     * @param {string} serverName - Name of the microserver
+     */
+    disconnectClients(serverName) {
+
+        const state = this.states.get(serverName);
+        const closed = this.serverManager.microserverManager.closeUpgrades(serverName,
+            ip => !!state.allowList && isAllowed(state.allowList, ip));
+
+        if (closed > 0) {
+            console.log(`[MAINTENANCE] ${serverName}: closed ${closed} WebSocket connection(s)`);
+        }
+    }
+
+
+    /**
+     * Tells whether a microserver is in maintenance
+     *
+     * @param {string} serverName - Name of the microserver
+     * @returns {boolean} True while in maintenance
+     */
+    isInMaintenance(serverName) {
+
+        return this.states.get(serverName)?.enabled === true;
+    }
+
+
+    /**
+     * Finds the maintenance state refusing a request
+     *
+     * @param {string} serverName - Name of the microserver the request is routed to
+     * @param {string} url - Request URL, relative to the microserver
+     * @param {string} ip - Client IP
+     * @returns {Object|null} The maintenance state, or null when the request may pass
+     */
+    getRefusal(serverName, url, ip) {
+
+        const state = this.states.get(serverName);
+
+        if (!state?.enabled || isExemptPath(url) || (state.allowList && isAllowed(state.allowList, ip))) {
+            return null;
+        }
+
+        return state;
+    }
+
+
+    /**
+     * Returns the routing gate enforcing maintenance
+     *
+     * Runs after domain detection (req.targetModule is set). Exempt paths
+     * and allowlisted client IPs pass through.
+     *
+     * @returns {Function} Express middleware
+     */
+    middleware() {
+
+        return (req, res, next) => {
+
+            const state = this.getRefusal(req.targetModule, req.url, req.ip);
+
+            if (!state) {
+                return next();
+            }
+
+            sendErrorResponse(req, res, 503, {
+                message: state.message,
+                page: state.page,
+                headers: { 'Retry-After': String(state.retryAfter) }
+            });
+        };
+    }
+
+
+    /**
+     * Checks a WebSocket upgrade (upgrades never reach the routing gates)
+     *
+     * @param {string} serverName - Name of the microserver the upgrade is routed to
+     * @param {string} url - Upgrade URL, relative to the microserver
+     * @param {string} ip - Client IP
+     * @returns {Object|null} Refusal { status, message, headers }, or null when the upgrade may pass
+     */
+    checkUpgrade(serverName, url, ip) {
+
+        const state = this.getRefusal(serverName, url, ip);
+
+        return state ? { status: 503, message: state.message, headers: { 'Retry-After': String(state.retryAfter) } } : null;
+    }
+
+
+    /**
+     * Returns the names of the microservers in maintenance
+     *
+     * @returns {Array<string>} Microserver names
+     */
+    getActive() {
+
+        return Array.from(this.states.entries())
+            .filter(([, state]) => state.enabled)
+            .map(([name]) => name);
+    }
+
+
+    /**
+     * Returns maintenance statistics for /api/health and the admin API
+     *
+     * The allowed IPs are only listed for the admin API: /api/health is public.
+     *
+     * @param {Object} options
+     * @param {boolean} options.includeAllowIPs - Add each microserver's allowIPs (default: false)
+     * @returns {Object} { active, microservers } without internal fields
+     */
+    getStats({ includeAllowIPs = false } = {}) {
+
+        const microservers = {};
+
+        for (const [name, state] of this.states) {
+
+            microservers[name] = {
+                enabled: state.enabled,
+                source: state.source,
+                since: state.since,
+                message: state.message,
+                retryAfter: state.retryAfter,
+                ...(includeAllowIPs ? { allowIPs: state.allowIPs } : {})
+            };
+        }
+
+        return {
+            active: this.getActive(),
+            microservers
+        };
+    }
+}
+
+
+/**
+ * Tells whether a URL is a multihost endpoint that keeps answering
+ * while its microserver is unavailable (maintenance, stopped)
+ *
+ * @param {string} url - Request URL (query string allowed)
+ * @returns {boolean} True for /api/health, /api/config and /api/admin
+ */
+export function isExemptPath(url) {
+
+    const pathname = url.split('?')[0];
+
+    return EXEMPT_PATHS.some(exempt => pathname === exempt || pathname.startsWith(`${exempt}/`));
+}
+
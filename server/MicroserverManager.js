@@ -9,7 +9,8 @@
  * - Microserver instance management and registry
  * - Setup function execution with proper error handling
  * - Statistics collection and cleanup coordination
- * - SUBMODULES: Dynamic loading and setup of microserver submodules
+ * - SUBMODULES: Dynamic loading and setup of microserver submodules, nested
+ *   to any depth (server-submodules.js)
  *
  * Key Features:
  * - Configuration-driven module loading (no hardcoded paths)
@@ -22,8 +23,88 @@
  * - Maintains a registry of loaded modules and instances
  * - Factory methods for creating and configuring microserver instances
  *
+ * Route isolation:
+ * - Each microserver (and each of its submodules) receives its own Express router
+ *   instead of the shared app, gated on req.targetModule
+ *
+ * Lifecycle:
+ * - Every microserver and submodule goes through the states and hooks of
+ *   server-lifecycle.js (loading → initialising → ready ⇄ degraded →
+ *   stopping → stopped, or failed), driven by this manager
+ * - Bare setup functions are adapted to the same contract
+ *
+ * Dependencies:
+ * - Instances start after what they depend on (server.dependsOn, dependsOn
+ *   on submodule entries, a submodule on its parent) and stop before it;
+ *   independent instances are set up concurrently (server-dependencies.js)
+ *
+ * Services:
+ * - Setup options carry provide() and consume() bound to the instance
+ *   (ServiceRegistry.js); services are handed out once their provider is
+ *   ready and withdrawn when it stops or fails
+ *
+ * Crash containment:
+ * - Setup, hooks, routers and server facade listeners run in the context of
+ *   their instance (server-crash-containment.js), so the ErrorHandler can
+ *   hand an uncaught error to handleCrash() instead of exiting
+ * - A crashed instance is failed and restarted according to its restart policy
+ *
  */
 
+import express from 'express';
+
+import { setupProxy } from './server-proxy.js';
+import { isolatedMicroserver } from './server-isolation.js';
+import { createServerFacade } from './server-http-facade.js';
+import { ServiceRegistry } from './ServiceRegistry.js';
+import { DatabaseManager } from './DatabaseManager.js';
+import { buildDependencyGraph, sortByDependencies, runInDependencyOrder } from './server-dependencies.js';
+import { listSubmodules, isDescendantOf } from './server-submodules.js';
+import {
+    runInMicroserver,
+    bindToMicroserver,
+    resolveRestartPolicy,
+    getRestartDelay
+} from './server-crash-containment.js';
+import { isExemptPath } from './MaintenanceManager.js';
+import { sendErrorResponse } from './server-error-pages.js';
+import {
+    LIFECYCLE_STATES,
+    MicroserverLifecycle,
+    isLifecycleDefinition,
+    getInitHook,
+    bindHooks,
+    runHook,
+    normaliseHealth
+} from './server-lifecycle.js';
+
+// Built-in setup function used by servers with server.type "proxy"
+const PROXY_SETUP_FUNCTION = 'setupProxy';
+
+// Built-in lifecycle definition used by servers with server.isolation
+const ISOLATED_SETUP_FUNCTION = 'isolatedMicroserver';
+
+// Default limit for a setup function to resolve (server.setupTimeout overrides it)
+const DEFAULT_SETUP_TIMEOUT = 30000;
+
+// Limits for the ready/stop/onConfigChange hooks and for healthCheck
+const DEFAULT_HOOK_TIMEOUT = 10000;
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+// A crashed instance that ran this long since its last restart gets its retries back
+const CRASH_STABLE_PERIOD = 60000;
+
+// runAction name of restarts made by the restart policy (admin actions reset the retries)
+const AUTO_RESTART_ACTION = 'automatic restart';
+
+// States in which a microserver's domains answer 503 (see availabilityGate)
+const UNAVAILABLE_STATES = [
+    LIFECYCLE_STATES.LOADING,
+    LIFECYCLE_STATES.INITIALISING,
+    LIFECYCLE_STATES.STOPPING,
+    LIFECYCLE_STATES.STOPPED
+];
+
 export class MicroserverManager {
     /**
      * Initialises the MicroserverManager
@@ -35,14 +116,43 @@ export class MicroserverManager {
 
         // Module registry - stores dynamically loaded setup functions
         // Key: function name (e.g., 'setupWebshell')
-        // Value: actual function reference
+        // Value: setup function or lifecycle definition (see server-lifecycle.js)
         this.setupFunctions = new Map();
 
-        // Instance registry - stores configured microserver instances
-        // Key: microserver name (e.g., 'develrun') OR 'parentName-submoduleName' for submodules
-        // Value: { instance, config, setupFunction, parent? }
+        // Instance registry - one entry per microserver from the moment its module is loaded
+        // Key: microserver name (e.g., 'develrun') OR submodule instance key ('parentKey-submoduleName' unless set)
+        // Value: { instance, hooks, config, setupFunction, router, lifecycle, health, error?, parent?, root?, attachment?, crash? }
+        // instance: value returned by init (null until ready, or after a failure)
+        // parent, root, attachment (submodules): parent registry key, microserver name, attachment (see listSubmodules)
+        // crash: { count, attempts, lastCrash, restartedAt, timer, nextRestartAt } once it crashed
         this.instances = new Map();
 
+        // Isolated routers currently receiving requests, in mount order
+        // Value: { targetModule, owner, router, handler } (see createIsolatedRouter)
+        this.attachedRouters = [];
+        this.isDispatcherMounted = false;
+
+        // WebSocket upgrade handlers registered through setup options
+        // Key: microserver name, Value: (req, socket, head) => void
+        this.upgradeHandlers = new Map();
+
+        // HTTP server facades handed to running instances (see server-http-facade.js)
+        // Key: registry key, Value: facade
+        this.serverFacades = new Map();
+
+        // Upgraded connections (WebSockets), closed when their microserver goes into maintenance
+        // Key: microserver name, Value: Map of socket → client IP
+        this.upgradedSockets = new Map();
+
+        // Registry keys with an admin action (stop/start/restart/reload) in progress
+        this.pendingActions = new Set();
+
+        // Services shared between instances (provide/consume in setup options)
+        this.services = new ServiceRegistry({ isAvailable: name => this.isActive(name) });
+
+        // Databases declared by in-process instances (database block), opened before init
+        this.databases = new DatabaseManager();
+
         // Loading state tracking
         this.isLoaded = false;
         this.loadedModuleCount = 0;
@@ -80,7 +190,7 @@ export class MicroserverManager {
             await this.loadSingleModule(serverConfig);
             
             // SUBMODULES: Load submodule functions if defined
-            if (serverConfig.server.submodules && serverConfig.server.submodules.length > 0) {
+            if (this.hasInProcessSubmodules(serverConfig)) {
                 await this.loadSubmodules(serverConfig);
             }
         }
@@ -111,9 +221,36 @@ export class MicroserverManager {
      * 5. Register the function in the setup function registry
      *
      * @param {Object} serverConfig - Configuration for a single microserver
+     * @param {Object} options - Loading options
+     * @param {boolean} options.cacheBust - Import a fresh copy of the module (reload)
      * @returns {Promise<void>}
      */
-    async loadSingleModule(serverConfig) {
+    async loadSingleModule(serverConfig, options = {}) {
+        this.trackEntry(serverConfig.name, {
+            config: serverConfig,
+            setupFunction: this.getSetupFunctionName(serverConfig)
+        });
+
+        // Proxy microservers use the built-in setupProxy, nothing to import
+        if (serverConfig.server.type === 'proxy') {
+            this.setupFunctions.set(PROXY_SETUP_FUNCTION, setupProxy);
+            this.loadedModuleCount++;
+
+            console.log(`[DYNAMIC-IMPORT] Processing: ${serverConfig.name}`);
+            console.log(`[DYNAMIC-IMPORT]   ✅ Proxy to ${serverConfig.server.upstream}, using built-in '${PROXY_SETUP_FUNCTION}'`);
+            return;
+        }
+
+        // Isolated microservers are imported by their child process or worker
+        if (serverConfig.server.isolation) {
+            this.setupFunctions.set(ISOLATED_SETUP_FUNCTION, isolatedMicroserver);
+            this.loadedModuleCount++;
+
+            console.log(`[DYNAMIC-IMPORT] Processing: ${serverConfig.name}`);
+            console.log(`[DYNAMIC-IMPORT]   ✅ Runs in a ${serverConfig.server.isolation}, using built-in '${ISOLATED_SETUP_FUNCTION}'`);
+            return;
+        }
+
         // Extract configuration values for this microserver
         const setupFunctionName = serverConfig.server.setupFunction;  // e.g., "setupWebshell"
         const serverPath = serverConfig.paths.server;                 // e.g., "1-develrun-server"
@@ -134,18 +271,18 @@ export class MicroserverManager {
         try {
             // Dynamic import - loads module at runtime
             // Returns a Promise that resolves to the module's exports
-            const importedModule = await import(serverFilePath);
+            const importedModule = await import(this.getImportPath(serverFilePath, options));
 
             console.log(`[DYNAMIC-IMPORT]   ✅ Module imported successfully`);
             console.log(`[DYNAMIC-IMPORT]   - Available exports:`, Object.keys(importedModule));
 
-            // Extract the specific setup function from the module
+            // Extract the specific setup function (or lifecycle definition) from the module
             const setupFunction = importedModule[setupFunctionName];
 
-            // Validate that the function exists and is callable
-            if (typeof setupFunction !== 'function') {
+            // Validate that the export is callable or defines an init hook
+            if (!getInitHook(setupFunction)) {
                 throw new Error(
-                    `Function '${setupFunctionName}' not found in module or is not a function. ` +
+                    `Function '${setupFunctionName}' not found in module, or is neither a function nor a lifecycle definition. ` +
                     `Available: ${Object.keys(importedModule)}`
                 );
             }
@@ -154,10 +291,11 @@ export class MicroserverManager {
             this.setupFunctions.set(setupFunctionName, setupFunction);
             this.loadedModuleCount++;
 
-            console.log(`[DYNAMIC-IMPORT]   ✅ Function '${setupFunctionName}' registered successfully`);
+            console.log(`[DYNAMIC-IMPORT]   ✅ ${isLifecycleDefinition(setupFunction) ? 'Lifecycle definition' : 'Function'} '${setupFunctionName}' registered successfully`);
 
         } catch (importError) {
             this.failedModuleCount++;
+            this.markFailed(serverConfig.name, importError);
 
             console.error(`[DYNAMIC-IMPORT]   ❌ Failed to import ${serverFilePath}:`);
             console.error(`[DYNAMIC-IMPORT]      Error: ${importError.message}`);
@@ -170,22 +308,40 @@ export class MicroserverManager {
         }
     }
 
+    /**
+     * Returns the specifier to import a module file with
+     *
+     * ES modules are cached by URL: a reload adds a unique query string so
+     * the file is evaluated again. Modules it imports stay cached.
+     *
+     * @param {string} filePath - Path relative to server/
+     * @param {Object} options - { cacheBust }
+     * @returns {string} Import specifier
+     */
+    getImportPath(filePath, options = {}) {
+        return options.cacheBust ? `${filePath}?reload=${Date.now()}` : filePath;
+    }
+
     /**
      * SUBMODULES: Loads all submodule functions for a microserver
      *
      * Submodules are optional API modules that can be attached to a parent microserver.
      * They share the same Express app and HTTP server but maintain separate route logic.
+     * Nested submodules are loaded too, parents first.
      *
      * Example use case: DailySmarty API as submodule of WebShell microserver
      *
      * @param {Object} parentConfig - Parent microserver configuration
+     * @param {Object} options - Loading options (see loadSingleModule)
      * @returns {Promise<void>}
      */
-    async loadSubmodules(parentConfig) {
-        console.log(`[SUBMODULES-IMPORT] Loading ${parentConfig.server.submodules.length} submodules for ${parentConfig.name}...`);
+    async loadSubmodules(parentConfig, options = {}) {
+        const attachments = listSubmodules(parentConfig);
+
+        console.log(`[SUBMODULES-IMPORT] Loading ${attachments.length} submodules for ${parentConfig.name}...`);
 
-        for (const submodule of parentConfig.server.submodules) {
-            await this.loadSingleSubmodule(submodule, parentConfig);
+        for (const attachment of attachments) {
+            await this.loadSingleSubmodule(attachment, options);
         }
     }
 
@@ -193,39 +349,48 @@ export class MicroserverManager {
      * SUBMODULES: Loads a single submodule function
      *
      * Similar to loadSingleModule but for submodules attached to a parent microserver
+     * (or submodule). The file is looked up in the submodule's paths.server,
+     * or in its parent's directory, and registered under its instance key.
      *
-     * @param {Object} submodule - Submodule configuration
-     * @param {Object} parentConfig - Parent microserver configuration
+     * @param {Object} attachment - Submodule attachment (see listSubmodules)
+     * @param {Object} options - Loading options (see loadSingleModule)
      * @returns {Promise<void>}
      */
-    async loadSingleSubmodule(submodule, parentConfig) {
+    async loadSingleSubmodule(attachment, options = {}) {
+        const { key: registryKey, config: submodule } = attachment;
         const setupFunctionName = submodule.setupFunction;
-        const serverPath = parentConfig.paths.server;
         const submoduleFile = submodule.file;
 
-        const submoduleFilePath = `./${serverPath}/${submoduleFile}`;
+        const submoduleFilePath = `./${attachment.serverPath}/${submoduleFile}`;
 
-        console.log(`[SUBMODULES-IMPORT]   ┣━ Processing submodule: ${submodule.name}`);
+        console.log(`[SUBMODULES-IMPORT]   ┣━ Processing submodule: ${submodule.name} (${registryKey})`);
         console.log(`[SUBMODULES-IMPORT]      - Setup Function: ${setupFunctionName}`);
         console.log(`[SUBMODULES-IMPORT]      - File Path: ${submoduleFilePath}`);
 
+        this.trackEntry(registryKey, {
+            config: submodule,
+            setupFunction: setupFunctionName,
+            parent: attachment.parentKey,
+            root: attachment.root,
+            attachment
+        });
+
         try {
-            const importedModule = await import(submoduleFilePath);
+            const importedModule = await import(this.getImportPath(submoduleFilePath, options));
 
             console.log(`[SUBMODULES-IMPORT]      ✅ Submodule imported successfully`);
             console.log(`[SUBMODULES-IMPORT]      - Available exports:`, Object.keys(importedModule));
 
             const setupFunction = importedModule[setupFunctionName];
 
-            if (typeof setupFunction !== 'function') {
+            if (!getInitHook(setupFunction)) {
                 throw new Error(
-                    `Function '${setupFunctionName}' not found in submodule ${submoduleFile}. ` +
+                    `Function '${setupFunctionName}' not found in submodule ${submoduleFile}, or is neither a function nor a lifecycle definition. ` +
                     `Available: ${Object.keys(importedModule)}`
                 );
             }
 
             // Register submodule function with parent prefix for uniqueness
-            const registryKey = `${parentConfig.name}-${submodule.name}`;
             this.setupFunctions.set(registryKey, setupFunction);
             this.loadedModuleCount++;
 
@@ -233,11 +398,15 @@ export class MicroserverManager {
 
         } catch (importError) {
             this.failedModuleCount++;
+            this.markFailed(registryKey, importError);
 
             console.error(`[SUBMODULES-IMPORT]      ❌ Failed to import ${submoduleFilePath}:`);
             console.error(`[SUBMODULES-IMPORT]         Error: ${importError.message}`);
             console.error(`[SUBMODULES-IMPORT]         This submodule will be skipped`);
 
+            // A previously loaded version must not be set up instead
+            this.setupFunctions.delete(registryKey);
+
             if (importError.code === 'ERR_MODULE_NOT_FOUND') {
                 console.error(`[SUBMODULES-IMPORT]         File not found. Check that the path is correct.`);
             }
@@ -248,29 +417,32 @@ export class MicroserverManager {
      * Sets up all loaded microserver instances
      *
      * This method:
-     * 1. Iterates through server configurations
+     * 1. Iterates through the loaded instances in dependency order
      * 2. Matches each configuration with its loaded setup function
      * 3. Executes the setup function with proper parameters
      * 4. Stores the resulting instance for lifecycle management
      * 5. SUBMODULES: Sets up any submodules after parent setup completes
      *
-     * @param {Object} config - Server configuration from servers.config.json
      * @returns {Promise<void>}
      */
-    async setupAllMicroservers(config) {
+    async setupAllMicroservers() {
         console.log('[MICROSERVER MANAGER] ┏━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┓');
         console.log('[MICROSERVER MANAGER] STARTING MICROSERVER SETUP PROCESS');
         console.log('[MICROSERVER MANAGER] ┗━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┛');
 
-        // Configure each microserver using the loaded setup functions
-        for (const serverConfig of config.servers) {
-            await this.setupSingleMicroserver(serverConfig);
-        }
+        // Dependencies first; instances that do not depend on each other start concurrently
+        await runInDependencyOrder(this.getDependencyGraph(), name => this.setupInOrder(name));
 
         console.log(`[MICROSERVER MANAGER] ┏━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┓`);
         console.log(`[MICROSERVER MANAGER] MICROSERVER SETUP COMPLETED`);
-        console.log(`[MICROSERVER MANAGER] Active microservers: ${this.instances.size}/${config.servers.length}`);
-        console.log(`[MICROSERVER MANAGER] Successfully configured: ${Array.from(this.instances.keys()).join(', ')}`);
+        console.log(`[MICROSERVER MANAGER] Active microservers: ${this.getActiveCount()}/${this.getTotalCount()}`);
+        console.log(`[MICROSERVER MANAGER] Successfully configured: ${Array.from(this.instances.keys()).filter(name => this.isActive(name)).join(', ')}`);
+
+        const failed = Array.from(this.instances.keys()).filter(name => !this.isActive(name));
+
+        if (failed.length > 0) {
+            console.error(`[MICROSERVER MANAGER] ❌ Failed: ${failed.join(', ')}`);
+        }
         console.log(`[MICROSERVER MANAGER] ┗━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┛`);
     }
 
@@ -278,21 +450,25 @@ export class MicroserverManager {
      * Sets up a single microserver instance
      *
      * The setup process:
-     * 1. Locate the setup function for this microserver
+     * 1. Locate the setup function (or lifecycle definition) for this microserver
      * 2. Prepare configuration options for the setup function
-     * 3. Execute the setup function with Express app and HTTP server
-     * 4. Store the returned instance for lifecycle management
+     * 3. initialising: run init with the isolated router and HTTP server
+     * 4. Run the ready hook, then mark the microserver ready
      * 5. SUBMODULES: Set up any configured submodules
      *
      * @param {Object} serverConfig - Configuration for a single microserver
+     * @param {Object} options - Setup options
+     * @param {boolean} options.withSubmodules - Set up its submodules too (default: true)
      * @returns {Promise<void>}
      */
-    async setupSingleMicroserver(serverConfig) {
+    async setupSingleMicroserver(serverConfig, options = {}) {
         console.log(`[MICROSERVER SETUP] ┏━━ Setting up microserver: ${serverConfig.name} (ID: ${serverConfig.id}) ━━┓`);
         console.log(`[MICROSERVER SETUP] Description: ${serverConfig.description}`);
         console.log(`[MICROSERVER SETUP] Domains: ${serverConfig.domains.join(', ')}`);
 
-        const setupFunctionName = serverConfig.server.setupFunction;
+        const setupFunctionName = this.getSetupFunctionName(serverConfig);
+        const entry = this.instances.get(serverConfig.name) ||
+            this.trackEntry(serverConfig.name, { config: serverConfig, setupFunction: setupFunctionName });
 
         // Locate the setup function in our registry
         const setupFunction = this.setupFunctions.get(setupFunctionName);
@@ -301,6 +477,10 @@ export class MicroserverManager {
             console.error(`[MICROSERVER SETUP] ❌ Setup function '${setupFunctionName}' not found for ${serverConfig.name}`);
             console.error(`[MICROSERVER SETUP] Available functions: ${Array.from(this.setupFunctions.keys()).join(', ')}`);
             console.error(`[MICROSERVER SETUP] This microserver will be skipped`);
+
+            if (entry.lifecycle.state !== LIFECYCLE_STATES.FAILED) {
+                this.markFailed(serverConfig.name, new Error(`Setup function '${setupFunctionName}' not found`));
+            }
             return;
         }
 
@@ -308,6 +488,16 @@ export class MicroserverManager {
         console.log(`[MICROSERVER SETUP] Server features:`, serverConfig.server.features);
 
         try {
+            entry.lifecycle.transition(LIFECYCLE_STATES.INITIALISING);
+
+            // Open its database first: setup options carry the connection
+            if (this.hasInProcessDatabase(serverConfig)) {
+                await this.databases.open(serverConfig.name, serverConfig.database, {
+                    serverPath: serverConfig.paths.server,
+                    features: serverConfig.server.features
+                });
+            }
+
             // Prepare standardised options for the setup function
             const setupOptions = this.createSetupOptions(serverConfig);
 
@@ -318,19 +508,16 @@ export class MicroserverManager {
                 configKeys: Object.keys(setupOptions.serverConfig)
             });
 
-            // Execute the setup function with Express app and HTTP server
-            const microserverInstance = setupFunction(
-                this.serverManager.getApp(),
-                this.serverManager.getServer(),
-                setupOptions
-            );
+            // Isolated router: only receives requests routed to this microserver
+            entry.router = this.createIsolatedRouter(serverConfig.name);
 
-            // Store the instance in our registry
-            this.instances.set(serverConfig.name, {
-                instance: microserverInstance,
-                config: serverConfig,
-                setupFunction: setupFunctionName
-            });
+            // init is awaited, bounded by server.setupTimeout, then the ready hook runs
+            await this.initialiseEntry(
+                serverConfig.name,
+                setupFunction,
+                [entry.router, this.createServerFacade(serverConfig.name), setupOptions],
+                serverConfig.server.setupTimeout
+            );
 
             console.log(`[MICROSERVER SETUP] ✅ ${serverConfig.name} configured successfully`);
 
@@ -341,12 +528,18 @@ export class MicroserverManager {
                 console.log(`[MICROSERVER SETUP] No specific routes configured`);
             }
 
-            // SUBMODULES: Setup submodules after parent is ready
-            if (serverConfig.server.submodules && serverConfig.server.submodules.length > 0) {
-                console.log(`[MICROSERVER SETUP] Loading ${serverConfig.server.submodules.length} submodules...`);
-                
-                for (const submodule of serverConfig.server.submodules) {
-                    await this.setupSubmodule(submodule, serverConfig);
+            // SUBMODULES: Setup submodules after parent is ready, each after its own parent
+            if (options.withSubmodules !== false && this.hasInProcessSubmodules(serverConfig)) {
+                const attachments = listSubmodules(serverConfig);
+
+                console.log(`[MICROSERVER SETUP] Loading ${attachments.length} submodules...`);
+
+                for (const attachment of attachments) {
+                    if (this.isActive(attachment.parentKey)) {
+                        await this.setupSubmodule(attachment);
+                    } else {
+                        this.markFailed(attachment.key, createDependencyError([attachment.parentKey]));
+                    }
                 }
             }
 
@@ -354,59 +547,205 @@ export class MicroserverManager {
             console.error(`[MICROSERVER SETUP] ❌ Failed to setup ${serverConfig.name}:`);
             console.error(`[MICROSERVER SETUP] Error: ${setupError.message}`);
             console.error(`[MICROSERVER SETUP] Stack trace:`, setupError.stack);
+
+            // Submodules are not set up: the parent never became ready
+            await this.databases.close(serverConfig.name);
+            this.markFailed(serverConfig.name, setupError);
+            this.failPendingSubmodules(serverConfig);
+        }
+    }
+
+    /**
+     * Sets up a microserver or submodule whose dependencies have settled
+     *
+     * Called by setupAllMicroservers in dependency order. An instance whose
+     * dependencies are not running is marked failed instead of set up.
+     *
+     * @param {string} name - Registry key
+     * @returns {Promise<void>}
+     */
+    async setupInOrder(name) {
+        const entry = this.instances.get(name);
+
+        // Import failed, or failed along with its parent
+        if (entry.lifecycle.state === LIFECYCLE_STATES.FAILED) {
+            return;
+        }
+
+        const blocking = this.getBlockingDependencies(entry);
+
+        if (blocking.length > 0) {
+            console.error(`[MICROSERVER SETUP] ❌ ${name} not set up: ${blocking.join(', ')} not running`);
+
+            this.markFailed(name, createDependencyError(blocking));
+            return;
+        }
+
+        if (entry.parent) {
+            await this.setupSubmodule(entry.attachment);
+        } else {
+            await this.setupSingleMicroserver(entry.config, { withSubmodules: false });
+        }
+    }
+
+    /**
+     * Returns the registry keys an instance depends on
+     *
+     * @param {Object} entry - Registry entry
+     * @returns {Array<string>} Its parent (submodules) and its dependsOn entries
+     */
+    getDependencies(entry) {
+        if (entry.parent) {
+            return [entry.parent, ...(entry.config.dependsOn || [])];
+        }
+
+        return entry.config.server.dependsOn || [];
+    }
+
+    /**
+     * Returns the dependencies of an instance that are not serving
+     *
+     * @param {Object} entry - Registry entry
+     * @returns {Array<string>} Registry keys not ready or degraded
+     */
+    getBlockingDependencies(entry) {
+        return this.getDependencies(entry).filter(dependency => !this.isActive(dependency));
+    }
+
+    /**
+     * Builds the dependency graph of the registered instances
+     *
+     * @returns {Map<string, Array<string>>} Registry key → registry keys it depends on
+     */
+    getDependencyGraph() {
+        return new Map(Array.from(this.instances, ([name, entry]) => [name, this.getDependencies(entry)]));
+    }
+
+    /**
+     * Throws if a dependency of an instance is not running
+     *
+     * @param {string} name - Registry key
+     * @param {Object} entry - Registry entry
+     * @param {string} action - Action name, for the error message
+     * @throws {Error} With code INVALID_STATE
+     */
+    assertDependencies(name, entry, action) {
+        const blocking = this.getBlockingDependencies(entry);
+
+        if (blocking.length > 0) {
+            throw createActionError(`Cannot ${action} ${name}: ${blocking.join(', ')} not running`, 'INVALID_STATE');
+        }
+    }
+
+    /**
+     * Throws if running instances depend on an instance or its submodules
+     *
+     * Its own submodules are not counted: they are stopped with it.
+     *
+     * @param {string} name - Registry key
+     * @param {string} action - Action name, for the error message
+     * @throws {Error} With code INVALID_STATE
+     */
+    assertNoDependents(name, action) {
+        const stopped = (key) => key === name || isDescendantOf(this.instances, key, name);
+
+        const dependents = Array.from(this.instances)
+            .filter(([key]) => !stopped(key) && this.isActive(key))
+            .filter(([, entry]) => this.getDependencies(entry).some(stopped))
+            .map(([key]) => key);
+
+        if (dependents.length > 0) {
+            throw createActionError(`Cannot ${action} ${name}: still required by ${dependents.join(', ')}`, 'INVALID_STATE');
         }
     }
 
     /**
      * SUBMODULES: Sets up a single submodule instance
      *
-     * Submodules are initialized after their parent microserver is ready.
-     * They receive the same Express app and HTTP server but maintain separate logic.
+     * Submodules are initialized after their parent (microserver or submodule)
+     * is ready. They receive their own isolated router (gated on the
+     * microserver's domains, under their mountPath) and the shared HTTP
+     * server, and follow the same lifecycle.
      *
-     * @param {Object} submodule - Submodule configuration
-     * @param {Object} parentConfig - Parent microserver configuration
+     * @param {Object} attachment - Submodule attachment (see listSubmodules)
      * @returns {Promise<void>}
      */
-    async setupSubmodule(submodule, parentConfig) {
-        console.log(`[SUBMODULE SETUP] ┣━ Setting up submodule: ${submodule.name}`);
-        console.log(`[SUBMODULE SETUP]    - Parent: ${parentConfig.name}`);
+    async setupSubmodule(attachment) {
+        const { key: registryKey, config: submodule, parentKey, root } = attachment;
+        const parentConfig = this.instances.get(root).config;
+
+        console.log(`[SUBMODULE SETUP] ┣━ Setting up submodule: ${submodule.name} (${registryKey})`);
+        console.log(`[SUBMODULE SETUP]    - Parent: ${parentKey}`);
         console.log(`[SUBMODULE SETUP]    - Description: ${submodule.description}`);
 
-        const registryKey = `${parentConfig.name}-${submodule.name}`;
         const setupFunction = this.setupFunctions.get(registryKey);
+        const entry = this.instances.get(registryKey) ||
+            this.trackEntry(registryKey, { config: submodule, setupFunction: submodule.setupFunction, parent: parentKey, root, attachment });
 
         if (!setupFunction) {
             console.error(`[SUBMODULE SETUP]    ❌ Setup function not found for submodule: ${registryKey}`);
             console.error(`[SUBMODULE SETUP]    Available functions: ${Array.from(this.setupFunctions.keys()).join(', ')}`);
+
+            if (entry.lifecycle.state !== LIFECYCLE_STATES.FAILED) {
+                this.markFailed(registryKey, new Error(`Setup function not found for submodule ${registryKey}`));
+            }
             return;
         }
 
         console.log(`[SUBMODULE SETUP]    - Using function: ${submodule.setupFunction}`);
 
         try {
-            // Prepare options for submodule
+            entry.lifecycle.transition(LIFECYCLE_STATES.INITIALISING);
+
+            // A database block of its own, otherwise it shares its parent's
+            if (submodule.database) {
+                await this.databases.open(registryKey, submodule.database, {
+                    serverPath: attachment.serverPath,
+                    features: submodule.features
+                });
+            }
+
+            // Prepare options for submodule (parentConfig is the microserver it answers for)
             const submoduleOptions = {
                 shouldStart: false,
                 parentConfig: parentConfig,
                 submoduleConfig: submodule,
                 serverId: parentConfig.id,
-                serverName: parentConfig.name
+                serverName: parentConfig.name,
+
+                // This attachment: instance key, parent registry key, full mount path, features and settings
+                instanceKey: registryKey,
+                parentKey: parentKey,
+                mountPath: attachment.mountPath,
+                features: submodule.features || {},
+                settings: submodule.settings || {},
+
+                // Share services with the other instances
+                ...this.services.bindTo(registryKey),
+
+                // Connection to its database (see DatabaseManager), or null
+                database: this.getDatabase(registryKey),
+
+                // Cache of the microserver it answers for, with its own or the microserver's features.redis
+                cache: (submodule.features?.redis ?? parentConfig.server.features?.redis)
+                    ? this.serverManager.cacheManager.bindTo(root)
+                    : null,
+
+                // Rate limits and authentication of the microserver it answers for
+                rateLimit: this.serverManager.rateLimitManager.bindTo(root),
+                authentication: this.serverManager.authenticationManager.bindTo(root)
             };
 
-            // Execute submodule setup
-            const submoduleInstance = setupFunction(
-                this.serverManager.getApp(),
-                this.serverManager.getServer(),
-                submoduleOptions
-            );
+            // Submodules answer on the microserver's domains, but get a router of their own
+            entry.router = this.createIsolatedRouter(root, registryKey, attachment.mountPath);
 
-            // Store submodule instance with parent reference
-            this.instances.set(registryKey, {
-                instance: submoduleInstance,
-                config: submodule,
-                setupFunction: submodule.setupFunction,
-                parent: parentConfig.name
-            });
+            // init is awaited (bounded by submodule.setupTimeout), then the ready hook runs
+            await this.initialiseEntry(
+                registryKey,
+                setupFunction,
+                [entry.router, this.createServerFacade(registryKey), submoduleOptions],
+                submodule.setupTimeout
+            );
 
             console.log(`[SUBMODULE SETUP]    ✅ Submodule '${submodule.name}' configured successfully`);
 
@@ -418,128 +757,1331 @@ export class MicroserverManager {
             console.error(`[SUBMODULE SETUP]    ❌ Failed to setup submodule ${submodule.name}:`);
             console.error(`[SUBMODULE SETUP]       Error: ${setupError.message}`);
             console.error(`[SUBMODULE SETUP]       Stack trace:`, setupError.stack);
+
+            await this.databases.close(registryKey);
+            this.markFailed(registryKey, setupError);
         }
     }
 
     /**
-     * Creates standardised setup options for microserver setup functions
+     * Marks the submodules still loading as failed when their parent failed
      *
-     * All setup functions receive the same parameter structure:
-     * - shouldStart: false (main server handles listening)
-     * - serverConfig: complete configuration from JSON
-     * - serverId: numeric server ID
-     * - serverName: string server name
+     * @param {Object} serverConfig - Configuration of the failed parent microserver
+     */
+    failPendingSubmodules(serverConfig) {
+        for (const { key: registryKey } of listSubmodules(serverConfig)) {
+            if (this.getState(registryKey) === LIFECYCLE_STATES.LOADING) {
+                this.markFailed(registryKey, new Error(`Parent microserver ${serverConfig.name} failed`));
+            }
+        }
+    }
+
+    /**
+     * Registers a microserver or submodule in the instance registry
      *
-     * @param {Object} serverConfig - Configuration for a single microserver
-     * @returns {Object} Standardised setup options
+     * Called when its module starts loading: a new entry (or one that was
+     * stopped or failed) is put in the loading state.
+     *
+     * @param {string} name - Registry key
+     * @param {Object} fields - { config, setupFunction, parent? }
+     * @returns {Object} The registry entry
      */
-    createSetupOptions(serverConfig) {
-        return {
-            shouldStart: false,           // Main server handles listening
-            serverConfig: serverConfig,   // Complete configuration from JSON
-            serverId: serverConfig.id,    // Numeric ID
-            serverName: serverConfig.name // String name
+    trackEntry(name, fields) {
+        const existing = this.instances.get(name);
+
+        if (existing) {
+            Object.assign(existing, fields, { error: null });
+
+            if (existing.lifecycle.state !== LIFECYCLE_STATES.LOADING) {
+                existing.lifecycle.transition(LIFECYCLE_STATES.LOADING);
+            }
+
+            return existing;
+        }
+
+        const entry = {
+            instance: null,
+            hooks: null,
+            router: null,
+            health: null,
+            error: null,
+            ...fields,
+            lifecycle: new MicroserverLifecycle(name)
         };
+
+        this.instances.set(name, entry);
+
+        return entry;
     }
 
     /**
-     * Gracefully cleans up all microserver instances
-     *
-     * Calls the cleanup method on each microserver instance if available.
-     * Used during server shutdown to ensure proper resource cleanup.
-     * SUBMODULES: Also cleans up all submodule instances
+     * Runs the init and ready hooks of an entry in the initialising state
      *
+     * @param {string} name - Registry key
+     * @param {Function|Object} exported - Setup function or lifecycle definition
+     * @param {Array} args - (router, server, options)
+     * @param {number} timeoutMs - init timeout in milliseconds (default: 30000)
      * @returns {Promise<void>}
+     * @throws {Error} If init or ready throws, rejects or times out
      */
-    async cleanupAll() {
-        console.log('[MICROSERVER MANAGER] Cleaning up all microserver instances...');
+    async initialiseEntry(name, exported, args, timeoutMs) {
+        const entry = this.instances.get(name);
 
-        const cleanupPromises = [];
+        // Timers and promises created by the instance stay attributed to it
+        entry.instance = await runInMicroserver(name, () => this.runSetup(exported, args, timeoutMs, name));
+        entry.hooks = bindHooks(exported, entry.instance);
 
-        for (const [name, serverInstance] of this.instances) {
-            try {
-                // If the microserver has a cleanup function, execute it
-                if (serverInstance.instance && typeof serverInstance.instance.cleanup === 'function') {
-                    console.log(`[MICROSERVER MANAGER] Cleaning up ${name}...`);
-                    cleanupPromises.push(serverInstance.instance.cleanup());
-                }
-            } catch (error) {
-                console.error(`[MICROSERVER MANAGER] Error cleaning up ${name}:`, error.message);
-            }
+        if (entry.hooks.ready) {
+            await runInMicroserver(name, () => runHook(entry.hooks.ready, [], DEFAULT_HOOK_TIMEOUT, `${name} ready`));
         }
 
-        // Wait for all cleanup operations to complete
-        await Promise.allSettled(cleanupPromises);
+        entry.lifecycle.transition(LIFECYCLE_STATES.READY);
 
-        console.log('[MICROSERVER MANAGER] ✅ All microserver cleanup completed');
+        // Services it provided are handed out from now on
+        this.services.release(name);
     }
 
     /**
-     * Retrieves statistics from all microserver instances
+     * Runs the init hook of a setup function or lifecycle definition
      *
-     * SUBMODULES: Stats include both parent microservers and their submodules
+     * Works for both sync and async setup functions. A sync throw becomes
+     * a rejection, and a setup still pending after the timeout is rejected.
+     * If a timed out setup resolves later, it is stopped so it does not
+     * keep resources alive.
      *
-     * @returns {Object} Aggregated statistics from all microservers
+     * @param {Function|Object} exported - Setup function or lifecycle definition
+     * @param {Array} args - (router, server, options)
+     * @param {number} timeoutMs - Setup timeout in milliseconds (default: 30000)
+     * @param {string} name - Registry key, for logging
+     * @returns {Promise<any>} The resolved instance (multi-host interface or init context)
+     * @throws {Error} If the setup throws, rejects or times out
      */
-    getMicroserverStats() {
-        const stats = {};
+    async runSetup(exported, args, timeoutMs, name) {
+        const timeout = timeoutMs || DEFAULT_SETUP_TIMEOUT;
+        const init = getInitHook(exported);
+        const setupPromise = Promise.resolve().then(() => init(...args));
 
-        for (const [serverName, serverInstance] of this.instances) {
-            try {
-                // If the microserver has a getStats function, use it
-                if (serverInstance.instance && typeof serverInstance.instance.getStats === 'function') {
-                    stats[serverName] = serverInstance.instance.getStats();
-                } else {
-                    stats[serverName] = { 
-                        status: 'running', 
-                        hasStats: false,
-                        isSubmodule: !!serverInstance.parent
-                    };
-                }
-            } catch (error) {
-                stats[serverName] = { status: 'error', error: error.message };
+        let timer = null;
+
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Setup of ${name} did not complete within ${timeout}ms`);
+                error.code = 'SETUP_TIMEOUT';
+                reject(error);
+            }, timeout);
+        });
+
+        try {
+            return await Promise.race([setupPromise, timeoutPromise]);
+        } catch (error) {
+            if (error.code === 'SETUP_TIMEOUT') {
+                setupPromise
+                    .then(lateInstance => {
+                        console.warn(`[MICROSERVER SETUP] ${name} finished after its timeout, stopping it`);
+                        return bindHooks(exported, lateInstance).stop?.();
+                    })
+                    .catch(() => {});
             }
+
+            throw error;
+        } finally {
+            clearTimeout(timer);
         }
+    }
 
-        return stats;
+    /**
+     * Moves a microserver or submodule to the failed state
+     *
+     * An instance that was initialised (e.g. its ready hook failed) is
+     * stopped in the background. Its router is detached so it never
+     * receives requests; the entry stays in the registry so the error
+     * shows up in stats.
+     *
+     * @param {string} name - Registry key
+     * @param {Error} error - Import, setup or hook error
+     */
+    markFailed(name, error) {
+        const entry = this.instances.get(name);
+
+        if (!entry) {
+            return;
+        }
+
+        if (entry.hooks?.stop) {
+            runHook(entry.hooks.stop, [], DEFAULT_HOOK_TIMEOUT, `${name} stop`)
+                .catch(stopError => console.error(`[MICROSERVER MANAGER] Error stopping failed ${name}:`, stopError.message));
+        }
+
+        if (entry.router) {
+            this.detachRouter(entry.router);
+        }
+
+        if (!entry.parent) {
+            this.upgradeHandlers.delete(name);
+        }
+
+        this.serverFacades.delete(name);
+        this.services.withdraw(name);
+
+        entry.instance = null;
+        entry.hooks = null;
+        entry.error = {
+            message: error.message,
+            code: error.code || null,
+            failedAt: new Date().toISOString()
+        };
+
+        if (entry.lifecycle.state !== LIFECYCLE_STATES.FAILED) {
+            entry.lifecycle.transition(LIFECYCLE_STATES.FAILED, error.message);
+        }
     }
 
     /**
-     * Returns comprehensive manager statistics
+     * Creates an isolated Express router for a microserver
      *
-     * @returns {Object} Complete statistics about the microserver manager
+     * The router only receives requests whose req.targetModule (resolved by
+     * the domain routing middleware in server-routing.js) matches the given
+     * microserver name. Requests for other microservers skip it entirely.
+     *
+     * Global endpoints (/api/health, /api/config) stay on the shared app.
+     *
+     * @param {string} targetModule - Microserver name this router serves
+     * @param {string} owner - Registry key the router belongs to (default: targetModule; submodules pass theirs)
+     * @param {string|null} mountPath - Prefix the router is mounted under (submodule mountPath)
+     * @returns {express.Router} Router scoped to the microserver
      */
-    getStats() {
+    createIsolatedRouter(targetModule, owner = targetModule, mountPath = null) {
+        const router = express.Router();
+
+        // Mounted under a prefix, Express strips it before the router sees the request
+        const handler = mountPath ? express.Router().use(mountPath, router) : router;
+
+        this.mountRouterDispatcher();
+        this.attachedRouters.push({ targetModule, owner, router, handler });
+
+        console.log(`[MICROSERVER SETUP] Isolated router mounted for: ${targetModule}`);
+
+        return router;
+    }
+
+    /**
+     * Mounts the single middleware that dispatches requests to isolated routers
+     *
+     * Mounted once, when the first router is created (after domain routing).
+     * Routers created later (hot reload, restarts) are added to the same slot,
+     * so they still run before the final 404 and error handlers installed by
+     * the ErrorHandler.
+     */
+    mountRouterDispatcher() {
+        if (this.isDispatcherMounted) {
+            return;
+        }
+
+        this.isDispatcherMounted = true;
+
+        this.serverManager.getApp().use((req, res, next) => {
+            const routers = this.attachedRouters
+                .filter(entry => entry.targetModule === req.targetModule);
+
+            let index = 0;
+
+            // Same semantics as consecutive app.use(): an error skips the remaining routers
+            const runNext = (error) => {
+                if (error || index >= routers.length) {
+                    return next(error);
+                }
+
+                const { owner, handler } = routers[index++];
+
+                // Request body events and route handlers run in the router owner's context
+                bindToMicroserver(req, owner);
+                runInMicroserver(owner, () => handler(req, res, runNext));
+            };
+
+            runNext();
+        });
+    }
+
+    /**
+     * Creates standardised setup options for microserver setup functions
+     *
+     * All setup functions receive the same parameter structure:
+     * - shouldStart: false (main server handles listening)
+     * - serverConfig: complete configuration from JSON
+     * - serverId: numeric server ID
+     * - serverName: string server name
+     * - provide/consume: service registry bound to the microserver
+     * - database: connection opened from the database block, or null
+     * - cache: cache and pub/sub client with features.redis, or null
+     * - rateLimit: { enabled(), attachSocket(io) } for Socket.IO event limits
+     * - authentication: route guards, Socket.IO identification and users
+     *
+     * @param {Object} serverConfig - Configuration for a single microserver
+     * @returns {Object} Standardised setup options
+     */
+    createSetupOptions(serverConfig) {
         return {
-            total: this.setupFunctions.size,
-            active: this.instances.size,
-            loadedFunctions: this.loadedModuleCount,
-            failedLoads: this.failedModuleCount,
-            isLoaded: this.isLoaded,
-            setupFunctions: Array.from(this.setupFunctions.entries()).map(([name, func]) => [name, typeof func]),
-            activeInstances: Array.from(this.instances.keys()),
-            microserverStats: this.getMicroserverStats()
+            shouldStart: false,           // Main server handles listening
+            serverConfig: serverConfig,   // Complete configuration from JSON
+            serverId: serverConfig.id,    // Numeric ID
+            serverName: serverConfig.name, // String name
+
+            // Share services with the other instances
+            ...this.services.bindTo(serverConfig.name),
+
+            // Connection to the database block (see DatabaseManager), or null
+            database: this.getDatabase(serverConfig.name),
+
+            // Cache and pub/sub in the microserver's namespace with features.redis (see CacheManager), or null
+            cache: serverConfig.server.features?.redis ? this.serverManager.cacheManager.bindTo(serverConfig.name) : null,
+
+            // Apply the microserver's event rules to its Socket.IO server
+            rateLimit: this.serverManager.rateLimitManager.bindTo(serverConfig.name),
+
+            // Guard routes and identify Socket.IO clients with features.authentication
+            authentication: this.serverManager.authenticationManager.bindTo(serverConfig.name),
+
+            // Receive this microserver's WebSocket upgrades exclusively
+            registerUpgradeHandler: (handler) => this.upgradeHandlers.set(serverConfig.name, (req, socket, head) => {
+                bindToMicroserver(socket, serverConfig.name);
+                runInMicroserver(serverConfig.name, () => handler(req, socket, head));
+            })
         };
     }
 
     /**
-     * Checks if a specific microserver is loaded and active
+     * Returns the setup function name a microserver is registered under
      *
-     * @param {string} serverName - Name of the microserver to check
-     * @returns {boolean} True if the microserver is active
+     * @param {Object} serverConfig - Configuration for a single microserver
+     * @returns {string} server.setupFunction, or the built-in proxy or isolation setup
      */
-    isActive(serverName) {
-        return this.instances.has(serverName);
+    getSetupFunctionName(serverConfig) {
+        if (serverConfig.server.type === 'proxy') {
+            return PROXY_SETUP_FUNCTION;
+        }
+
+        return serverConfig.server.isolation ? ISOLATED_SETUP_FUNCTION : serverConfig.server.setupFunction;
     }
 
     /**
-     * Gets a specific microserver instance
+     * Tells whether the multihost opens a microserver's database itself
      *
-     * @param {string} serverName - Name of the microserver
-     * @returns {Object|null} The microserver instance or null if not found
+     * Proxies have none; isolated microservers open theirs in their child
+     * process or worker.
+     *
+     * @param {Object} serverConfig - Configuration for a single microserver
+     * @returns {boolean} True for an in-process microserver with a database block
+     */
+    hasInProcessDatabase(serverConfig) {
+        return Boolean(serverConfig.database) && serverConfig.server.type !== 'proxy' && !serverConfig.server.isolation;
+    }
+
+    /**
+     * Returns the database connection an instance uses
+     *
+     * Submodules without a database block share the one of their closest
+     * parent that has one.
+     *
+     * @param {string} name - Registry key
+     * @returns {Object|null} Connection handle
+     */
+    getDatabase(name) {
+        for (let key = name; key; key = this.instances.get(key)?.parent) {
+            const handle = this.databases.get(key);
+
+            if (handle) {
+                return handle;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Tells whether a microserver's submodules run in the multihost process
+     *
+     * Submodules of isolated microservers run in their child process or worker.
+     *
+     * @param {Object} serverConfig - Configuration for a single microserver
+     * @returns {boolean} True if submodules must be loaded and set up here
+     */
+    hasInProcessSubmodules(serverConfig) {
+        return !serverConfig.server.isolation && (serverConfig.server.submodules || []).length > 0;
+    }
+
+    /**
+     * Gets the WebSocket upgrade handler registered by a microserver
+     *
+     * @param {string} serverName - Name of the microserver
+     * @returns {Function|null} The upgrade handler or null if none registered
+     */
+    getUpgradeHandler(serverName) {
+        return this.upgradeHandlers.get(serverName) || null;
+    }
+
+    /**
+     * Creates the HTTP server facade passed to an instance's init hook
+     *
+     * @param {string} name - Registry key of the instance
+     * @returns {EventEmitter} Facade of the shared HTTP server
+     */
+    createServerFacade(name) {
+        const facade = createServerFacade(this.serverManager.getServer(), name);
+
+        this.serverFacades.set(name, facade);
+
+        return facade;
+    }
+
+    /**
+     * Returns the facades with their own listeners for a microserver
+     *
+     * Includes the facades of its submodules, which answer on its domains.
+     *
+     * @param {string} serverName - Name of the microserver
+     * @returns {Array<[string, EventEmitter]>} [registry key, facade] of intercepting facades, parent first
+     */
+    getInterceptingFacades(serverName) {
+        return Array.from(this.serverFacades.entries())
+            .filter(([name, facade]) => {
+                const entry = this.instances.get(name);
+
+                return entry && (entry.root || name) === serverName && facade.isIntercepting();
+            });
+    }
+
+    /**
+     * Passes a request through the server facades of a microserver
+     *
+     * Listeners attached to a facade (e.g. Socket.IO polling) may answer;
+     * anything else continues through `next`.
+     *
+     * @param {string} serverName - Name of the microserver the request is routed to
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {Function} next - Called if no facade listener takes the request
+     */
+    dispatchRequest(serverName, req, res, next) {
+        const facades = this.getInterceptingFacades(serverName);
+
+        let index = 0;
+
+        const runNext = () => {
+            if (index >= facades.length) {
+                return next();
+            }
+
+            const [name, facade] = facades[index++];
+
+            bindToMicroserver(req, name);
+            runInMicroserver(name, () => facade.dispatchRequest(req, res, runNext));
+        };
+
+        runNext();
+    }
+
+    /**
+     * Returns the routing gate handing requests to the server facades
+     *
+     * Runs last among the routing gates, so that facade listeners (Socket.IO
+     * polling...) only see requests that passed CORS, rate limiting,
+     * maintenance and authentication, like the microserver's routes.
+     *
+     * @returns {Function} Express middleware
+     */
+    facadeGate() {
+        return (req, res, next) => this.dispatchRequest(req.targetModule, req, res, next);
+    }
+
+    /**
+     * Keeps an upgraded connection of a microserver until it closes
+     *
+     * @param {string} serverName - Name of the microserver the upgrade was routed to
+     * @param {net.Socket} socket - Client socket
+     * @param {string} ip - Client IP
+     */
+    trackUpgrade(serverName, socket, ip) {
+        if (!this.upgradedSockets.has(serverName)) {
+            this.upgradedSockets.set(serverName, new Map());
+        }
+
+        const sockets = this.upgradedSockets.get(serverName);
+
+        sockets.set(socket, ip);
+        socket.once('close', () => sockets.delete(socket));
+    }
+
+    /**
+     * Closes the upgraded connections of a microserver
+     *
+     * @param {string} serverName - Name of the microserver
+     * @param {Function} keep - (ip) => true for the connections to leave open
+     * @returns {number} Connections closed
+     */
+    closeUpgrades(serverName, keep = () => false) {
+        let closed = 0;
+
+        for (const [socket, ip] of this.upgradedSockets.get(serverName) || []) {
+            if (!keep(ip)) {
+                socket.destroy();
+                closed++;
+            }
+        }
+
+        return closed;
+    }
+
+    /**
+     * Passes a WebSocket upgrade to the server facades of a microserver
+     *
+     * @param {string} serverName - Name of the microserver the upgrade is routed to
+     * @returns {boolean} False if none of its facades listens to upgrades
+     */
+    dispatchUpgrade(serverName, req, socket, head) {
+        return this.getInterceptingFacades(serverName)
+            .filter(([, facade]) => facade.listenerCount('upgrade') > 0)
+            .map(([name, facade]) => {
+                // WebSocket frames arrive as socket 'data' events
+                bindToMicroserver(req, name);
+                bindToMicroserver(socket, name);
+
+                return runInMicroserver(name, () => facade.dispatchUpgrade(req, socket, head));
+            })
+            .some(Boolean);
+    }
+
+    /**
+     * Detaches an isolated router so it stops receiving requests
+     *
+     * @param {express.Router} router - Router created by createIsolatedRouter
+     */
+    detachRouter(router) {
+        this.attachedRouters = this.attachedRouters.filter(entry => entry.router !== router);
+    }
+
+    /**
+     * Applies a reloaded configuration to the running microservers
+     *
+     * Called by the ConfigManager after servers.config.json changed:
+     * 1. Microservers removed from the config are cleaned up and detached
+     * 2. Microservers added to the config are imported and set up
+     * 3. Microservers present in both keep running with the new config entry,
+     *    their onConfigChange hook is called when their entry changed
+     *
+     * @param {Object} newConfig - Reloaded configuration
+     * @param {Object} oldConfig - Previously active configuration
+     * @returns {Promise<void>}
+     */
+    async applyConfigChange(newConfig, oldConfig) {
+        const oldServers = new Map(oldConfig.servers.map(server => [server.name, server]));
+        const oldNames = new Set(oldServers.keys());
+        const newNames = new Set(newConfig.servers.map(server => server.name));
+
+        // Removed microservers
+        for (const serverConfig of oldConfig.servers) {
+            if (!newNames.has(serverConfig.name)) {
+                console.log(`[MICROSERVER MANAGER] Microserver removed from config: ${serverConfig.name}`);
+                await this.removeMicroserver(serverConfig);
+            }
+        }
+
+        // Added microservers: all imported first, then set up in dependency order
+        const addedServers = newConfig.servers.filter(serverConfig => !oldNames.has(serverConfig.name));
+
+        for (const serverConfig of addedServers) {
+            console.log(`[MICROSERVER MANAGER] Microserver added to config: ${serverConfig.name}`);
+
+            await this.loadSingleModule(serverConfig);
+
+            if (this.hasInProcessSubmodules(serverConfig)) {
+                await this.loadSubmodules(serverConfig);
+            }
+        }
+
+        const addedNames = new Set(addedServers.map(serverConfig => serverConfig.name));
+
+        for (const name of sortByDependencies(buildDependencyGraph(addedServers))) {
+            const entry = this.instances.get(name);
+
+            if (entry && addedNames.has(entry.root || name)) {
+                await this.setupInOrder(name);
+            }
+        }
+
+        // Kept microservers and their submodules: refresh their config entry
+        for (const serverConfig of newConfig.servers) {
+            const oldServer = oldServers.get(serverConfig.name);
+
+            if (!oldServer) {
+                continue;
+            }
+
+            await this.notifyConfigChange(serverConfig.name, serverConfig, oldServer);
+
+            const oldAttachments = listSubmodules(oldServer);
+
+            for (const attachment of listSubmodules(serverConfig)) {
+                const oldAttachment = oldAttachments.find(entry => entry.key === attachment.key);
+
+                if (oldAttachment) {
+                    await this.notifyConfigChange(attachment.key, attachment.config, oldAttachment.config, attachment);
+                }
+            }
+        }
+    }
+
+    /**
+     * Stores the new config entry of a kept instance and runs its onConfigChange hook
+     *
+     * The hook only runs for serving instances whose entry changed. A hook
+     * failure leaves the instance running, degraded.
+     *
+     * @param {string} name - Registry key
+     * @param {Object} newEntryConfig - New microserver (or submodule) configuration
+     * @param {Object} oldEntryConfig - Previous microserver (or submodule) configuration
+     * @param {Object} attachment - New attachment, for submodules
+     * @returns {Promise<void>}
+     */
+    async notifyConfigChange(name, newEntryConfig, oldEntryConfig, attachment) {
+        const entry = this.instances.get(name);
+
+        if (!entry) {
+            return;
+        }
+
+        entry.config = newEntryConfig;
+
+        if (attachment) {
+            entry.attachment = attachment;
+        }
+
+        if (!entry.lifecycle.isServing() || !entry.hooks?.onConfigChange ||
+            JSON.stringify(newEntryConfig) === JSON.stringify(oldEntryConfig)) {
+            return;
+        }
+
+        try {
+            console.log(`[MICROSERVER MANAGER] Notifying ${name} of its config change...`);
+            await runHook(entry.hooks.onConfigChange, [newEntryConfig, oldEntryConfig], DEFAULT_HOOK_TIMEOUT, `${name} onConfigChange`);
+        } catch (error) {
+            console.error(`[MICROSERVER MANAGER] ❌ ${name} onConfigChange failed:`, error.message);
+
+            if (entry.lifecycle.state === LIFECYCLE_STATES.READY) {
+                entry.lifecycle.transition(LIFECYCLE_STATES.DEGRADED, `onConfigChange failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Removes a microserver and all its submodules
+     *
+     * Runs their stop hooks, detaches their routers and unregisters
+     * their setup functions.
+     *
+     * @param {Object} serverConfig - Configuration of the microserver to remove
+     * @returns {Promise<void>}
+     */
+    async removeMicroserver(serverConfig) {
+        // Deepest submodules first, the microserver last
+        for (const [name, serverInstance] of Array.from(this.instances).reverse()) {
+            if (name === serverConfig.name || serverInstance.root === serverConfig.name) {
+                await this.cleanupInstance(name);
+            }
+        }
+
+        // Keep the setup function if another microserver still uses it
+        const stillUsed = Array.from(this.instances.values())
+            .some(entry => !entry.parent && entry.setupFunction === this.getSetupFunctionName(serverConfig));
+
+        if (!stillUsed) {
+            this.setupFunctions.delete(this.getSetupFunctionName(serverConfig));
+        }
+
+        for (const { key } of listSubmodules(serverConfig)) {
+            this.setupFunctions.delete(key);
+        }
+    }
+
+    /**
+     * Cleans up a single registered instance
+     *
+     * Stops it (stop hook), detaches its router and removes it from the
+     * instance registry.
+     *
+     * @param {string} name - Registry key of the instance
+     * @returns {Promise<void>}
+     */
+    async cleanupInstance(name) {
+        if (!this.instances.has(name)) {
+            return;
+        }
+
+        await this.stopEntry(name);
+
+        this.instances.delete(name);
+
+        console.log(`[MICROSERVER MANAGER] ✅ ${name} removed`);
+    }
+
+    /**
+     * Stops a registered instance
+     *
+     * A serving instance goes stopping → stopped (or failed if its stop
+     * hook throws or times out). Its router, upgrade handler and server
+     * facade are detached in every case; the entry stays in the registry.
+     *
+     * @param {string} name - Registry key of the instance
+     * @returns {Promise<void>}
+     */
+    async stopEntry(name) {
+        const entry = this.instances.get(name);
+
+        if (!entry) {
+            return;
+        }
+
+        this.cancelRestart(entry);
+
+        if (entry.lifecycle.isServing()) {
+            entry.lifecycle.transition(LIFECYCLE_STATES.STOPPING);
+
+            try {
+                if (entry.hooks?.stop) {
+                    console.log(`[MICROSERVER MANAGER] Cleaning up ${name}...`);
+                    await runHook(entry.hooks.stop, [], DEFAULT_HOOK_TIMEOUT, `${name} stop`);
+                }
+
+                entry.lifecycle.transition(LIFECYCLE_STATES.STOPPED);
+            } catch (error) {
+                console.error(`[MICROSERVER MANAGER] Error cleaning up ${name}:`, error.message);
+
+                entry.error = { message: error.message, code: error.code || null, failedAt: new Date().toISOString() };
+                entry.lifecycle.transition(LIFECYCLE_STATES.FAILED, `stop failed: ${error.message}`);
+            }
+        }
+
+        if (entry.router) {
+            this.detachRouter(entry.router);
+        }
+
+        if (!entry.parent) {
+            this.upgradeHandlers.delete(name);
+        }
+
+        // Socket.IO and anything else attached to its server stop receiving traffic
+        this.serverFacades.delete(name);
+        this.services.withdraw(name);
+
+        // Closed after its stop hook, which may still flush to it
+        await this.databases.close(name);
+
+        entry.instance = null;
+        entry.hooks = null;
+    }
+
+    /**
+     * Gracefully stops all microserver instances
+     *
+     * Runs the stop hook of every serving instance (cleanup for bare setup
+     * functions) in reverse dependency order. Used during server shutdown to
+     * ensure proper resource cleanup.
+     * SUBMODULES: Also stops all submodule instances
+     *
+     * @returns {Promise<void>}
+     */
+    async cleanupAll() {
+        console.log('[MICROSERVER MANAGER] Cleaning up all microserver instances...');
+
+        // Dependents stop before what they depend on; the others concurrently
+        await runInDependencyOrder(this.getDependencyGraph(), name => this.stopEntry(name), { reverse: true });
+
+        // Connections of instances that never stopped cleanly
+        await this.databases.closeAll();
+
+        console.log('[MICROSERVER MANAGER] ✅ All microserver cleanup completed');
+    }
+
+    /**
+     * Runs the healthCheck hook of every serving instance
+     *
+     * An unhealthy result (false, { healthy: false }, a throw or a timeout)
+     * moves a ready instance to degraded; a healthy result moves a degraded
+     * instance back to ready. The database an instance opened is pinged too,
+     * and reported under details.database. Called by the HealthManager on
+     * /api/health.
+     *
+     * @returns {Promise<void>}
+     */
+    async checkHealth() {
+        const checks = Array.from(this.instances)
+            .filter(([name, entry]) => entry.lifecycle.isServing() && (entry.hooks?.healthCheck || this.databases.get(name)))
+            .map(async ([name, entry]) => {
+                let health = { healthy: true, details: {} };
+
+                if (entry.hooks?.healthCheck) {
+                    try {
+                        health = normaliseHealth(await runHook(entry.hooks.healthCheck, [], HEALTH_CHECK_TIMEOUT, `${name} healthCheck`));
+                    } catch (error) {
+                        health = { healthy: false, details: { error: error.message } };
+                    }
+                }
+
+                const database = await this.databases.check(name);
+
+                if (database) {
+                    health = {
+                        healthy: health.healthy && database.healthy,
+                        details: { error: database.healthy ? undefined : `database: ${database.error}`, ...health.details, database }
+                    };
+                }
+
+                entry.health = { ...health, checkedAt: new Date().toISOString() };
+
+                // Stopped while the check was running
+                if (!entry.lifecycle.isServing()) {
+                    return;
+                }
+
+                if (!health.healthy && entry.lifecycle.state === LIFECYCLE_STATES.READY) {
+                    entry.lifecycle.transition(LIFECYCLE_STATES.DEGRADED, health.details.error || health.details.message || 'health check failed');
+                } else if (health.healthy && entry.lifecycle.state === LIFECYCLE_STATES.DEGRADED) {
+                    entry.lifecycle.transition(LIFECYCLE_STATES.READY, 'health check passed');
+                }
+            });
+
+        await Promise.allSettled(checks);
+    }
+
+    /**
+     * Stops a microserver or submodule at runtime
+     *
+     * Submodules of a microserver are stopped before it. Its domains answer
+     * 503 until it is started again (see availabilityGate). Refused while
+     * other running instances depend on it (dependsOn).
+     *
+     * @param {string} name - Microserver name or submodule registry key ('parent-submodule')
+     * @returns {Promise<Object>} Resulting lifecycle ({ name, state, since, ... })
+     * @throws {Error} With code UNKNOWN_MICROSERVER, INVALID_STATE or ACTION_IN_PROGRESS
+     */
+    async stopMicroserver(name) {
+        return this.runAction(name, 'stop', async (entry) => {
+            this.assertState(name, entry, entry.lifecycle.isServing(), 'stop');
+            this.assertNoDependents(name, 'stop');
+
+            await this.stopWithSubmodules(name);
+        });
+    }
+
+    /**
+     * Starts a stopped or failed microserver or submodule at runtime
+     *
+     * A microserver starts with its submodules; a submodule needs its
+     * parent to be running.
+     *
+     * @param {string} name - Microserver name or submodule registry key
+     * @returns {Promise<Object>} Resulting lifecycle
+     * @throws {Error} With code UNKNOWN_MICROSERVER, INVALID_STATE, ACTION_IN_PROGRESS or ACTION_FAILED
+     */
+    async startMicroserver(name) {
+        return this.runAction(name, 'start', async (entry) => {
+            this.assertState(name, entry, this.isStartable(entry), 'start');
+            this.assertDependencies(name, entry, 'start');
+
+            await this.startEntry(name, entry);
+        });
+    }
+
+    /**
+     * Stops (if running) and starts a microserver or submodule again
+     *
+     * @param {string} name - Microserver name or submodule registry key
+     * @returns {Promise<Object>} Resulting lifecycle
+     * @throws {Error} With code UNKNOWN_MICROSERVER, INVALID_STATE, ACTION_IN_PROGRESS or ACTION_FAILED
+     */
+    async restartMicroserver(name) {
+        return this.runAction(name, 'restart', async (entry) => {
+            this.assertState(name, entry, entry.lifecycle.isServing() || this.isStartable(entry), 'restart');
+            this.assertDependencies(name, entry, 'restart');
+
+            await this.stopWithSubmodules(name);
+            await this.startEntry(name, entry);
+        });
+    }
+
+    /**
+     * Stops a microserver or submodule, imports its module again and starts it
+     *
+     * The module file is imported with a cache-busting query string, so code
+     * changes to that file are picked up without restarting the process.
+     * Reloading a microserver reloads its submodules too.
+     *
+     * @param {string} name - Microserver name or submodule registry key
+     * @returns {Promise<Object>} Resulting lifecycle
+     * @throws {Error} With code UNKNOWN_MICROSERVER, INVALID_STATE, ACTION_IN_PROGRESS or ACTION_FAILED
+     */
+    async reloadMicroserver(name) {
+        return this.runAction(name, 'reload', async (entry) => {
+            this.assertState(name, entry, entry.lifecycle.isServing() || this.isStartable(entry), 'reload');
+            this.assertDependencies(name, entry, 'reload');
+
+            await this.stopWithSubmodules(name);
+
+            if (entry.parent) {
+                await this.loadSingleSubmodule(entry.attachment, { cacheBust: true });
+            } else {
+                await this.loadSingleModule(entry.config, { cacheBust: true });
+
+                if (this.hasInProcessSubmodules(entry.config)) {
+                    await this.loadSubmodules(entry.config, { cacheBust: true });
+                }
+            }
+
+            // Import failed: do not set up the previously loaded version
+            if (entry.lifecycle.state === LIFECYCLE_STATES.FAILED) {
+                this.failPendingSubmodules(entry.config);
+                return;
+            }
+
+            await this.startEntry(name, entry);
+        });
+    }
+
+    /**
+     * Runs a runtime action on a registered instance
+     *
+     * Only one action at a time per microserver (submodules included).
+     *
+     * @param {string} name - Registry key
+     * @param {string} action - Action name, for logging and errors
+     * @param {Function} run - async (entry) => void
+     * @returns {Promise<Object>} Resulting lifecycle
+     */
+    async runAction(name, action, run) {
+        const entry = this.instances.get(name);
+
+        if (!entry) {
+            throw createActionError(`Unknown microserver: ${name}`, 'UNKNOWN_MICROSERVER');
+        }
+
+        const lockKey = entry.root || name;
+
+        if (this.pendingActions.has(lockKey)) {
+            throw createActionError(`Another action is in progress for ${lockKey}`, 'ACTION_IN_PROGRESS');
+        }
+
+        this.pendingActions.add(lockKey);
+
+        console.log(`[MICROSERVER MANAGER] Runtime ${action} of ${name} (${entry.lifecycle.state})...`);
+
+        try {
+            await run(entry);
+        } finally {
+            this.pendingActions.delete(lockKey);
+        }
+
+        if (entry.lifecycle.state === LIFECYCLE_STATES.FAILED) {
+            throw createActionError(`${action} of ${name} failed: ${entry.error?.message || 'unknown error'}`, 'ACTION_FAILED');
+        }
+
+        // An admin action gives a crashed instance its full restart budget again
+        if (entry.crash && action !== AUTO_RESTART_ACTION) {
+            entry.crash.attempts = 0;
+        }
+
+        console.log(`[MICROSERVER MANAGER] ✅ ${action} of ${name} completed (${entry.lifecycle.state})`);
+
+        return { name, ...entry.lifecycle.toJSON() };
+    }
+
+    /**
+     * Throws INVALID_STATE unless a condition on an entry holds
+     */
+    assertState(name, entry, condition, action) {
+        if (!condition) {
+            throw createActionError(`Cannot ${action} ${name} while it is ${entry.lifecycle.state}`, 'INVALID_STATE');
+        }
+    }
+
+    /**
+     * Tells whether an entry can be started (stopped or failed, parent running)
+     *
+     * @param {Object} entry - Registry entry
+     * @returns {boolean} True if startEntry may run
+     */
+    isStartable(entry) {
+        const stateAllows = [LIFECYCLE_STATES.STOPPED, LIFECYCLE_STATES.FAILED].includes(entry.lifecycle.state);
+
+        return stateAllows && (!entry.parent || this.isActive(entry.parent));
+    }
+
+    /**
+     * Stops an instance and, beforehand, its submodules (nested ones too)
+     *
+     * @param {string} name - Registry key
+     * @returns {Promise<void>}
+     */
+    async stopWithSubmodules(name) {
+        // Deepest first: children are registered after their parent
+        const submodules = Array.from(this.instances.keys())
+            .filter(registryKey => isDescendantOf(this.instances, registryKey, name))
+            .reverse();
+
+        for (const registryKey of submodules) {
+            await this.stopEntry(registryKey);
+        }
+
+        await this.stopEntry(name);
+    }
+
+    /**
+     * Sets up a stopped or failed instance again
+     *
+     * @param {string} name - Registry key
+     * @param {Object} entry - Registry entry
+     * @returns {Promise<void>}
+     */
+    async startEntry(name, entry) {
+        if (entry.parent) {
+            await this.setupSubmodule(entry.attachment);
+        } else {
+            await this.setupSingleMicroserver(entry.config);
+        }
+    }
+
+    /**
+     * Contains a crash (uncaught exception or unhandled rejection) of an instance
+     *
+     * Called by the ErrorHandler for errors attributed to an instance. A
+     * running instance is failed (a microserver's submodules are stopped
+     * first) and restarted according to its restart policy. Errors from an
+     * instance that is not running anymore (leftover timers) are only counted.
+     *
+     * @param {string} name - Registry key the error was attributed to
+     * @param {Error|any} error - The uncaught error
+     * @returns {boolean} True if the crash was contained, false if the process should exit
+     */
+    handleCrash(name, error) {
+        const entry = this.instances.get(name);
+
+        if (!entry) {
+            return false;
+        }
+
+        const message = error instanceof Error ? error.message : String(error);
+        const crash = entry.crash || (entry.crash = { count: 0, attempts: 0, lastCrash: null, restartedAt: null, timer: null, nextRestartAt: null });
+
+        crash.count++;
+        crash.lastCrash = { message, state: entry.lifecycle.state, at: new Date().toISOString() };
+
+        const { state } = entry.lifecycle;
+
+        if (!entry.lifecycle.isServing() && state !== LIFECYCLE_STATES.INITIALISING && state !== LIFECYCLE_STATES.STOPPING) {
+            console.error(`[MICROSERVER MANAGER] ❌ ${name} crashed while ${state}: ${message}`);
+            return true;
+        }
+
+        console.error(`[MICROSERVER MANAGER] ❌ ${name} crashed, containing it: ${message}`);
+
+        // A crashed microserver (or submodule) takes its submodules down with it
+        for (const [registryKey, submodule] of this.instances) {
+            if (isDescendantOf(this.instances, registryKey, name) && submodule.lifecycle.isServing()) {
+                this.stopEntry(registryKey).catch(() => {});
+            }
+        }
+
+        this.markFailed(name, Object.assign(new Error(`Crashed: ${message}`), { code: 'CRASHED' }));
+
+        if (crash.restartedAt && Date.now() - crash.restartedAt >= CRASH_STABLE_PERIOD) {
+            crash.attempts = 0;
+        }
+
+        this.scheduleRestart(name, entry);
+
+        return true;
+    }
+
+    /**
+     * Schedules the next automatic restart of a crashed instance
+     *
+     * Does nothing with the "never" policy or once maxRetries attempts were
+     * made; the instance then stays failed until started through the admin API.
+     *
+     * @param {string} name - Registry key
+     * @param {Object} entry - Registry entry
+     */
+    scheduleRestart(name, entry) {
+        const policy = resolveRestartPolicy(this.getRestartConfig(entry));
+        const crash = entry.crash;
+
+        if (policy.policy === 'never') {
+            console.log(`[MICROSERVER MANAGER] ${name} restart policy is "never", it stays failed`);
+            return;
+        }
+
+        if (crash.attempts >= policy.maxRetries) {
+            console.error(`[MICROSERVER MANAGER] ❌ ${name} gave up after ${crash.attempts} restart attempts, it stays failed`);
+            return;
+        }
+
+        const delay = getRestartDelay(policy, crash.attempts);
+
+        crash.attempts++;
+        crash.nextRestartAt = new Date(Date.now() + delay).toISOString();
+
+        console.log(`[MICROSERVER MANAGER] Restarting ${name} in ${delay}ms (attempt ${crash.attempts}/${policy.maxRetries})`);
+
+        crash.timer = setTimeout(async () => {
+            crash.timer = null;
+            crash.nextRestartAt = null;
+
+            // Started, stopped or removed in the meantime
+            if (this.instances.get(name) !== entry || entry.lifecycle.state !== LIFECYCLE_STATES.FAILED) {
+                return;
+            }
+
+            try {
+                await this.runAction(name, AUTO_RESTART_ACTION, () => {
+                    this.assertDependencies(name, entry, AUTO_RESTART_ACTION);
+
+                    return this.startEntry(name, entry);
+                });
+
+                crash.restartedAt = Date.now();
+            } catch (error) {
+                console.error(`[MICROSERVER MANAGER] ❌ Automatic restart of ${name} failed: ${error.message}`);
+
+                this.scheduleRestart(name, entry);
+            }
+        }, delay);
+    }
+
+    /**
+     * Cancels a pending automatic restart
+     *
+     * @param {Object} entry - Registry entry
+     */
+    cancelRestart(entry) {
+        if (entry.crash?.timer) {
+            clearTimeout(entry.crash.timer);
+
+            entry.crash.timer = null;
+            entry.crash.nextRestartAt = null;
+        }
+    }
+
+    /**
+     * Returns the restart policy configured for an instance
+     *
+     * @param {Object} entry - Registry entry
+     * @returns {string|Object|undefined} server.restart, or restart on a submodule entry
+     */
+    getRestartConfig(entry) {
+        return entry.parent ? entry.config.restart : entry.config.server.restart;
+    }
+
+    /**
+     * Returns the routing gate for microservers that are not running
+     *
+     * While a microserver is loading, starting, stopping or stopped its
+     * domains answer 503 (multihost endpoints excepted). Failed
+     * microservers keep serving their static frontend.
+     *
+     * @returns {Function} Express middleware
+     */
+    availabilityGate() {
+        return (req, res, next) => {
+            const refusal = this.checkAvailability(req.targetModule, req.url);
+
+            if (!refusal) {
+                return next();
+            }
+
+            sendErrorResponse(req, res, refusal.status, { message: refusal.message });
+        };
+    }
+
+    /**
+     * Checks whether a microserver can take a request or WebSocket upgrade
+     *
+     * @param {string} serverName - Name of the microserver the request is routed to
+     * @param {string} url - Request URL, relative to the microserver
+     * @returns {Object|null} Refusal { status, message }, or null when the request may pass
+     */
+    checkAvailability(serverName, url) {
+        const state = this.getState(serverName);
+
+        if (!UNAVAILABLE_STATES.includes(state) || isExemptPath(url)) {
+            return null;
+        }
+
+        return { status: 503, message: `${serverName} is ${state}, try again later` };
+    }
+
+    /**
+     * Retrieves statistics from all microserver instances
+     *
+     * Serving instances report their getStats hook; the others report
+     * their lifecycle state and last error.
+     * SUBMODULES: Stats include both parent microservers and their submodules
+     *
+     * @returns {Object} Aggregated statistics from all microservers
+     */
+    getMicroserverStats() {
+        const stats = {};
+
+        for (const [serverName, serverInstance] of this.instances) {
+            if (!serverInstance.lifecycle.isServing()) {
+                stats[serverName] = {
+                    status: serverInstance.lifecycle.state,
+                    error: serverInstance.error,
+                    isSubmodule: !!serverInstance.parent
+                };
+                continue;
+            }
+
+            try {
+                // If the microserver has a getStats hook, use it
+                if (serverInstance.hooks.getStats) {
+                    stats[serverName] = serverInstance.hooks.getStats();
+                } else {
+                    stats[serverName] = { 
+                        status: serverInstance.lifecycle.state, 
+                        hasStats: false,
+                        isSubmodule: !!serverInstance.parent
+                    };
+                }
+            } catch (error) {
+                stats[serverName] = { status: 'error', error: error.message };
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Returns the lifecycle of every microserver and submodule
+     *
+     * @returns {Object} Key: registry key, Value: { state, since, reason, transitions, health, error, isSubmodule }
+     */
+    getLifecycleStats() {
+        const lifecycles = {};
+
+        for (const [name, entry] of this.instances) {
+            lifecycles[name] = {
+                ...entry.lifecycle.toJSON(),
+                health: entry.health,
+                error: entry.error,
+                crashes: entry.crash ? {
+                    count: entry.crash.count,
+                    attempts: entry.crash.attempts,
+                    lastCrash: entry.crash.lastCrash,
+                    nextRestartAt: entry.crash.nextRestartAt,
+                    policy: resolveRestartPolicy(this.getRestartConfig(entry)).policy
+                } : null,
+                isSubmodule: !!entry.parent,
+                parent: entry.parent || null
+            };
+        }
+
+        return lifecycles;
+    }
+
+    /**
+     * Returns comprehensive manager statistics
+     *
+     * @returns {Object} Complete statistics about the microserver manager
+     */
+    getStats() {
+        const failed = Array.from(this.instances.entries())
+            .filter(([, entry]) => entry.lifecycle.state === LIFECYCLE_STATES.FAILED)
+            .map(([name]) => name);
+
+        return {
+            total: this.getTotalCount(),
+            active: this.getActiveCount(),
+            failed: failed,
+            loadedFunctions: this.loadedModuleCount,
+            failedLoads: this.failedModuleCount,
+            isLoaded: this.isLoaded,
+            setupFunctions: Array.from(this.setupFunctions.entries()).map(([name, func]) => [name, typeof func]),
+            activeInstances: Array.from(this.instances.keys()).filter(name => this.isActive(name)),
+            microserverStats: this.getMicroserverStats()
+        };
+    }
+
+    /**
+     * Counts the registered microservers and submodules, whatever their state
+     *
+     * @returns {number} Number of instances (the total getActiveCount is out of)
+     */
+    getTotalCount() {
+        return this.instances.size;
+    }
+
+    /**
+     * Counts the microservers and submodules currently serving (ready or degraded)
+     *
+     * @returns {number} Number of serving instances
+     */
+    getActiveCount() {
+        return Array.from(this.instances.values()).filter(entry => entry.lifecycle.isServing()).length;
+    }
+
+    /**
+     * Checks if a specific microserver is serving (ready or degraded)
+     *
+     * @param {string} serverName - Name of the microserver to check
+     * @returns {boolean} True if the microserver is active
+     */
+    isActive(serverName) {
+        return this.instances.get(serverName)?.lifecycle.isServing() === true;
+    }
+
+    /**
+     * Gets the lifecycle state of a microserver
+     *
+     * @param {string} serverName - Name of the microserver (or registry key of a submodule)
+     * @returns {string|null} LIFECYCLE_STATES value, or null if unknown
+     */
+    getState(serverName) {
+        return this.instances.get(serverName)?.lifecycle.state || null;
+    }
+
+    /**
+     * Gets a specific microserver instance
+     *
+     * @param {string} serverName - Name of the microserver
+     * @returns {Object|null} The microserver instance or null if not found
      */
     getInstance(serverName) {
         const entry = this.instances.get(serverName);
         return entry ? entry.instance : null;
     }
+}
+
+
+/**
+ * Creates the error of an instance whose dependencies are not running
+ *
+ * @param {Array<string>} blocking - Registry keys not running
+ * @returns {Error} Error with code DEPENDENCY_FAILED
+ */
+function createDependencyError(blocking) {
+    const error = new Error(`Dependency not running: ${blocking.join(', ')}`);
+    error.code = 'DEPENDENCY_FAILED';
+    return error;
+}
+
+
+/**
+ * Creates an error for a runtime action, with a code for the admin API
+ *
+ * @param {string} message - Error message
+ * @param {string} code - UNKNOWN_MICROSERVER, INVALID_STATE, ACTION_IN_PROGRESS or ACTION_FAILED
+ * @returns {Error} The error
+ */
+function createActionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
 }
\ No newline at end of file
@@ -0,0 +1,494 @@
+// ============================================
+// RateLimitManager.js - Per-Microserver Rate Limiting
+// ============================================
+/**
+ * Limits the requests and Socket.IO events of the microservers that
+ * enable "features": { "rateLimit": true }.
+ *
+ * This class handles:
+ * - Rate limit policies from the `rateLimit` block of each server config
+ * - The routing gate answering 429 once an HTTP client exceeds a rule,
+ *   also applying "connection" rules to Socket.IO handshakes
+ * - The same checks for WebSocket upgrades (see ServerManager.admitUpgrade)
+ * - Socket.IO event limiting, attached by the microserver through the
+ *   `rateLimit` setup option
+ * - Client identification by IP (honouring global.trustProxy) or by user
+ * - Rate limit reporting for /api/health
+ *
+ *   "server": {
+ *     "features": { "rateLimit": true },
+ *     "rateLimit": {
+ *       "keyBy": "ip",
+ *       "rules": [
+ *         { "path": "/auth/*", "methods": ["POST"], "window": 900000, "max": 5 },
+ *         { "path": "/*", "window": 60000, "max": 300, "burst": 50 },
+ *         { "event": "execute_command", "window": 1000, "max": 20, "keyBy": "user" }
+ *       ]
+ *     }
+ *   }
+ *
+ * A rule allows `max` hits per `window` milliseconds, plus `burst` extra
+ * hits in a row after a quiet period (token bucket of max + burst tokens).
+ * Every matching rule is counted and the request is refused as soon as one
+ * of them is exhausted. Without rules, "/*" allows 100 requests a minute.
+ *
+ * "user" keys use req.user (HTTP) or socket.data.user (Socket.IO) when an
+ * earlier layer authenticated the client; anonymous clients are keyed by IP.
+ *
+ * Counters live in the store selected by global.rateLimit.store.
+ *
+ * Design Pattern: Gate + Strategy
+ * - One routing gate for all microservers, counters behind a store interface
+ */
+
+import { sendErrorResponse } from './server-error-pages.js';
+import { compileSourcePattern } from './server-rules.js';
+import { isExemptPath } from './MaintenanceManager.js';
+import { compileTrustProxy, getClientIP } from './server-client-ip.js';
+import { createRateLimitStore } from './RateLimitStore.js';
+
+const DEFAULT_RULES = [{ path: '/*', window: 60000, max: 100 }];
+
+
+export class RateLimitManager {
+
+    /**
+     * Initialises the RateLimitManager
+     *
+     * @param {ServerManager} serverManager - Reference to the main server manager
+     */
+    constructor(serverManager) {
+
+        this.serverManager = serverManager;
+
+        this.store = null;
+        this.storeType = null;
+
+        this.trustProxy = false;
+        this.trust = compileTrustProxy(false);
+
+        // Key: microserver name, Value: { keyBy, rules }
+        this.policies = new Map();
+
+        // Key: microserver name, Value: { allowed, limited } (kept across reloads)
+        this.counters = new Map();
+
+        console.log('[RATE LIMIT] Initialised rate limit manager');
+    }
+
+
+    /**
+     * Builds the rate limit policy of a microserver from its configuration
+     *
+     * @param {Object} serverConfig - Configuration for a single microserver
+     * @returns {Object|null} Policy, or null when features.rateLimit is not enabled
+     */
+    buildPolicy(serverConfig) {
+
+        const server = serverConfig.server;
+
+        if (server?.features?.rateLimit !== true) {
+            return null;
+        }
+
+        const keyBy = server.rateLimit?.keyBy || 'ip';
+        const rules = (server.rateLimit?.rules || DEFAULT_RULES).map((rule, index) => ({
+            index: index,
+            path: rule.path || null,
+            event: rule.event || null,
+            // Express routes ignore case: "/AUTH/login" must not slip past a "/auth/*" rule
+            pattern: rule.path ? compileSourcePattern(rule.path, { ignoreCase: true }).regex : null,
+            methods: rule.methods?.length ? rule.methods.map(method => method.toUpperCase()) : null,
+            window: rule.window,
+            max: rule.max,
+            burst: rule.burst || 0,
+            keyBy: rule.keyBy || keyBy,
+            capacity: rule.max + (rule.burst || 0),
+            refillRate: rule.max / rule.window
+        }));
+
+        return { keyBy, rules };
+    }
+
+
+    /**
+     * Loads the store, trusted proxies and policies from configuration
+     *
+     * Also installs global.trustProxy as Express "trust proxy", so that
+     * req.ip is the client address behind a load balancer.
+     *
+     * @param {Object} config - Server configuration from servers.config.json
+     */
+    loadFromConfig(config) {
+
+        this.prepareConfigChange(config).commit();
+    }
+
+
+    /**
+     * Builds the store, trusted proxies and policies of a reloaded configuration, without using them yet
+     *
+     * Counters are kept: a changed rule starts from the buckets of the
+     * rule that had the same position.
+     *
+     * @param {Object} newConfig - Reloaded configuration
+     * @returns {Object} { commit, discard } - switch to the new policies, or drop them
+     */
+    prepareConfigChange(newConfig) {
+
+        const storeType = newConfig.global?.rateLimit?.store || 'memory';
+        const store = storeType !== this.storeType ? createRateLimitStore(storeType, this.serverManager.cacheManager) : null;
+        const trustProxy = newConfig.global?.trustProxy ?? false;
+        const trust = compileTrustProxy(trustProxy);
+        const policies = new Map();
+
+        newConfig.servers.forEach(serverConfig => {
+
+            const policy = this.buildPolicy(serverConfig);
+
+            if (policy) {
+                policies.set(serverConfig.name, policy);
+            }
+        });
+
+        return {
+            commit: () => {
+
+                if (store) {
+                    this.store?.close();
+                    this.store = store;
+                    this.storeType = storeType;
+                }
+
+                this.trustProxy = trustProxy;
+                this.trust = trust;
+                this.serverManager.app.set('trust proxy', trust);
+                this.policies = policies;
+
+                const limited = Array.from(policies.keys());
+
+                console.log(`[RATE LIMIT] ✅ Policies loaded (${storeType} store)${limited.length ? `, limiting: ${limited.join(', ')}` : ''}`);
+            },
+
+            discard: () => store?.close()
+        };
+    }
+
+
+    /**
+     * Takes one hit from every rule matched by a client
+     *
+     * @param {string} serverName - Name of the microserver
+     * @param {Array<Object>} rules - Matching compiled rules
+     * @param {Object} client - { ip, user }
+     * @returns {Promise<Object>} The most restrictive outcome:
+     *          { allowed, remaining, retryAfterMs, resetMs, limit, rule, clientKey }
+     */
+    async consume(serverName, rules, client) {
+
+        let result = null;
+
+        for (const rule of rules) {
+
+            const clientKey = rule.keyBy === 'user' && client.user ? `user:${client.user}` : `ip:${client.ip}`;
+            const outcome = await this.store.take(`${serverName}:${rule.index}:${clientKey}`, rule);
+            const candidate = { ...outcome, limit: rule.capacity, rule, clientKey };
+
+            if (!result ||
+                (result.allowed && !candidate.allowed) ||
+                (result.allowed === candidate.allowed && candidate.remaining < result.remaining)) {
+                result = candidate;
+            }
+        }
+
+        const counters = this.counters.get(serverName) || { allowed: 0, limited: 0 };
+
+        counters[result.allowed ? 'allowed' : 'limited']++;
+        this.counters.set(serverName, counters);
+
+        return result;
+    }
+
+
+    /**
+     * Takes one hit from every rule matching a request
+     *
+     * Path rules match the URL and method; "connection" rules match
+     * Socket.IO handshakes, whether they arrive by polling or as a
+     * WebSocket upgrade.
+     *
+     * @param {string} serverName - Name of the microserver the request is routed to
+     * @param {http.IncomingMessage} req - Request (req.user when identified)
+     * @param {string} url - Request URL, relative to the microserver
+     * @param {string} ip - Client IP
+     * @returns {Promise<Object|null>} Outcome, or null when no rule applies
+     */
+    async checkRequest(serverName, req, url, ip) {
+
+        const policy = this.policies.get(serverName);
+
+        if (!policy || isExemptPath(url)) {
+            return null;
+        }
+
+        const pathname = url.split('?')[0];
+        const handshake = isSocketHandshake(url);
+        const rules = policy.rules.filter(rule => (handshake && rule.event === 'connection') ||
+            (rule.pattern?.test(pathname) && (!rule.methods || rule.methods.includes(req.method))));
+
+        if (rules.length === 0) {
+            return null;
+        }
+
+        return this.consume(serverName, rules, { ip, user: getUserId(req.user) });
+    }
+
+
+    /**
+     * Returns the routing gate enforcing HTTP and connection rules
+     *
+     * Runs after domain detection (req.targetModule is set). Exempt paths
+     * pass through. If the store fails, requests are let through.
+     *
+     * @returns {Function} Express middleware
+     */
+    middleware() {
+
+        return (req, res, next) => {
+
+            this.checkRequest(req.targetModule, req, req.url, req.ip)
+                .then(result => {
+
+                    if (!result) {
+                        return next();
+                    }
+
+                    res.set({
+                        'RateLimit-Limit': String(result.limit),
+                        'RateLimit-Remaining': String(result.remaining),
+                        'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+                    });
+
+                    if (result.allowed) {
+                        return next();
+                    }
+
+                    console.log(`[RATE LIMIT] ${req.targetModule}: ${result.clientKey} limited on ${req.method} ${req.url.split('?')[0]}`);
+
+                    sendErrorResponse(req, res, 429, getRefusal(result));
+                })
+                .catch(error => {
+
+                    console.error(`[RATE LIMIT] ❌ Store error, request allowed: ${error.message}`);
+                    next();
+                });
+        };
+    }
+
+
+    /**
+     * Checks a WebSocket upgrade (upgrades never reach the routing gates)
+     *
+     * @param {string} serverName - Name of the microserver the upgrade is routed to
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {string} url - Upgrade URL, relative to the microserver
+     * @param {string} ip - Client IP
+     * @returns {Promise<Object|null>} Refusal { status, message, headers }, or null when the upgrade may pass
+     */
+    async checkUpgrade(serverName, req, url, ip) {
+
+        try {
+            const result = await this.checkRequest(serverName, req, url, ip);
+
+            if (!result || result.allowed) {
+                return null;
+            }
+
+            console.log(`[RATE LIMIT] ${serverName}: ${result.clientKey} limited on upgrade ${url.split('?')[0]}`);
+
+            return { status: 429, ...getRefusal(result) };
+
+        } catch (error) {
+
+            console.error(`[RATE LIMIT] ❌ Store error, upgrade allowed: ${error.message}`);
+            return null;
+        }
+    }
+
+
+    /**
+     * Takes one hit for a Socket.IO event
+     *
+     * @param {string} serverName - Name of the microserver
+     * @param {string} event - Event name
+     * @param {Socket} socket - Socket.IO socket
+     * @returns {Promise<Object|null>} Outcome, or null when no rule applies
+     */
+    async consumeEvent(serverName, event, socket) {
+
+        const policy = this.policies.get(serverName);
+
+        if (!policy) {
+            return null;
+        }
+
+        // "*" covers every event but the handshake
+        const rules = policy.rules.filter(rule =>
+            rule.event === event || (rule.event === '*' && event !== 'connection'));
+
+        if (rules.length === 0) {
+            return null;
+        }
+
+        return this.consume(serverName, rules, {
+            ip: getClientIP(socket.request, this.trust),
+            user: getUserId(socket.data?.user)
+        });
+    }
+
+
+    /**
+     * Applies the event rules of a microserver to its Socket.IO server
+     *
+     * A limited event is dropped and 'rate_limited' { event, retryAfter }
+     * is emitted to the socket. "connection" rules are not applied here:
+     * handshakes are refused before they reach Socket.IO (see checkRequest).
+     *
+     * @param {string} serverName - Name of the microserver
+     * @param {Server} io - Socket.IO server of the microserver
+     */
+    attachSocket(serverName, io) {
+
+        io.on('connection', (socket) => {
+
+            socket.use(([event], next) => {
+
+                this.consumeEvent(serverName, event, socket)
+                    .then(result => {
+
+                        if (!result || result.allowed) {
+                            return next();
+                        }
+
+                        console.log(`[RATE LIMIT] ${serverName}: ${result.clientKey} limited on event ${event}`);
+
+                        socket.emit('rate_limited', { event, retryAfter: Math.ceil(result.retryAfterMs / 1000) });
+                    })
+                    .catch(error => {
+
+                        console.error(`[RATE LIMIT] ❌ Store error, event allowed: ${error.message}`);
+                        next();
+                    });
+            });
+        });
+
+        console.log(`[RATE LIMIT] ✅ Socket.IO limiting attached for ${serverName}`);
+    }
+
+
+    /**
+     * Rate limiting API handed to a microserver in its setup options
+     *
+     * @param {string} serverName - Name of the microserver
+     * @returns {Object} { enabled, attachSocket(io) }
+     */
+    bindTo(serverName) {
+
+        return {
+            enabled: () => this.policies.has(serverName),
+            attachSocket: (io) => this.attachSocket(serverName, io)
+        };
+    }
+
+
+    /**
+     * Returns rate limit statistics for /api/health
+     *
+     * @returns {Object} { store, trustProxy, microservers }
+     */
+    getStats() {
+
+        const microservers = {};
+
+        for (const [name, policy] of this.policies) {
+
+            microservers[name] = {
+                keyBy: policy.keyBy,
+                rules: policy.rules.map(rule => ({
+                    ...(rule.path ? { path: rule.path, methods: rule.methods } : { event: rule.event }),
+                    window: rule.window,
+                    max: rule.max,
+                    burst: rule.burst,
+                    keyBy: rule.keyBy
+                })),
+                ...(this.counters.get(name) || { allowed: 0, limited: 0 })
+            };
+        }
+
+        return {
+            store: this.store?.getStats() || null,
+            trustProxy: this.trustProxy,
+            microservers
+        };
+    }
+
+
+    /**
+     * Releases the store
+     */
+    async close() {
+
+        await this.store?.close();
+        this.store = null;
+        this.storeType = null;
+    }
+}
+
+
+/**
+ * Identifier of an authenticated user
+ *
+ * @param {Object|string|undefined} user - req.user or socket.data.user
+ * @returns {string|null} id, sub or username, or null when anonymous
+ */
+function getUserId(user) {
+
+    if (typeof user === 'string' || typeof user === 'number') {
+        return String(user);
+    }
+
+    const id = user?.id ?? user?.sub ?? user?.username;
+
+    return id === undefined || id === null ? null : String(id);
+}
+
+
+/**
+ * Tells whether a request opens a Socket.IO session
+ *
+ * @param {string} url - Request URL
+ * @returns {boolean} True for an Engine.IO request (EIO) without a session id (sid)
+ */
+function isSocketHandshake(url) {
+
+    const query = new URLSearchParams(url.split('?')[1] || '');
+
+    return query.has('EIO') && !query.has('sid');
+}
+
+
+/**
+ * Message and headers answering a limited request
+ *
+ * @param {Object} result - Outcome of consume
+ * @returns {Object} { message, headers }
+ */
+function getRefusal(result) {
+
+    return {
+        message: result.rule.event === 'connection'
+            ? 'Too many connections, please try again later'
+            : 'Too many requests, please try again later',
+        headers: { 'Retry-After': String(Math.ceil(result.retryAfterMs / 1000)) }
+    };
+}
@@ -0,0 +1,203 @@
+// ============================================
+// RateLimitStore.js - Rate Limit Counters
+// ============================================
+/**
+ * Keeps the token buckets behind the RateLimitManager.
+ *
+ * A store implements:
+ * - take(key, { capacity, refillRate }): Promise<{ allowed, remaining, retryAfterMs, resetMs }>
+ *   removes one token from the bucket if there is one, atomically
+ * - reset(key): Promise<void>
+ * - getStats(): { type, keys }
+ * - close(): Promise<void>
+ *
+ * Buckets start full (capacity tokens) and refill continuously at
+ * refillRate tokens per millisecond. take() is asynchronous so that a
+ * shared store (Redis script) can implement the same contract.
+ *
+ * The "redis" store keeps the buckets in the Redis server of the
+ * CacheManager, so every process behind the same Redis shares them.
+ *
+ * Design Pattern: Strategy
+ * - The manager only talks to the store interface, selected by global.rateLimit.store
+ */
+
+// Full buckets are forgotten on the next sweep
+const SWEEP_INTERVAL = 60000;
+
+export const RATE_LIMIT_STORES = ['memory', 'redis'];
+
+// Same bucket arithmetic as MemoryRateLimitStore.take, on the Redis clock
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillRate = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = capacity
+if bucket[1] then
+    tokens = math.min(capacity, tonumber(bucket[1]) + (now - tonumber(bucket[2])) * refillRate)
+end
+local allowed = 0
+local retryAfterMs = 0
+if tokens >= 1 then
+    tokens = tokens - 1
+    allowed = 1
+else
+    retryAfterMs = math.ceil((1 - tokens) / refillRate)
+end
+local resetMs = math.ceil((capacity - tokens) / refillRate)
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.max(resetMs, 1))
+return { allowed, math.floor(tokens), retryAfterMs, resetMs }
+`;
+
+
+/**
+ * In-process store: counters are lost on restart and not shared between processes
+ */
+export class MemoryRateLimitStore {
+
+    constructor() {
+
+        // Key: bucket key, Value: { tokens, updatedAt, fullAt }
+        this.buckets = new Map();
+
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+        this.sweepTimer.unref();
+    }
+
+
+    async take(key, { capacity, refillRate }) {
+
+        const now = Date.now();
+        const bucket = this.buckets.get(key);
+
+        let tokens = bucket ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillRate) : capacity;
+
+        const allowed = tokens >= 1;
+
+        if (allowed) {
+            tokens -= 1;
+        }
+
+        const resetMs = Math.ceil((capacity - tokens) / refillRate);
+
+        this.buckets.set(key, { tokens, updatedAt: now, fullAt: now + resetMs });
+
+        return {
+            allowed,
+            remaining: Math.floor(tokens),
+            retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillRate),
+            resetMs
+        };
+    }
+
+
+    async reset(key) {
+
+        this.buckets.delete(key);
+    }
+
+
+    /**
+     * Removes the buckets that are full again
+     */
+    sweep() {
+
+        const now = Date.now();
+
+        for (const [key, bucket] of this.buckets) {
+
+            if (bucket.fullAt <= now) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+
+    getStats() {
+
+        return { type: 'memory', keys: this.buckets.size };
+    }
+
+
+    async close() {
+
+        clearInterval(this.sweepTimer);
+        this.buckets.clear();
+    }
+}
+
+
+/**
+ * Shared store: buckets live in Redis while the CacheManager uses it,
+ * in process memory while it runs on its in-memory fallback
+ */
+export class RedisRateLimitStore {
+
+    /**
+     * @param {CacheManager} cache - The multihost's cache
+     */
+    constructor(cache) {
+
+        this.cache = cache;
+        this.local = new MemoryRateLimitStore();
+    }
+
+
+    async take(key, { capacity, refillRate }) {
+
+        if (!this.cache.isShared()) {
+            return this.local.take(key, { capacity, refillRate });
+        }
+
+        const [allowed, remaining, retryAfterMs, resetMs] = await this.cache.evaluate(TAKE_SCRIPT, [`@rateLimit:${key}`], [capacity, refillRate]);
+
+        return { allowed: allowed === 1, remaining, retryAfterMs, resetMs };
+    }
+
+
+    async reset(key) {
+
+        await this.local.reset(key);
+
+        if (this.cache.isShared()) {
+            await this.cache.client('@rateLimit:').delete(key);
+        }
+    }
+
+
+    getStats() {
+
+        return { type: 'redis', shared: this.cache.isShared(), keys: this.cache.isShared() ? null : this.local.buckets.size };
+    }
+
+
+    async close() {
+
+        await this.local.close();
+    }
+}
+
+
+/**
+ * Creates the store named in global.rateLimit.store
+ *
+ * @param {string} type - Store type (default: "memory")
+ * @param {CacheManager} cache - The multihost's cache ("redis" store)
+ * @returns {Object} Store instance
+ * @throws {Error} If the type is unknown
+ */
+export function createRateLimitStore(type = 'memory', cache) {
+
+    if (type === 'memory') {
+        return new MemoryRateLimitStore();
+    }
+
+    if (type === 'redis') {
+        return new RedisRateLimitStore(cache);
+    }
+
+    throw new Error(`Unknown rate limit store '${type}' (expected ${RATE_LIMIT_STORES.join(', ')})`);
+}
@@ -25,8 +25,17 @@ import http from "http";
 import dotenv from "dotenv";
 
 import { setupDomainRouting } from './server-routing.js';
+import { corsGate } from './server-cors.js';
+import { rejectUpgrade } from './server-error-pages.js';
+import { getClientIP } from './server-client-ip.js';
+import { ConfigManager } from './ConfigManager.js';
 import { MicroserverManager } from './MicroserverManager.js';
 import { HealthManager } from './HealthManager.js';
+import { MaintenanceManager } from './MaintenanceManager.js';
+import { RateLimitManager } from './RateLimitManager.js';
+import { AuthenticationManager } from './AuthenticationManager.js';
+import { CacheManager } from './CacheManager.js';
+import { AdminManager } from './AdminManager.js';
 import { ErrorHandler } from './ErrorHandler.js';
 
 // MODULES
@@ -42,6 +51,7 @@ export class ServerManager {
      * @param {Object} options.keepAliveConfig - Keep-alive ping configuration
      * @param {number} options.port - Server port (defaults to env.PORT or 3001)
      * @param {string} options.host - Server host (defaults to env.HOST or '0.0.0.0')
+     * @param {boolean} options.watchConfig - Hot reload servers.config.json on file changes (default: true)
      */
 
     constructor( options = {} ) {
@@ -55,13 +65,20 @@ export class ServerManager {
         
         // Configuration management
         this.config = null;
+        this.resolveTarget = null;
         this.port = options.port || process.env.PORT || 3001;
         this.host = options.host || process.env.HOST || '0.0.0.0';
 
         
         // Specialised managers - delegation pattern
+        this.configManager = new ConfigManager({ watch: options.watchConfig });
         this.microserverManager = new MicroserverManager(this);
         this.healthManager = new HealthManager(this);
+        this.maintenanceManager = new MaintenanceManager(this);
+        this.cacheManager = new CacheManager();
+        this.rateLimitManager = new RateLimitManager(this);
+        this.authenticationManager = new AuthenticationManager(this);
+        this.adminManager = new AdminManager(this);
         this.errorHandler = new ErrorHandler(this);
 
         
@@ -91,6 +108,11 @@ export class ServerManager {
      * - Static file serving for built assets
      * - Domain-based routing system
      *
+     * Requests for proxy microservers skip this stack: their body is
+     * streamed untouched to the upstream, which serves its own assets.
+     * Isolated microservers only skip body parsing: the multihost still
+     * serves their assets, and their child process parses the body.
+     *
      * This method is called early in the initialisation process,
      * before microserver-specific setup occurs.
      */
@@ -99,12 +121,17 @@ export class ServerManager {
     
         console.log('[SERVER MANAGER] Configuring basic middlewares...');
 
+        const skipForProxy = (middleware) => (req, res, next) =>
+            this.isProxyRequest(req) ? next() : middleware(req, res, next);
+
+        const skipForStreamed = (middleware) => (req, res, next) =>
+            this.isStreamedRequest(req) ? next() : middleware(req, res, next);
     
     
         // Standard Express middleware stack
-        this.app.use(express.json());
-        this.app.use(express.urlencoded({ extended: true }));
-        this.app.use(express.static('dist'));
+        this.app.use(skipForStreamed(express.json()));
+        this.app.use(skipForStreamed(express.urlencoded({ extended: true })));
+        this.app.use(skipForProxy(express.static('dist')));
 
         console.log('[SERVER MANAGER] ✅ Basic middlewares configured');
     }
@@ -114,9 +141,10 @@ export class ServerManager {
      * Loads server configuration and sets up domain routing
      *
      * This method:
-     * 1. Calls setupDomainRouting which reads servers.config.json
+     * 1. Loads servers.config.json through the ConfigManager
      * 2. Configures domain-based routing middleware
      * 3. Stores configuration for use by other managers
+     * 4. Subscribes to configuration reloads
      *
      * @returns {Promise<void>}
      * @throws {Error} If configuration loading fails
@@ -128,8 +156,32 @@ export class ServerManager {
 
         try {
     
-            // setupDomainRouting reads servers.config.json and configures routing
-            this.config = setupDomainRouting(this.app);
+            this.configManager.load();
+
+            // The rate limit and session stores may keep their data in the cache
+            await this.cacheManager.loadFromConfig(this.configManager.getConfig());
+            this.maintenanceManager.loadFromConfig(this.configManager.getConfig());
+            this.rateLimitManager.loadFromConfig(this.configManager.getConfig());
+            this.authenticationManager.loadFromConfig(this.configManager.getConfig());
+
+            // setupDomainRouting reads the active config and follows its reloads
+            // (CORS first, so that 401, 429 and 503 answers carry CORS headers too;
+            // clients are identified before rate limiting, checked once the microserver is up;
+            // server facade listeners such as Socket.IO polling come last)
+            const routing = setupDomainRouting(this.app, this.configManager, {
+                gates: [
+                    corsGate(),
+                    this.authenticationManager.identifyGate(),
+                    this.rateLimitManager.middleware(),
+                    this.maintenanceManager.middleware(),
+                    this.microserverManager.availabilityGate(),
+                    this.authenticationManager.middleware(),
+                    this.microserverManager.facadeGate()
+                ]
+            });
+
+            this.config = routing.config;
+            this.resolveTarget = routing.resolveTarget;
 
             if (!this.config || !this.config.servers) {
     
@@ -137,6 +189,9 @@ export class ServerManager {
     
             }
 
+            // Keep microservers in sync with reloaded configuration
+            this.configManager.onChange((newConfig, oldConfig) => this.prepareConfigChange(newConfig, oldConfig));
+
             console.log(`[SERVER MANAGER] ✅ Configuration loaded: ${this.config.servers.length} microservers`);
 
         } catch (error) {
@@ -148,6 +203,195 @@ export class ServerManager {
     }
 
 
+    /**
+     * Checks whether a request is routed to a proxy microserver
+     *
+     * @param {http.IncomingMessage} req - Incoming request
+     * @returns {boolean} True if the target microserver has server.type "proxy"
+     */
+    isProxyRequest(req) {
+
+        if (!this.resolveTarget) {
+            return false;
+        }
+
+        return this.resolveTarget(req).serverConfig?.server.type === 'proxy';
+    }
+
+
+    /**
+     * Checks whether a request body is streamed to another process
+     *
+     * @param {http.IncomingMessage} req - Incoming request
+     * @returns {boolean} True for proxy and isolated microservers
+     */
+    isStreamedRequest(req) {
+
+        if (!this.resolveTarget) {
+            return false;
+        }
+
+        const server = this.resolveTarget(req).serverConfig?.server;
+
+        return server?.type === 'proxy' || !!server?.isolation;
+    }
+
+
+    /**
+     * Routes HTTP server events to the microserver they belong to
+     *
+     * Microservers get a facade of the HTTP server (server-http-facade.js),
+     * so what they attach to it (Socket.IO...) only sees their own traffic:
+     *
+     * - Requests go through the Express app; its last routing gate hands
+     *   them to the facade listeners of their microserver
+     * - Upgrades never reach Express. They are checked here with the same
+     *   rules as the routing gates (admitUpgrade), then microservers that
+     *   registered an upgrade handler receive their upgrades exclusively;
+     *   otherwise their facade listeners get them, and anything left goes
+     *   to the regular listeners of the HTTP server
+     */
+    setupServerEventRouting() {
+
+        const emit = this.server.emit.bind(this.server);
+
+        this.server.emit = (event, ...args) => {
+
+            if (!this.resolveTarget || event !== 'upgrade') {
+                return emit(event, ...args);
+            }
+
+            const [req, socket, head] = args;
+            const target = this.resolveTarget(req);
+            const ip = getClientIP(req, this.rateLimitManager.trust);
+
+            req.targetModule = target.serverName;
+
+            this.admitUpgrade(req, socket, target, ip)
+                .then(admitted => {
+
+                    if (!admitted) {
+                        return;
+                    }
+
+                    this.microserverManager.trackUpgrade(target.serverName, socket, ip);
+
+                    const handler = this.microserverManager.getUpgradeHandler(target.serverName);
+
+                    if (!handler) {
+                        return this.microserverManager.dispatchUpgrade(target.serverName, req, socket, head) || emit(event, ...args);
+                    }
+
+                    req.basePath = target.basePath;
+                    req.url = target.url;
+
+                    handler(req, socket, head);
+                })
+                .catch(error => {
+
+                    console.error(`[SERVER MANAGER] ❌ Upgrade to ${target.serverName} failed: ${error.message}`);
+                    socket.destroy();
+                });
+
+            return true;
+        };
+
+        // Node only treats requests as upgrades when the server has an 'upgrade'
+        // listener; this one closes the upgrades nothing else listens to
+        this.server.on('upgrade', (req, socket) => {
+
+            if (this.server.listenerCount('upgrade') === 1) {
+                socket.destroy();
+            }
+        });
+
+        console.log('[SERVER MANAGER] ✅ HTTP request and WebSocket upgrade routing configured');
+    }
+
+
+    /**
+     * Applies the routing gates to a WebSocket upgrade
+     *
+     * Upgrades never reach the Express gates: the client is identified,
+     * then rate limits, maintenance, the microserver's availability and the
+     * protect patterns are checked here. A refused upgrade gets the same
+     * status as a refused request.
+     *
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     * @param {Object} target - Routing target (see resolveTarget)
+     * @param {string} ip - Client IP
+     * @returns {Promise<boolean>} True if the upgrade may continue
+     */
+    async admitUpgrade(req, socket, target, ip) {
+
+        // Same order as the routing gates
+        await this.authenticationManager.identifyRequest(target.serverName, req);
+
+        const refusal = await this.rateLimitManager.checkUpgrade(target.serverName, req, target.url, ip)
+            || this.maintenanceManager.checkUpgrade(target.serverName, target.url, ip)
+            || this.microserverManager.checkAvailability(target.serverName, target.url)
+            || this.authenticationManager.checkUpgrade(target.serverName, req, target.url);
+
+        if (!refusal) {
+            return true;
+        }
+
+        console.log(`[SERVER MANAGER] Upgrade to ${target.serverName} refused (${refusal.status}): ${refusal.message}`);
+
+        rejectUpgrade(req, socket, refusal.status, refusal);
+        return false;
+    }
+
+
+    /**
+     * Prepares a hot reloaded configuration
+     *
+     * The cache, maintenance, rate limit and authentication managers build
+     * their new state first; if one of them rejects the configuration, the
+     * others drop theirs and nothing changes. The returned commit switches
+     * them all (after routing, which subscribes first), then lets the
+     * MicroserverManager load or clean up microservers.
+     *
+     * @param {Object} newConfig - Reloaded configuration
+     * @param {Object} oldConfig - Previously active configuration
+     * @returns {Promise<Object>} { commit, discard }
+     */
+    async prepareConfigChange(newConfig, oldConfig) {
+
+        const changes = [];
+        const discard = () => Promise.allSettled(changes.map(change => change.discard?.()));
+
+        try {
+
+            changes.push(await this.cacheManager.prepareConfigChange(newConfig));
+            changes.push(this.maintenanceManager.prepareConfigChange(newConfig, oldConfig));
+            changes.push(this.rateLimitManager.prepareConfigChange(newConfig));
+            changes.push(this.authenticationManager.prepareConfigChange(newConfig));
+
+        } catch (error) {
+
+            await discard();
+            throw error;
+        }
+
+        return {
+            commit: async () => {
+
+                for (const change of changes) {
+                    await change.commit();
+                }
+
+                this.config = newConfig;
+
+                await this.microserverManager.applyConfigChange(newConfig, oldConfig);
+            },
+
+            discard
+        };
+    }
+
+
     /**
      * Complete server initialisation process
      *
@@ -155,7 +399,7 @@ export class ServerManager {
      * 1. Basic middleware setup
      * 2. Configuration loading
      * 3. Microserver module loading and setup
-     * 4. Health monitoring setup
+     * 4. Health monitoring and admin API setup
      * 5. Error handling setup
      *
      * @returns {Promise<ServerManager>} Returns self for method chaining
@@ -180,13 +424,15 @@ export class ServerManager {
 
             // Step 2: Load configuration
             await this.loadConfiguration();
+            this.setupServerEventRouting();
 
             // Step 3: Delegate microserver management
             await this.microserverManager.loadAllModules(this.config);
-            await this.microserverManager.setupAllMicroservers(this.config);
+            await this.microserverManager.setupAllMicroservers();
 
-            // Step 4: Setup health monitoring
+            // Step 4: Setup health monitoring and admin API
             this.healthManager.setupEndpoints();
+            this.adminManager.setupEndpoints();
 
             // Step 5: Setup error handling
             this.errorHandler.setupHandlers();
@@ -242,6 +488,9 @@ export class ServerManager {
                 // Start keep-alive system
                 this.keepAlive.start();
 
+                // Start configuration hot reload
+                this.configManager.watch();
+
                 // Display startup information
                 this.displayStartupInfo();
 
@@ -321,11 +570,15 @@ export class ServerManager {
         try {
         
         
-            // Stop keep-alive first
+            // Stop keep-alive and config watching first
             this.keepAlive.stop();
+            this.configManager.stopWatching();
 
             // Delegate microserver cleanup
             await this.microserverManager.cleanupAll();
+            await this.rateLimitManager.close();
+            await this.authenticationManager.close();
+            await this.cacheManager.close();
 
             // Close HTTP server
             return new Promise((resolve) => {
@@ -370,6 +623,7 @@ export class ServerManager {
             },
             microservers: microserverStats,
             keepAlive: this.keepAlive.getStats(),
+            configuration: this.configManager.getStats(),
             memory: process.memoryUsage()
         };
     }
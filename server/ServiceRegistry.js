@@ -0,0 +1,248 @@
+// ============================================
+// ServiceRegistry.js - Services Shared Between Microservers
+// ============================================
+/**
+ * Lets microservers and submodules expose objects (an AuthManager, a
+ * logger, a database connection...) to each other.
+ *
+ * This class handles:
+ * - provide(name, service): registers a service under the caller's name
+ * - consume(name): resolves with a service once its provider is ready
+ * - Withdrawal of the services of a provider that stops or fails
+ * - Service listing for /api/config
+ *
+ * Both functions reach a microserver through its setup options:
+ *
+ *   export async function setupBlog(app, server, options) {
+ *       const auth = await options.consume('auth');
+ *       options.provide('blog-posts', postStore);
+ *   }
+ *
+ * Startup order:
+ * - A service is handed out once its provider is ready (init and ready
+ *   hooks done), never half initialised
+ * - With dependsOn on the provider (or for a submodule consuming its
+ *   parent's services) consume() resolves immediately; otherwise the
+ *   consumer waits while both start, up to the consume timeout
+ *
+ * A service belongs to the instance that provided it: another instance
+ * providing the same name is an error, the same instance (restarted)
+ * replaces it. Isolated microservers get a registry of their own, shared
+ * with their submodules only.
+ *
+ * Design Pattern: Service Locator
+ * - One registry owned by the MicroserverManager, bound per instance
+ */
+
+// Limit for a consume() call to be satisfied
+const DEFAULT_CONSUME_TIMEOUT = 30000;
+
+
+export class ServiceRegistry {
+
+    /**
+     * Initialises the ServiceRegistry
+     *
+     * @param {Object} options - Registry options
+     * @param {Function} options.isAvailable - (provider) => boolean, whether a provider is ready
+     *                                         to hand out its services (default: always)
+     */
+    constructor(options = {}) {
+
+        this.isAvailable = options.isAvailable || (() => true);
+
+        // Key: service name
+        // Value: { service, provider, providedAt, available, consumers: Set<registry key> }
+        this.services = new Map();
+
+        // consume() calls waiting for a service
+        // Key: service name, Value: Array<{ consumer, resolve }>
+        this.waiting = new Map();
+    }
+
+
+    /**
+     * Registers a service
+     *
+     * @param {string} provider - Registry key of the providing instance
+     * @param {string} name - Service name
+     * @param {any} service - The service
+     * @throws {Error} With code SERVICE_CONFLICT if another instance provides the name
+     */
+    provide(provider, name, service) {
+
+        assertServiceName(name);
+
+        const existing = this.services.get(name);
+
+        if (existing && existing.provider !== provider) {
+            throw Object.assign(new Error(`Service '${name}' is already provided by ${existing.provider}`), { code: 'SERVICE_CONFLICT' });
+        }
+
+        this.services.set(name, {
+            service,
+            provider,
+            providedAt: new Date().toISOString(),
+            available: false,
+            consumers: existing ? existing.consumers : new Set()
+        });
+
+        console.log(`[SERVICES] ${provider} provides '${name}'`);
+
+        if (this.isAvailable(provider)) {
+            this.release(provider);
+        }
+    }
+
+
+    /**
+     * Resolves with a service once it is provided and its provider is ready
+     *
+     * @param {string} consumer - Registry key of the consuming instance
+     * @param {string} name - Service name
+     * @param {Object} options - Consume options
+     * @param {number} options.timeout - Limit in milliseconds (default: 30000)
+     * @returns {Promise<any>} The service
+     * @throws {Error} With code SERVICE_TIMEOUT if it is not available in time
+     */
+    consume(consumer, name, options = {}) {
+
+        assertServiceName(name);
+
+        const registered = this.services.get(name);
+
+        if (registered?.available) {
+
+            registered.consumers.add(consumer);
+            return Promise.resolve(registered.service);
+        }
+
+        const timeout = options.timeout || DEFAULT_CONSUME_TIMEOUT;
+
+        return new Promise((resolve, reject) => {
+
+            const waiter = { consumer, resolve: null };
+
+            const timer = setTimeout(() => {
+
+                const waiters = (this.waiting.get(name) || []).filter(entry => entry !== waiter);
+
+                if (waiters.length > 0) {
+                    this.waiting.set(name, waiters);
+                } else {
+                    this.waiting.delete(name);
+                }
+
+                reject(Object.assign(
+                    new Error(`Service '${name}' not available to ${consumer} within ${timeout}ms (is its provider running? consider dependsOn)`),
+                    { code: 'SERVICE_TIMEOUT' }
+                ));
+            }, timeout);
+
+            waiter.resolve = (service) => {
+                clearTimeout(timer);
+                resolve(service);
+            };
+
+            this.waiting.set(name, [...(this.waiting.get(name) || []), waiter]);
+        });
+    }
+
+
+    /**
+     * Hands out the services of a provider that became ready
+     *
+     * @param {string} provider - Registry key of the provider
+     */
+    release(provider) {
+
+        for (const [name, registered] of this.services) {
+
+            if (registered.provider !== provider || registered.available) {
+                continue;
+            }
+
+            registered.available = true;
+
+            const waiters = this.waiting.get(name) || [];
+
+            this.waiting.delete(name);
+
+            waiters.forEach(({ consumer, resolve }) => {
+                registered.consumers.add(consumer);
+                resolve(registered.service);
+            });
+        }
+    }
+
+
+    /**
+     * Removes the services of an instance that stopped or failed, and its
+     * place among the consumers of the others
+     *
+     * Consumers keep the references they already hold; new consume() calls
+     * wait for the provider to provide again.
+     *
+     * @param {string} provider - Registry key of the instance
+     * @returns {Array<string>} Names of the services removed
+     */
+    withdraw(provider) {
+
+        this.services.forEach(registered => registered.consumers.delete(provider));
+
+        const withdrawn = Array.from(this.services.entries())
+            .filter(([, registered]) => registered.provider === provider)
+            .map(([name]) => name);
+
+        withdrawn.forEach(name => this.services.delete(name));
+
+        if (withdrawn.length > 0) {
+            console.log(`[SERVICES] ${provider} withdrew ${withdrawn.map(name => `'${name}'`).join(', ')}`);
+        }
+
+        return withdrawn;
+    }
+
+
+    /**
+     * Returns provide() and consume() bound to an instance, for its setup options
+     *
+     * @param {string} owner - Registry key of the instance
+     * @returns {{ provide: Function, consume: Function }}
+     */
+    bindTo(owner) {
+
+        return {
+            provide: (name, service) => this.provide(owner, name, service),
+            consume: (name, options) => this.consume(owner, name, options)
+        };
+    }
+
+
+    /**
+     * Lists the registered services and who waits for missing ones
+     *
+     * @returns {Object} { provided: [{ name, provider, available, providedAt, consumers }], waiting: { name: [consumers] } }
+     */
+    list() {
+
+        return {
+            provided: Array.from(this.services, ([name, registered]) => ({
+                name,
+                provider: registered.provider,
+                available: registered.available,
+                providedAt: registered.providedAt,
+                consumers: Array.from(registered.consumers)
+            })),
+            waiting: Object.fromEntries(Array.from(this.waiting, ([name, waiters]) => [name, waiters.map(waiter => waiter.consumer)]))
+        };
+    }
+}
+
+
+function assertServiceName(name) {
+
+    if (typeof name !== 'string' || name.length === 0) {
+        throw Object.assign(new Error(`Service name must be a non-empty string, got ${JSON.stringify(name)}`), { code: 'INVALID_SERVICE' });
+    }
+}
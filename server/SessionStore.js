@@ -0,0 +1,176 @@
+// ============================================
+// SessionStore.js - Login Sessions
+// ============================================
+/**
+ * Keeps the login sessions behind the AuthenticationManager: cookie
+ * sessions, and the refresh tokens of JWT logins.
+ *
+ * A store implements:
+ * - create(data, ttlMs): Promise<string> new unguessable session id
+ * - get(id): Promise<Object|null> session data, null once expired or destroyed
+ * - destroy(id): Promise<void>
+ * - getStats(): { type, sessions }
+ * - close(): Promise<void>
+ *
+ * The "redis" store keeps the sessions in the cache of the CacheManager:
+ * shared by every process behind the same Redis, in process memory while
+ * the cache runs on its in-memory fallback.
+ *
+ * Design Pattern: Strategy
+ * - The manager only talks to the store interface, selected by
+ *   global.authentication.sessionStore
+ */
+
+import crypto from 'crypto';
+
+// Expired sessions are forgotten on the next sweep
+const SWEEP_INTERVAL = 60000;
+
+export const SESSION_STORES = ['memory', 'redis'];
+
+
+/**
+ * In-process store: sessions are lost on restart and not shared between processes
+ */
+export class MemorySessionStore {
+
+    constructor() {
+
+        // Key: session id, Value: { data, expiresAt }
+        this.sessions = new Map();
+
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+        this.sweepTimer.unref();
+    }
+
+
+    async create(data, ttlMs) {
+
+        const id = crypto.randomBytes(32).toString('base64url');
+
+        this.sessions.set(id, { data, expiresAt: Date.now() + ttlMs });
+
+        return id;
+    }
+
+
+    async get(id) {
+
+        const session = this.sessions.get(id);
+
+        if (!session) {
+            return null;
+        }
+
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(id);
+            return null;
+        }
+
+        return session.data;
+    }
+
+
+    async destroy(id) {
+
+        this.sessions.delete(id);
+    }
+
+
+    /**
+     * Removes the expired sessions
+     */
+    sweep() {
+
+        const now = Date.now();
+
+        for (const [id, session] of this.sessions) {
+
+            if (session.expiresAt <= now) {
+                this.sessions.delete(id);
+            }
+        }
+    }
+
+
+    getStats() {
+
+        return { type: 'memory', sessions: this.sessions.size };
+    }
+
+
+    async close() {
+
+        clearInterval(this.sweepTimer);
+        this.sessions.clear();
+    }
+}
+
+
+/**
+ * Sessions kept in the multihost's cache, expiring with their TTL
+ */
+export class RedisSessionStore {
+
+    /**
+     * @param {CacheManager} cache - The multihost's cache
+     */
+    constructor(cache) {
+
+        this.cache = cache;
+        this.client = cache.client('@sessions:');
+    }
+
+
+    async create(data, ttlMs) {
+
+        const id = crypto.randomBytes(32).toString('base64url');
+
+        await this.client.set(id, data, { ttl: ttlMs });
+
+        return id;
+    }
+
+
+    async get(id) {
+
+        return this.client.get(id);
+    }
+
+
+    async destroy(id) {
+
+        await this.client.delete(id);
+    }
+
+
+    getStats() {
+
+        return { type: 'redis', shared: this.cache.isShared() };
+    }
+
+
+    async close() {}
+}
+
+
+/**
+ * Creates the store named in global.authentication.sessionStore
+ *
+ * @param {string} type - Store type (default: "memory")
+ * @param {CacheManager} cache - The multihost's cache ("redis" store)
+ * @returns {Object} Store instance
+ * @throws {Error} If the type is unknown
+ */
+export function createSessionStore(type = 'memory', cache) {
+
+    if (type === 'memory') {
+        return new MemorySessionStore();
+    }
+
+    if (type === 'redis') {
+        return new RedisSessionStore(cache);
+    }
+
+    throw new Error(`Unknown session store '${type}' (expected ${SESSION_STORES.join(', ')})`);
+}
@@ -0,0 +1,216 @@
+// ============================================
+// UserStore.js - Shared User Accounts
+// ============================================
+/**
+ * Keeps the accounts behind the AuthenticationManager, shared by every
+ * microserver that enables features.authentication.
+ *
+ * global.authentication.users is either:
+ * - an array of users, written in servers.config.json (read-only)
+ *     [{ "username": "admin", "passwordHash": "${ADMIN_HASH}", "roles": ["admin"] }]
+ * - the path of a JSON file { "users": [ ... ] }, relative to servers.config.json,
+ *   re-read when it changes; microservers can add accounts to it
+ *
+ * A store implements:
+ * - findByUsername(username): Promise<Object|null>
+ * - findById(id): Promise<Object|null>
+ * - createUser({ username, password, roles }): Promise<Object> (file stores only)
+ * - getStats(): { type, users }
+ *
+ * Users are { id, username, passwordHash, roles }; id defaults to the
+ * username. passwordHash is a bcrypt hash and never leaves the multihost.
+ *
+ * Design Pattern: Strategy
+ * - The manager only talks to the store interface, selected by the users setting
+ */
+
+import fs from 'fs';
+import path from 'path';
+import bcrypt from 'bcrypt';
+
+const BCRYPT_ROUNDS = 12;
+
+
+/**
+ * Normalises a user entry
+ *
+ * @param {Object} user - Stored user
+ * @returns {Object} { id, username, passwordHash, roles }
+ */
+function normaliseUser(user) {
+
+    return {
+        id: String(user.id ?? user.username),
+        username: user.username,
+        passwordHash: user.passwordHash,
+        roles: Array.isArray(user.roles) ? user.roles : []
+    };
+}
+
+
+/**
+ * User as handed to microservers (req.user, socket.data.user)
+ *
+ * @param {Object} user - Stored user
+ * @returns {Object} { id, username, roles }
+ */
+export function toPublicUser(user) {
+
+    return { id: user.id, username: user.username, roles: user.roles };
+}
+
+
+/**
+ * Users listed in servers.config.json
+ */
+export class ConfigUserStore {
+
+    constructor(users = []) {
+
+        this.users = users.map(normaliseUser);
+    }
+
+
+    async findByUsername(username) {
+
+        return this.users.find(user => user.username === username) || null;
+    }
+
+
+    async findById(id) {
+
+        return this.users.find(user => user.id === id) || null;
+    }
+
+
+    async createUser() {
+
+        throw Object.assign(new Error('Users listed in servers.config.json are read-only'), { code: 'USER_STORE_READ_ONLY' });
+    }
+
+
+    getStats() {
+
+        return { type: 'config', users: this.users.length };
+    }
+}
+
+
+/**
+ * Users kept in a JSON file
+ */
+export class FileUserStore {
+
+    constructor(filePath) {
+
+        this.filePath = filePath;
+        this.users = [];
+        this.loadedAt = null;
+    }
+
+
+    /**
+     * Reads the file again if it changed since the last read
+     *
+     * A missing file is an empty store.
+     */
+    refresh() {
+
+        let mtime = null;
+
+        try {
+            mtime = fs.statSync(this.filePath).mtimeMs;
+        } catch {
+            this.users = [];
+            this.loadedAt = null;
+            return;
+        }
+
+        if (mtime === this.loadedAt) {
+            return;
+        }
+
+        try {
+
+            const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+            this.users = (Array.isArray(content.users) ? content.users : [])
+                .filter(user => user && typeof user.username === 'string')
+                .map(normaliseUser);
+            this.loadedAt = mtime;
+
+        } catch (error) {
+
+            console.error(`[AUTH] ❌ Failed to read users from ${this.filePath}: ${error.message}`);
+        }
+    }
+
+
+    async findByUsername(username) {
+
+        this.refresh();
+
+        return this.users.find(user => user.username === username) || null;
+    }
+
+
+    async findById(id) {
+
+        this.refresh();
+
+        return this.users.find(user => user.id === id) || null;
+    }
+
+
+    /**
+     * Adds an account and writes the file (through a temporary file)
+     *
+     * @param {Object} account - { username, password, roles }
+     * @returns {Promise<Object>} The stored user
+     * @throws {Error} If the username is taken (code USER_EXISTS)
+     */
+    async createUser({ username, password, roles = [] }) {
+
+        this.refresh();
+
+        if (this.users.some(user => user.username === username)) {
+            throw Object.assign(new Error(`User '${username}' already exists`), { code: 'USER_EXISTS' });
+        }
+
+        const user = normaliseUser({ username, passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS), roles });
+        const temporaryPath = `${this.filePath}.${process.pid}.tmp`;
+
+        fs.writeFileSync(temporaryPath, JSON.stringify({ users: [...this.users, user] }, null, 4));
+        fs.renameSync(temporaryPath, this.filePath);
+
+        this.users.push(user);
+        this.loadedAt = fs.statSync(this.filePath).mtimeMs;
+
+        return user;
+    }
+
+
+    getStats() {
+
+        this.refresh();
+
+        return { type: 'file', path: this.filePath, users: this.users.length };
+    }
+}
+
+
+/**
+ * Creates the store for global.authentication.users
+ *
+ * @param {Array<Object>|string|undefined} setting - Users, or path of a users file
+ * @param {string} baseDir - Directory relative file paths are resolved from
+ * @returns {Object} Store instance
+ */
+export function createUserStore(setting, baseDir) {
+
+    if (typeof setting === 'string') {
+        return new FileUserStore(path.resolve(baseDir, setting));
+    }
+
+    return new ConfigUserStore(setting || []);
+}
@@ -0,0 +1,121 @@
+// ============================================
+// server/server-client-ip.js - Client Addresses and Trusted Proxies
+// ============================================
+// Which address a request comes from, when the multihost runs behind a
+// load balancer or CDN adding x-forwarded-for. "global.trustProxy":
+//
+//   false (default)              x-forwarded-for is ignored, the socket address is used
+//   true                         the left-most x-forwarded-for address is used
+//   1                            number of proxies in front of the multihost
+//   ["10.0.0.0/8", "127.0.0.1"]  addresses (or CIDR ranges) of trusted proxies
+//
+// The same rule is installed as Express "trust proxy" (req.ip) and used for
+// requests Express never sees (Socket.IO handshakes, WebSocket upgrades).
+// ============================================
+
+import net from 'net';
+
+
+/**
+ * Builds a BlockList from IP addresses and CIDR ranges
+ *
+ * @param {Array<string>} entries - "127.0.0.1", "::1", "10.0.0.0/8"...
+ * @returns {net.BlockList|null} The list, or null when empty
+ */
+export function buildAllowList(entries) {
+
+    if (entries.length === 0) {
+        return null;
+    }
+
+    const list = new net.BlockList();
+
+    entries.forEach(entry => {
+
+        const [address, prefix] = entry.split('/');
+        const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+        if (prefix !== undefined) {
+            list.addSubnet(address, Number(prefix), family);
+        } else {
+            list.addAddress(address, family);
+        }
+    });
+
+    return list;
+}
+
+
+/**
+ * Checks a client IP against an allowlist
+ *
+ * IPv4-mapped IPv6 addresses ("::ffff:127.0.0.1") are checked as IPv4.
+ */
+export function isAllowed(list, ip = '') {
+
+    const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+
+    if (!net.isIP(address)) {
+        return false;
+    }
+
+    return list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+
+/**
+ * Compiles a trustProxy setting into an Express "trust proxy" function
+ *
+ * @param {boolean|number|Array<string>} setting - global.trustProxy
+ * @returns {Function} (address, hop) => boolean, hop 0 being the socket address
+ */
+export function compileTrustProxy(setting = false) {
+
+    if (setting === true) {
+        return () => true;
+    }
+
+    if (typeof setting === 'number') {
+        return (address, hop) => hop < setting;
+    }
+
+    if (Array.isArray(setting) && setting.length > 0) {
+
+        const list = buildAllowList(setting);
+
+        return address => isAllowed(list, address);
+    }
+
+    return () => false;
+}
+
+
+/**
+ * Client address of a plain http request, as Express computes req.ip
+ *
+ * Walks from the socket address through x-forwarded-for (right to left)
+ * while the hop is a trusted proxy.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {Function} trust - Function from compileTrustProxy
+ * @returns {string} Client address ('' if unknown)
+ */
+export function getClientIP(req, trust) {
+
+    const forwarded = String(req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean)
+        .reverse();
+
+    const addresses = [req.socket?.remoteAddress || '', ...forwarded];
+
+    for (let hop = 0; hop < addresses.length - 1; hop++) {
+
+        if (!trust(addresses[hop], hop)) {
+            return addresses[hop];
+        }
+    }
+
+    return addresses[addresses.length - 1];
+}
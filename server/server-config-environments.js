@@ -0,0 +1,266 @@
+// ============================================
+// server/server-config-environments.js - Environment Overlays
+// ============================================
+// Lets one servers.config.json serve development, staging and production.
+// Overlays for the selected environment are deep-merged over the base file,
+// in this order (last wins):
+//
+//   1. "environments": { "<env>": { ... } } block of servers.config.json
+//   2. servers.config.<env>.json next to servers.config.json
+//
+//   "environments": {
+//     "production": {
+//       "global": { "crashThreshold": 3 },
+//       "servers": [
+//         { "name": "develrun", "server": { "features": { "cors": false } } }
+//       ]
+//     }
+//   }
+//
+// Objects merge key by key, anything else (strings, numbers, arrays such as
+// domains) replaces the base value. Overlay servers are matched to base
+// servers by name; an overlay server with a new name is added.
+//
+// Environment, first match wins:
+//   1. --env <name> (or --env=<name>) on the command line
+//   2. MULTIHOST_ENV environment variable
+//   3. NODE_ENV (default: development)
+// ============================================
+
+import path from 'path';
+import fs from 'fs';
+
+export const ENVIRONMENT_ENV = 'MULTIHOST_ENV';
+export const ENVIRONMENT_FLAG = '--env';
+
+// Environment names end up in file names
+const ENVIRONMENT_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+
+/**
+ * Resolves the environment whose overlays apply
+ *
+ * @param {Object} options - Overrides for testing or tooling
+ * @param {Array<string>} options.argv - Command line arguments (default: process.argv)
+ * @param {Object} options.env - Environment (default: process.env)
+ * @returns {string} Environment name
+ * @throws {Error} If the name is not made of letters, numbers, "-" and "_"
+ */
+export function resolveEnvironment(options = {}) {
+
+    const argv = options.argv || process.argv;
+    const env = options.env || process.env;
+
+    let flag = null;
+
+    for (let index = 0; index < argv.length; index++) {
+
+        if (argv[index] === ENVIRONMENT_FLAG && argv[index + 1]) {
+            flag = argv[index + 1];
+        } else if (argv[index].startsWith(`${ENVIRONMENT_FLAG}=`)) {
+            flag = argv[index].slice(ENVIRONMENT_FLAG.length + 1);
+        }
+    }
+
+    const environment = flag || env[ENVIRONMENT_ENV] || env.NODE_ENV || 'development';
+
+    if (!ENVIRONMENT_PATTERN.test(environment)) {
+        throw new Error(`Invalid environment ${JSON.stringify(environment)}: use letters, numbers, "-" and "_"`);
+    }
+
+    return environment;
+}
+
+
+/**
+ * Path of the overlay file of an environment
+ *
+ * @param {string} configPath - Path to servers.config.json
+ * @param {string} environment - Environment name
+ * @returns {string} servers.config.<env>.json in the same directory
+ */
+export function getOverlayPath(configPath, environment) {
+
+    const extension = path.extname(configPath);
+
+    return path.join(path.dirname(configPath), `${path.basename(configPath, extension)}.${environment}${extension || '.json'}`);
+}
+
+
+function isPlainObject(value) {
+
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+
+/**
+ * Merges an overlay value over a base value, recording what it set
+ *
+ * @param {any} base - Base value
+ * @param {any} overlay - Overlay value
+ * @param {string} jsonPath - Path of the value
+ * @param {Object} context - { source, sources }
+ * @returns {any} Merged value (base is left untouched)
+ */
+function mergeValue(base, overlay, jsonPath, context) {
+
+    if (!isPlainObject(base) || !isPlainObject(overlay)) {
+
+        context.sources.push({ path: jsonPath, source: context.source });
+        return overlay;
+    }
+
+    const merged = { ...base };
+
+    Object.entries(overlay).forEach(([key, value]) => {
+
+        const keyPath = jsonPath ? `${jsonPath}.${key}` : key;
+
+        merged[key] = mergeValue(base[key], value, keyPath, context);
+    });
+
+    return merged;
+}
+
+
+/**
+ * Merges one overlay over a configuration
+ *
+ * @param {Object} config - Configuration so far
+ * @param {Object} overlay - Overlay content
+ * @param {string} source - Overlay label ("environments.production", file name)
+ * @param {Array<Object>} sources - Collects { path, source } of the values set
+ * @param {Array<Object>} errors - Collects { path, message } problems
+ * @returns {Object} Merged configuration
+ */
+function applyOverlay(config, overlay, source, sources, errors) {
+
+    if (!isPlainObject(overlay)) {
+
+        errors.push({ path: source, message: 'must be an object' });
+        return config;
+    }
+
+    const { servers: overlayServers, environments, ...rest } = overlay;
+    const context = { source, sources };
+
+    if (environments !== undefined) {
+        errors.push({ path: `${source}.environments`, message: 'overlays cannot contain environments' });
+    }
+
+    const merged = mergeValue(config, rest, '', context);
+
+    if (overlayServers === undefined) {
+        return merged;
+    }
+
+    if (!Array.isArray(overlayServers) || !Array.isArray(config.servers)) {
+
+        errors.push({ path: `${source}.servers`, message: 'must be an array of server entries, matched by name' });
+        return merged;
+    }
+
+    const servers = [...config.servers];
+
+    overlayServers.forEach((serverOverlay, overlayIndex) => {
+
+        if (!isPlainObject(serverOverlay) || typeof serverOverlay.name !== 'string') {
+
+            errors.push({ path: `${source}.servers[${overlayIndex}]`, message: 'must be an object with the "name" of the server it overrides or adds' });
+            return;
+        }
+
+        const { name, ...changes } = serverOverlay;
+        const index = servers.findIndex(serverConfig => serverConfig?.name === name);
+
+        if (index === -1) {
+
+            sources.push({ path: `servers[${servers.length}]`, source });
+            servers.push(serverOverlay);
+            return;
+        }
+
+        servers[index] = mergeValue(servers[index], changes, `servers[${index}]`, context);
+    });
+
+    return { ...merged, servers };
+}
+
+
+/**
+ * Applies the overlays of an environment to a (raw) configuration
+ *
+ * @param {Object} config - Parsed configuration, left untouched
+ * @param {Object} options - Overlay options
+ * @param {string} options.environment - Environment name
+ * @param {string} options.configPath - Path to servers.config.json (for the overlay file)
+ * @returns {{ config: Object, environment: Object, errors: Array<Object> }}
+ *          config without its environments block; environment is
+ *          { name, overlays, overlayPath, sources } where sources lists the
+ *          { path, source } of every value an overlay set
+ * @throws {Error} If the overlay file exists but cannot be read or parsed
+ */
+export function applyEnvironment(config, options) {
+
+    const { environment: name, configPath } = options;
+    const overlayPath = getOverlayPath(configPath, name);
+    const overlays = [];
+    const sources = [];
+    const errors = [];
+
+    if (!isPlainObject(config)) {
+        return { config, environment: { name, overlays, overlayPath, sources }, errors };
+    }
+
+    const { environments, ...baseConfig } = config;
+    let merged = baseConfig;
+
+    if (environments !== undefined && !isPlainObject(environments)) {
+
+        errors.push({ path: 'environments', message: 'must be an object of overlays by environment name' });
+
+    } else if (environments?.[name] !== undefined) {
+
+        overlays.push(`environments.${name}`);
+        merged = applyOverlay(merged, environments[name], `environments.${name}`, sources, errors);
+    }
+
+    if (fs.existsSync(overlayPath)) {
+
+        let overlay;
+
+        try {
+
+            overlay = JSON.parse(fs.readFileSync(overlayPath, 'utf8'));
+
+        } catch (error) {
+
+            throw new Error(`Failed to read environment overlay ${overlayPath}: ${error.message}`);
+        }
+
+        overlays.push(path.basename(overlayPath));
+        merged = applyOverlay(merged, overlay, path.basename(overlayPath), sources, errors);
+    }
+
+    if (overlays.length > 0) {
+        console.log(`[CONFIG] Environment '${name}': ${overlays.join(' + ')} applied`);
+    }
+
+    return { config: merged, environment: { name, overlays, overlayPath, sources }, errors };
+}
+
+
+/**
+ * Overlay that set a value, or one of its parents
+ *
+ * @param {Array<Object>} sources - { path, source } recorded by applyEnvironment
+ * @param {string} jsonPath - Path of the value
+ * @returns {string|null} Overlay label, or null for the base file
+ */
+export function findValueSource(sources, jsonPath) {
+
+    const match = sources.findLast(entry =>
+        jsonPath === entry.path || jsonPath.startsWith(`${entry.path}.`) || jsonPath.startsWith(`${entry.path}[`));
+
+    return match ? match.source : null;
+}
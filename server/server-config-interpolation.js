@@ -0,0 +1,137 @@
+// ============================================
+// server/server-config-interpolation.js - Variables and Secrets in Config
+// ============================================
+// Resolves references in servers.config.json after parsing, before validation:
+//
+//   "connection": "${MONGODB_URI}"                 environment variable (required)
+//   "host": "${HOST:-0.0.0.0}"                     with a default when unset or empty
+//   "literal": "$${NOT_A_VARIABLE}"                escaped, stays "${NOT_A_VARIABLE}"
+//   "jwtSecret": { "$file": "/etc/secrets/jwt" }   file content (trailing newline removed)
+//
+// "$file" paths may use ${VAR} themselves; relative paths are resolved from
+// the directory of the configuration file. Interpolated values are strings.
+// ============================================
+
+import fs from 'fs';
+import path from 'path';
+
+const VARIABLE_PATTERN = /\$(\$)?\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+
+/**
+ * Replaces ${VAR} and ${VAR:-default} in a string
+ *
+ * @param {string} value - String from the configuration
+ * @param {string} jsonPath - JSON path of the value, for error reporting
+ * @param {Object} context - { env, errors, references }
+ * @returns {string} Interpolated string
+ */
+function interpolateString(value, jsonPath, context) {
+
+    return value.replace(VARIABLE_PATTERN, (token, escaped, name, fallback) => {
+
+        if (escaped) {
+            return token.slice(1);
+        }
+
+        const envValue = context.env[name];
+
+        context.references.push({ path: jsonPath, type: 'env', name, defaulted: !envValue && fallback !== undefined });
+
+        if (envValue !== undefined && envValue !== '') {
+            return envValue;
+        }
+
+        if (fallback !== undefined) {
+            return fallback;
+        }
+
+        context.errors.push({ path: jsonPath, message: `environment variable ${name} is not set (use \${${name}:-default} for a default)` });
+        return '';
+    });
+}
+
+
+/**
+ * Reads a {"$file": "/path"} secret reference
+ */
+function readFileReference(reference, jsonPath, context) {
+
+    if (typeof reference.$file !== 'string' || Object.keys(reference).length !== 1) {
+
+        context.errors.push({ path: jsonPath, message: '"$file" references must be { "$file": "<path>" } with no other keys' });
+        return '';
+    }
+
+    const filePath = path.resolve(context.baseDir, interpolateString(reference.$file, `${jsonPath}.$file`, context));
+
+    context.references.push({ path: jsonPath, type: 'file', name: filePath });
+
+    try {
+
+        return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+
+    } catch (error) {
+
+        context.errors.push({ path: jsonPath, message: `cannot read secret file ${filePath}: ${error.code || error.message}` });
+        return '';
+    }
+}
+
+
+/**
+ * Walks a parsed value and resolves every reference in it
+ */
+function interpolateValue(value, jsonPath, context) {
+
+    if (typeof value === 'string') {
+        return interpolateString(value, jsonPath, context);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item, index) => interpolateValue(item, `${jsonPath}[${index}]`, context));
+    }
+
+    if (value && typeof value === 'object') {
+
+        if ('$file' in value) {
+            return readFileReference(value, jsonPath, context);
+        }
+
+        const result = {};
+
+        Object.entries(value).forEach(([key, item]) => {
+            result[key] = interpolateValue(item, jsonPath ? `${jsonPath}.${key}` : key, context);
+        });
+
+        return result;
+    }
+
+    return value;
+}
+
+
+/**
+ * Resolves environment variables and secret files in a parsed configuration
+ *
+ * The raw configuration is left untouched.
+ *
+ * @param {Object} rawConfig - Parsed servers.config.json
+ * @param {Object} options - Interpolation options
+ * @param {Object} options.env - Variables to read (default: process.env)
+ * @param {string} options.baseDir - Directory for relative "$file" paths
+ * @returns {Object} { config, errors, references } - errors use the validator's { path, message } format
+ */
+export function interpolateConfig(rawConfig, options = {}) {
+
+    const context = {
+        env: options.env || process.env,
+        baseDir: options.baseDir || process.cwd(),
+        errors: [],
+        references: []
+    };
+
+    const config = interpolateValue(rawConfig, '', context);
+
+    return { config, errors: context.errors, references: context.references };
+}
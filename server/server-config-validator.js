@@ -0,0 +1,1180 @@
+// ============================================
+// server/server-config-validator.js - servers.config.json Schema Validation
+// ============================================
+// Validates the full configuration shape documented in
+// README/Full_server.config.json_.md and servers.config.json.TEMPLATE.
+//
+// Every problem is collected (validation never stops at the first one) and
+// reported with the JSON path where it was found, e.g.:
+//   servers[1].server.skipSPA: expected array, got undefined
+// ============================================
+
+import path from 'path';
+import fs from 'fs';
+import net from 'net';
+import { fileURLToPath } from 'url';
+
+import { getDomainPatternType, compileDomainPattern, checkRegexFlags } from './server-domain-matcher.js';
+import { compileSourcePattern, isRegexSource, REDIRECT_STATUSES } from './server-rules.js';
+import { buildDependencyGraph, findDependencyCycle } from './server-dependencies.js';
+import { listSubmodules } from './server-submodules.js';
+import { compileOriginPattern } from './server-cors.js';
+import { RATE_LIMIT_STORES } from './RateLimitStore.js';
+import { SESSION_STORES } from './SessionStore.js';
+import { DATABASE_DRIVERS } from './DatabaseManager.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Project root: public/, src/ and server/ are resolved from here
+export const PROJECT_ROOT = path.join(__dirname, '..');
+
+const FEATURE_FLAGS = ['socketio', 'cors', 'rateLimit', 'authentication', 'mongodb', 'redis', 'ssl'];
+
+const ISOLATION_MODES = ['process', 'worker'];
+
+const RESTART_POLICIES = ['never', 'on-failure'];
+
+const RATE_LIMIT_KEYS = ['ip', 'user'];
+
+const AUTHENTICATION_MODES = ['jwt', 'cookie'];
+
+
+/**
+ * Error thrown when servers.config.json does not pass validation
+ *
+ * @property {Array<{path: string, message: string}>} errors - Every problem found
+ */
+export class ConfigValidationError extends Error {
+
+    constructor(errors, configPath = 'servers.config.json') {
+
+        super(
+            `Invalid configuration ${configPath} (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n` +
+            errors.map(error => `  - ${error.path}: ${error.message}`).join('\n')
+        );
+
+        this.name = 'ConfigValidationError';
+        this.errors = errors;
+    }
+}
+
+
+// ============================================
+// TYPE HELPERS
+// ============================================
+
+function typeOf(value) {
+
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+
+    return typeof value;
+}
+
+
+function isPlainObject(value) {
+
+    return typeOf(value) === 'object';
+}
+
+
+/**
+ * Records an error unless value has the expected type
+ *
+ * @returns {boolean} True if the value has the expected type
+ */
+function expectType(errors, value, jsonPath, expected) {
+
+    const expectedTypes = Array.isArray(expected) ? expected : [expected];
+    const actual = typeOf(value);
+
+    if (expectedTypes.includes(actual)) {
+        return true;
+    }
+
+    errors.push({ path: jsonPath, message: `expected ${expectedTypes.join(' or ')}, got ${actual}` });
+    return false;
+}
+
+
+function expectNonEmptyString(errors, value, jsonPath) {
+
+    if (!expectType(errors, value, jsonPath, 'string')) {
+        return false;
+    }
+
+    if (value.trim() === '') {
+        errors.push({ path: jsonPath, message: 'must not be empty' });
+        return false;
+    }
+
+    return true;
+}
+
+
+function expectStringArray(errors, value, jsonPath) {
+
+    if (!expectType(errors, value, jsonPath, 'array')) {
+        return false;
+    }
+
+    value.forEach((item, index) => expectType(errors, item, `${jsonPath}[${index}]`, 'string'));
+    return true;
+}
+
+
+function expectPositiveNumber(errors, value, jsonPath) {
+
+    if (expectType(errors, value, jsonPath, 'number') && !(value > 0)) {
+        errors.push({ path: jsonPath, message: 'must be a positive number of milliseconds' });
+        return false;
+    }
+
+    return typeof value === 'number';
+}
+
+
+function expectNonNegativeInteger(errors, value, jsonPath) {
+
+    if (expectType(errors, value, jsonPath, 'number') && !(Number.isInteger(value) && value >= 0)) {
+        errors.push({ path: jsonPath, message: 'must be a non-negative integer' });
+        return false;
+    }
+
+    return typeof value === 'number';
+}
+
+
+/**
+ * Records an error for each entry that is not an IP address or CIDR range
+ */
+function expectIPList(errors, entries, jsonPath) {
+
+    if (!expectStringArray(errors, entries, jsonPath)) {
+        return;
+    }
+
+    entries.forEach((entry, index) => {
+
+        const [address, prefix] = String(entry).split('/');
+        const family = net.isIP(address);
+        const maxPrefix = family === 6 ? 128 : 32;
+
+        if (!family || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+            errors.push({ path: `${jsonPath}[${index}]`, message: `not an IP address or CIDR range: "${entry}"` });
+        }
+    });
+}
+
+
+/**
+ * Checks that a setup function is exported by a server file
+ *
+ * Static check on the source: the file is not imported, so no microserver
+ * code runs during validation.
+ */
+function isExported(source, functionName) {
+
+    const declaration = new RegExp(`export\\s+(async\\s+)?(function\\s*\\*?\\s*|const\\s+|let\\s+|var\\s+)${functionName}\\b`);
+    const exportList = new RegExp(`export\\s*\\{[^}]*\\b${functionName}\\b[^}]*\\}`);
+
+    return declaration.test(source) || exportList.test(source);
+}
+
+
+function checkServerFile(errors, filePath, setupFunction, jsonPath, rootDir) {
+
+    const fullPath = path.join(rootDir, 'server', filePath);
+
+    if (!fs.existsSync(fullPath)) {
+        errors.push({ path: `${jsonPath}.file`, message: `file not found: server/${filePath}` });
+        return;
+    }
+
+    if (typeof setupFunction === 'string' && !isExported(fs.readFileSync(fullPath, 'utf8'), setupFunction)) {
+        errors.push({ path: `${jsonPath}.setupFunction`, message: `'${setupFunction}' is not exported by server/${filePath}` });
+    }
+}
+
+
+// ============================================
+// SECTION VALIDATORS
+// ============================================
+
+function validateGlobal(errors, global) {
+
+    if (!expectType(errors, global, 'global', 'object')) {
+        return;
+    }
+
+    if (expectType(errors, global.dev, 'global.dev', 'object')) {
+
+        const port = global.dev.port;
+
+        if (expectType(errors, port, 'global.dev.port', ['number', 'string']) && Number.isNaN(Number(port))) {
+            errors.push({ path: 'global.dev.port', message: `not a valid port: "${port}"` });
+        }
+
+        expectType(errors, global.dev.host, 'global.dev.host', 'string');
+
+        if (expectType(errors, global.dev.proxies, 'global.dev.proxies', 'array')) {
+
+            global.dev.proxies.forEach((proxy, index) => {
+
+                const proxyPath = `global.dev.proxies[${index}]`;
+
+                if (expectType(errors, proxy, proxyPath, 'object')) {
+                    expectType(errors, proxy.path, `${proxyPath}.path`, 'string');
+                    expectType(errors, proxy.target, `${proxyPath}.target`, 'string');
+                }
+            });
+        }
+    }
+
+    if (global.build !== undefined && expectType(errors, global.build, 'global.build', 'object')) {
+
+        const build = global.build;
+
+        if (build.outDir !== undefined) expectType(errors, build.outDir, 'global.build.outDir', 'string');
+        if (build.sourcemap !== undefined) expectType(errors, build.sourcemap, 'global.build.sourcemap', 'boolean');
+        if (build.chunkSizeWarningLimit !== undefined) expectType(errors, build.chunkSizeWarningLimit, 'global.build.chunkSizeWarningLimit', 'number');
+        if (build.chunkFileNames !== undefined) expectType(errors, build.chunkFileNames, 'global.build.chunkFileNames', 'string');
+
+        if (build.assetFileNames !== undefined && expectType(errors, build.assetFileNames, 'global.build.assetFileNames', 'object')) {
+
+            Object.entries(build.assetFileNames).forEach(([key, value]) =>
+                expectType(errors, value, `global.build.assetFileNames.${key}`, 'string'));
+        }
+    }
+
+    if (global.chunks !== undefined && expectType(errors, global.chunks, 'global.chunks', 'object')) {
+
+        Object.entries(global.chunks).forEach(([key, value]) =>
+            expectStringArray(errors, value, `global.chunks.${key}`));
+    }
+
+    if (global.aliases !== undefined && expectType(errors, global.aliases, 'global.aliases', 'object')) {
+
+        Object.entries(global.aliases).forEach(([key, value]) =>
+            expectType(errors, value, `global.aliases.${key}`, 'string'));
+    }
+
+    if (global.discovery !== undefined) expectType(errors, global.discovery, 'global.discovery', 'boolean');
+
+    if (global.crashThreshold !== undefined && expectType(errors, global.crashThreshold, 'global.crashThreshold', 'object')) {
+
+        const threshold = global.crashThreshold;
+
+        if (threshold.count !== undefined && expectType(errors, threshold.count, 'global.crashThreshold.count', 'number') &&
+            !(Number.isInteger(threshold.count) && threshold.count >= 0)) {
+            errors.push({ path: 'global.crashThreshold.count', message: 'must be a non-negative integer' });
+        }
+
+        if (threshold.window !== undefined) expectPositiveNumber(errors, threshold.window, 'global.crashThreshold.window');
+    }
+
+    if (global.trustProxy !== undefined && expectType(errors, global.trustProxy, 'global.trustProxy', ['boolean', 'number', 'array'])) {
+
+        if (Array.isArray(global.trustProxy)) {
+            expectIPList(errors, global.trustProxy, 'global.trustProxy');
+        } else if (typeof global.trustProxy === 'number') {
+            expectNonNegativeInteger(errors, global.trustProxy, 'global.trustProxy');
+        }
+    }
+
+    if (global.rateLimit !== undefined && expectType(errors, global.rateLimit, 'global.rateLimit', 'object')) {
+
+        const store = global.rateLimit.store;
+
+        if (store !== undefined && !RATE_LIMIT_STORES.includes(store)) {
+            errors.push({ path: 'global.rateLimit.store', message: `expected ${RATE_LIMIT_STORES.map(type => JSON.stringify(type)).join(' or ')}, got ${JSON.stringify(store)}` });
+        }
+    }
+
+    if (global.authentication !== undefined && expectType(errors, global.authentication, 'global.authentication', 'object')) {
+
+        const authentication = global.authentication;
+
+        if (authentication.secret !== undefined) expectNonEmptyString(errors, authentication.secret, 'global.authentication.secret');
+
+        if (authentication.users !== undefined && expectType(errors, authentication.users, 'global.authentication.users', ['array', 'string'])) {
+
+            if (typeof authentication.users === 'string') {
+                expectNonEmptyString(errors, authentication.users, 'global.authentication.users');
+            } else {
+                validateUsers(errors, authentication.users, 'global.authentication.users');
+            }
+        }
+
+        const store = authentication.sessionStore;
+
+        if (store !== undefined && !SESSION_STORES.includes(store)) {
+            errors.push({ path: 'global.authentication.sessionStore', message: `expected ${SESSION_STORES.map(type => JSON.stringify(type)).join(' or ')}, got ${JSON.stringify(store)}` });
+        }
+    }
+
+    if (global.redis !== undefined && expectType(errors, global.redis, 'global.redis', 'object')) {
+
+        const redis = global.redis;
+
+        if (redis.url !== undefined && expectNonEmptyString(errors, redis.url, 'global.redis.url') && !/^rediss?:\/\//.test(redis.url)) {
+            errors.push({ path: 'global.redis.url', message: 'must start with "redis://" or "rediss://"' });
+        }
+
+        if (redis.keyPrefix !== undefined) expectType(errors, redis.keyPrefix, 'global.redis.keyPrefix', 'string');
+        if (redis.options !== undefined) expectType(errors, redis.options, 'global.redis.options', 'object');
+    }
+
+    validateRules(errors, global, 'global.');
+}
+
+
+function validateRestartPolicy(errors, restart, jsonPath) {
+
+    const policy = typeof restart === 'string' ? restart : restart?.policy;
+
+    if (typeof restart !== 'string' && !expectType(errors, restart, jsonPath, 'object')) {
+        return;
+    }
+
+    if (policy !== undefined && !RESTART_POLICIES.includes(policy)) {
+        errors.push({ path: typeof restart === 'string' ? jsonPath : `${jsonPath}.policy`, message: `expected "never" or "on-failure", got ${JSON.stringify(policy)}` });
+    }
+
+    if (typeof restart === 'string') {
+        return;
+    }
+
+    if (restart.maxRetries !== undefined && expectType(errors, restart.maxRetries, `${jsonPath}.maxRetries`, 'number') &&
+        !(Number.isInteger(restart.maxRetries) && restart.maxRetries >= 0)) {
+        errors.push({ path: `${jsonPath}.maxRetries`, message: 'must be a non-negative integer' });
+    }
+
+    if (restart.delay !== undefined) expectPositiveNumber(errors, restart.delay, `${jsonPath}.delay`);
+    if (restart.maxDelay !== undefined) expectPositiveNumber(errors, restart.maxDelay, `${jsonPath}.maxDelay`);
+}
+
+
+function validateCors(errors, corsConfig, jsonPath) {
+
+    if (!expectType(errors, corsConfig, jsonPath, 'object')) {
+        return;
+    }
+
+    if (corsConfig.origins !== undefined && expectStringArray(errors, corsConfig.origins, `${jsonPath}.origins`)) {
+
+        corsConfig.origins.forEach((origin, originIndex) => {
+
+            try {
+                compileOriginPattern(origin);
+            } catch (error) {
+                errors.push({ path: `${jsonPath}.origins[${originIndex}]`, message: `invalid origin or domains pattern: ${error.message}` });
+            }
+        });
+    }
+
+    ['methods', 'allowedHeaders', 'exposedHeaders'].forEach(field => corsConfig[field] !== undefined &&
+        expectStringArray(errors, corsConfig[field], `${jsonPath}.${field}`));
+
+    if (corsConfig.credentials !== undefined) expectType(errors, corsConfig.credentials, `${jsonPath}.credentials`, 'boolean');
+
+    if (corsConfig.maxAge !== undefined && expectType(errors, corsConfig.maxAge, `${jsonPath}.maxAge`, 'number') &&
+        !(Number.isInteger(corsConfig.maxAge) && corsConfig.maxAge >= 0)) {
+        errors.push({ path: `${jsonPath}.maxAge`, message: 'must be a non-negative integer (seconds)' });
+    }
+}
+
+
+function validateRateLimit(errors, rateLimit, jsonPath) {
+
+    if (!expectType(errors, rateLimit, jsonPath, 'object')) {
+        return;
+    }
+
+    const expectKeyBy = (value, keyPath) => {
+
+        if (value !== undefined && !RATE_LIMIT_KEYS.includes(value)) {
+            errors.push({ path: keyPath, message: `expected "ip" or "user", got ${JSON.stringify(value)}` });
+        }
+    };
+
+    expectKeyBy(rateLimit.keyBy, `${jsonPath}.keyBy`);
+
+    if (rateLimit.rules === undefined || !expectType(errors, rateLimit.rules, `${jsonPath}.rules`, 'array')) {
+        return;
+    }
+
+    rateLimit.rules.forEach((rule, index) => {
+
+        const rulePath = `${jsonPath}.rules[${index}]`;
+
+        if (!expectType(errors, rule, rulePath, 'object')) {
+            return;
+        }
+
+        if ((rule.path === undefined) === (rule.event === undefined)) {
+            errors.push({ path: rulePath, message: 'needs either a "path" pattern or a Socket.IO "event" name' });
+        }
+
+        if (rule.path !== undefined && expectNonEmptyString(errors, rule.path, `${rulePath}.path`)) {
+
+            if (!rule.path.startsWith('/')) {
+                errors.push({ path: `${rulePath}.path`, message: 'must start with "/" (or be a "/regex/")' });
+            } else {
+
+                try {
+                    compileSourcePattern(rule.path);
+                } catch (error) {
+                    errors.push({ path: `${rulePath}.path`, message: `invalid pattern: ${error.message}` });
+                }
+
+                const flagsError = isRegexSource(rule.path) ? checkRegexFlags(rule.path) : null;
+
+                if (flagsError) {
+                    errors.push({ path: `${rulePath}.path`, message: flagsError });
+                }
+            }
+        }
+
+        if (rule.event !== undefined) expectNonEmptyString(errors, rule.event, `${rulePath}.event`);
+
+        if (rule.methods !== undefined) {
+
+            if (rule.event !== undefined) {
+                errors.push({ path: `${rulePath}.methods`, message: 'only applies to "path" rules' });
+            } else {
+                expectStringArray(errors, rule.methods, `${rulePath}.methods`);
+            }
+        }
+
+        expectPositiveNumber(errors, rule.window, `${rulePath}.window`);
+
+        if (expectType(errors, rule.max, `${rulePath}.max`, 'number') && !(Number.isInteger(rule.max) && rule.max > 0)) {
+            errors.push({ path: `${rulePath}.max`, message: 'must be a positive integer' });
+        }
+
+        if (rule.burst !== undefined) expectNonNegativeInteger(errors, rule.burst, `${rulePath}.burst`);
+
+        expectKeyBy(rule.keyBy, `${rulePath}.keyBy`);
+    });
+}
+
+
+function validateUsers(errors, users, jsonPath) {
+
+    const usernames = new Set();
+
+    users.forEach((user, index) => {
+
+        const userPath = `${jsonPath}[${index}]`;
+
+        if (!expectType(errors, user, userPath, 'object')) {
+            return;
+        }
+
+        if (expectNonEmptyString(errors, user.username, `${userPath}.username`)) {
+
+            if (usernames.has(user.username)) {
+                errors.push({ path: `${userPath}.username`, message: `duplicate username '${user.username}'` });
+            }
+
+            usernames.add(user.username);
+        }
+
+        if (expectType(errors, user.passwordHash, `${userPath}.passwordHash`, 'string') && !/^\$2[aby]\$\d{2}\$/.test(user.passwordHash)) {
+            errors.push({ path: `${userPath}.passwordHash`, message: 'must be a bcrypt hash ($2b$...)' });
+        }
+
+        if (user.id !== undefined) expectType(errors, user.id, `${userPath}.id`, ['string', 'number']);
+        if (user.roles !== undefined) expectStringArray(errors, user.roles, `${userPath}.roles`);
+    });
+}
+
+
+function validateAuthentication(errors, authentication, jsonPath) {
+
+    if (!expectType(errors, authentication, jsonPath, 'object')) {
+        return;
+    }
+
+    if (authentication.mode !== undefined && !AUTHENTICATION_MODES.includes(authentication.mode)) {
+        errors.push({ path: `${jsonPath}.mode`, message: `expected "jwt" or "cookie", got ${JSON.stringify(authentication.mode)}` });
+    }
+
+    if (authentication.basePath !== undefined && expectNonEmptyString(errors, authentication.basePath, `${jsonPath}.basePath`) &&
+        !/^\/[^?#]*[^/?#]$/.test(authentication.basePath)) {
+        errors.push({ path: `${jsonPath}.basePath`, message: 'must start with "/" and not end with "/"' });
+    }
+
+    if (authentication.loginRedirect !== undefined && expectNonEmptyString(errors, authentication.loginRedirect, `${jsonPath}.loginRedirect`) &&
+        !authentication.loginRedirect.startsWith('/')) {
+        errors.push({ path: `${jsonPath}.loginRedirect`, message: 'must be a path starting with "/"' });
+    }
+
+    if (authentication.cookieName !== undefined && expectNonEmptyString(errors, authentication.cookieName, `${jsonPath}.cookieName`) &&
+        !/^[A-Za-z0-9_-]+$/.test(authentication.cookieName)) {
+        errors.push({ path: `${jsonPath}.cookieName`, message: 'use letters, numbers, "-" and "_"' });
+    }
+
+    if (authentication.accessTokenTtl !== undefined) expectPositiveNumber(errors, authentication.accessTokenTtl, `${jsonPath}.accessTokenTtl`);
+    if (authentication.sessionTtl !== undefined) expectPositiveNumber(errors, authentication.sessionTtl, `${jsonPath}.sessionTtl`);
+
+    if (authentication.protect === undefined || !expectType(errors, authentication.protect, `${jsonPath}.protect`, 'array')) {
+        return;
+    }
+
+    authentication.protect.forEach((rule, index) => {
+
+        const rulePath = `${jsonPath}.protect[${index}]`;
+        const source = typeof rule === 'string' ? rule : rule?.path;
+        const sourcePath = typeof rule === 'string' ? rulePath : `${rulePath}.path`;
+
+        if (typeof rule !== 'string' && !expectType(errors, rule, rulePath, ['string', 'object'])) {
+            return;
+        }
+
+        if (expectNonEmptyString(errors, source, sourcePath)) {
+
+            if (!source.startsWith('/')) {
+                errors.push({ path: sourcePath, message: 'must start with "/" (or be a "/regex/")' });
+            } else {
+
+                try {
+                    compileSourcePattern(source);
+                } catch (error) {
+                    errors.push({ path: sourcePath, message: `invalid pattern: ${error.message}` });
+                }
+
+                const flagsError = isRegexSource(source) ? checkRegexFlags(source) : null;
+
+                if (flagsError) {
+                    errors.push({ path: sourcePath, message: flagsError });
+                }
+            }
+        }
+
+        if (typeof rule === 'object') {
+
+            if (rule.methods !== undefined) expectStringArray(errors, rule.methods, `${rulePath}.methods`);
+            if (rule.roles !== undefined) expectStringArray(errors, rule.roles, `${rulePath}.roles`);
+        }
+    });
+}
+
+
+function validateRules(errors, block, jsonPath) {
+
+    ['redirects', 'rewrites'].forEach(kind => {
+
+        const rules = block[kind];
+
+        if (rules === undefined || !expectType(errors, rules, `${jsonPath}${kind}`, 'array')) {
+            return;
+        }
+
+        rules.forEach((rule, index) => {
+
+            const rulePath = `${jsonPath}${kind}[${index}]`;
+
+            if (!expectType(errors, rule, rulePath, 'object')) {
+                return;
+            }
+
+            if (rule.source === undefined && rule.host === undefined) {
+                errors.push({ path: rulePath, message: 'needs a "source" path pattern, a "host" pattern or both' });
+            }
+
+            if (rule.source !== undefined && expectNonEmptyString(errors, rule.source, `${rulePath}.source`)) {
+
+                if (!rule.source.startsWith('/')) {
+                    errors.push({ path: `${rulePath}.source`, message: 'must start with "/"' });
+                }
+
+                try {
+                    compileSourcePattern(rule.source);
+                } catch (error) {
+                    errors.push({ path: `${rulePath}.source`, message: `invalid source pattern: ${error.message}` });
+                }
+
+                const flagsError = isRegexSource(rule.source) ? checkRegexFlags(rule.source) : null;
+
+                if (flagsError) {
+                    errors.push({ path: `${rulePath}.source`, message: flagsError });
+                }
+            }
+
+            if (rule.host !== undefined && expectNonEmptyString(errors, rule.host, `${rulePath}.host`) &&
+                getDomainPatternType(rule.host) !== 'exact') {
+
+                try {
+                    compileDomainPattern(rule.host);
+                } catch (error) {
+                    errors.push({ path: `${rulePath}.host`, message: `invalid host pattern: ${error.message}` });
+                }
+
+                const flagsError = getDomainPatternType(rule.host) === 'regex' ? checkRegexFlags(rule.host) : null;
+
+                if (flagsError) {
+                    errors.push({ path: `${rulePath}.host`, message: flagsError });
+                }
+            }
+
+            if (expectNonEmptyString(errors, rule.destination, `${rulePath}.destination`) &&
+                kind === 'rewrites' && !rule.destination.startsWith('/')) {
+                errors.push({ path: `${rulePath}.destination`, message: 'rewrites are internal, destination must start with "/"' });
+            }
+
+            if (rule.preservePath !== undefined) expectType(errors, rule.preservePath, `${rulePath}.preservePath`, 'boolean');
+
+            if (rule.status !== undefined) {
+
+                if (kind === 'rewrites') {
+                    errors.push({ path: `${rulePath}.status`, message: 'rewrites do not send a status, use a redirect' });
+                } else if (!REDIRECT_STATUSES.includes(rule.status)) {
+                    errors.push({ path: `${rulePath}.status`, message: `expected one of ${REDIRECT_STATUSES.join(', ')}, got ${JSON.stringify(rule.status)}` });
+                }
+            }
+        });
+    });
+}
+
+
+function validateDatabase(errors, database, features, jsonPath, options) {
+
+    const mongodb = features?.mongodb === true;
+
+    if (database === undefined || database === null) {
+
+        if (mongodb) {
+            errors.push({ path: jsonPath, message: 'required when features.mongodb is true' });
+        }
+
+        return;
+    }
+
+    if (!expectType(errors, database, jsonPath, 'object')) {
+        return;
+    }
+
+    const hasDriver = database.driver !== undefined && expectNonEmptyString(errors, database.driver, `${jsonPath}.driver`);
+
+    if (hasDriver && options.checkFiles && !fs.existsSync(path.join(options.rootDir, 'server', database.driver))) {
+        errors.push({ path: `${jsonPath}.driver`, message: `file not found: server/${database.driver}` });
+    }
+
+    if (database.type === undefined) {
+
+        if (!mongodb && !hasDriver) {
+            errors.push({ path: `${jsonPath}.type`, message: `required (${DATABASE_DRIVERS.join(', ')})` });
+        }
+
+    } else if (expectNonEmptyString(errors, database.type, `${jsonPath}.type`)) {
+
+        if (mongodb && database.type !== 'mongodb') {
+            errors.push({ path: `${jsonPath}.type`, message: `expected "mongodb" with features.mongodb, got ${JSON.stringify(database.type)}` });
+        } else if (!hasDriver && !DATABASE_DRIVERS.includes(database.type)) {
+            errors.push({ path: `${jsonPath}.type`, message: `unknown type ${JSON.stringify(database.type)} (expected ${DATABASE_DRIVERS.join(', ')}, or set "driver")` });
+        }
+    }
+
+    expectNonEmptyString(errors, database.connection, `${jsonPath}.connection`);
+
+    if (database.models !== undefined) expectStringArray(errors, database.models, `${jsonPath}.models`);
+    if (database.options !== undefined) expectType(errors, database.options, `${jsonPath}.options`, 'object');
+}
+
+
+function validateSubmodules(errors, submodules, parentServerPath, jsonPath, options) {
+
+    if (!expectType(errors, submodules, jsonPath, 'array')) {
+        return;
+    }
+
+    const seenNames = new Map();
+
+    submodules.forEach((submodule, index) => {
+
+        const submodulePath = `${jsonPath}[${index}]`;
+
+        if (!expectType(errors, submodule, submodulePath, 'object')) {
+            return;
+        }
+
+        if (expectNonEmptyString(errors, submodule.name, `${submodulePath}.name`)) {
+
+            if (seenNames.has(submodule.name)) {
+                errors.push({ path: `${submodulePath}.name`, message: `duplicate submodule name '${submodule.name}' (also at ${seenNames.get(submodule.name)})` });
+            } else {
+                seenNames.set(submodule.name, submodulePath);
+            }
+        }
+
+        const hasFunction = expectNonEmptyString(errors, submodule.setupFunction, `${submodulePath}.setupFunction`);
+        const hasFile = expectNonEmptyString(errors, submodule.file, `${submodulePath}.file`);
+
+        if (submodule.description !== undefined) expectType(errors, submodule.description, `${submodulePath}.description`, 'string');
+        if (submodule.routes !== undefined) expectStringArray(errors, submodule.routes, `${submodulePath}.routes`);
+        if (submodule.setupTimeout !== undefined) expectPositiveNumber(errors, submodule.setupTimeout, `${submodulePath}.setupTimeout`);
+        if (submodule.restart !== undefined) validateRestartPolicy(errors, submodule.restart, `${submodulePath}.restart`);
+        if (submodule.dependsOn !== undefined) expectStringArray(errors, submodule.dependsOn, `${submodulePath}.dependsOn`);
+
+        if (submodule.key !== undefined && expectNonEmptyString(errors, submodule.key, `${submodulePath}.key`) && !/^[A-Za-z0-9_-]+$/.test(submodule.key)) {
+            errors.push({ path: `${submodulePath}.key`, message: 'must be URL-safe (letters, numbers, "-" and "_")' });
+        }
+
+        if (submodule.mountPath !== undefined && expectNonEmptyString(errors, submodule.mountPath, `${submodulePath}.mountPath`) &&
+            !/^(\/[A-Za-z0-9._~-]+)+$/.test(submodule.mountPath)) {
+            errors.push({ path: `${submodulePath}.mountPath`, message: 'must start with "/" and not end with "/" (e.g. "/blog")' });
+        }
+
+        if (submodule.features !== undefined && expectType(errors, submodule.features, `${submodulePath}.features`, 'object')) {
+
+            FEATURE_FLAGS.forEach(flag => submodule.features[flag] !== undefined &&
+                expectType(errors, submodule.features[flag], `${submodulePath}.features.${flag}`, 'boolean'));
+        }
+
+        if (submodule.settings !== undefined) expectType(errors, submodule.settings, `${submodulePath}.settings`, 'object');
+
+        validateDatabase(errors, submodule.database, submodule.features, `${submodulePath}.database`, options);
+
+        // The file is looked up in paths.server, or in the parent's directory
+        let serverPath = parentServerPath;
+
+        if (submodule.paths !== undefined && expectType(errors, submodule.paths, `${submodulePath}.paths`, 'object') &&
+            expectNonEmptyString(errors, submodule.paths.server, `${submodulePath}.paths.server`)) {
+            serverPath = submodule.paths.server;
+        }
+
+        if (options.checkFiles && hasFile && typeof serverPath === 'string') {
+            checkServerFile(errors, `${serverPath}/${submodule.file}`, hasFunction ? submodule.setupFunction : null, submodulePath, options.rootDir);
+        }
+
+        if (submodule.submodules !== undefined) {
+            validateSubmodules(errors, submodule.submodules, serverPath, `${submodulePath}.submodules`, options);
+        }
+    });
+}
+
+
+function validateProxyServer(errors, server, jsonPath) {
+
+    if (expectNonEmptyString(errors, server.upstream, `${jsonPath}.upstream`)) {
+
+        let upstream = null;
+
+        try {
+            upstream = new URL(server.upstream);
+        } catch {
+            errors.push({ path: `${jsonPath}.upstream`, message: `invalid URL '${server.upstream}'` });
+        }
+
+        if (upstream && !['http:', 'https:'].includes(upstream.protocol)) {
+            errors.push({ path: `${jsonPath}.upstream`, message: `expected http:// or https:// URL, got '${upstream.protocol}'` });
+        }
+    }
+
+    if (server.timeout !== undefined) expectPositiveNumber(errors, server.timeout, `${jsonPath}.timeout`);
+    if (server.setupTimeout !== undefined) expectPositiveNumber(errors, server.setupTimeout, `${jsonPath}.setupTimeout`);
+    if (server.restart !== undefined) validateRestartPolicy(errors, server.restart, `${jsonPath}.restart`);
+    if (server.dependsOn !== undefined) expectStringArray(errors, server.dependsOn, `${jsonPath}.dependsOn`);
+
+    if (server.preserveHost !== undefined) expectType(errors, server.preserveHost, `${jsonPath}.preserveHost`, 'boolean');
+
+    if (server.features !== undefined && expectType(errors, server.features, `${jsonPath}.features`, 'object')) {
+
+        FEATURE_FLAGS.forEach(flag => server.features[flag] !== undefined &&
+            expectType(errors, server.features[flag], `${jsonPath}.features.${flag}`, 'boolean'));
+    }
+
+    if (server.cors !== undefined) validateCors(errors, server.cors, `${jsonPath}.cors`);
+    if (server.rateLimit !== undefined) validateRateLimit(errors, server.rateLimit, `${jsonPath}.rateLimit`);
+    if (server.authentication !== undefined) validateAuthentication(errors, server.authentication, `${jsonPath}.authentication`);
+
+    if (server.submodules !== undefined) {
+        errors.push({ path: `${jsonPath}.submodules`, message: 'proxy microservers cannot have submodules' });
+    }
+
+    if (server.isolation !== undefined) {
+        errors.push({ path: `${jsonPath}.isolation`, message: 'proxy microservers already run outside the multihost' });
+    }
+}
+
+
+function validateServer(errors, serverConfig, index, options) {
+
+    const serverPath = `servers[${index}]`;
+
+    if (!expectType(errors, serverConfig, serverPath, 'object')) {
+        return;
+    }
+
+    // Core identity
+    if (expectType(errors, serverConfig.id, `${serverPath}.id`, 'number') && !Number.isInteger(serverConfig.id)) {
+        errors.push({ path: `${serverPath}.id`, message: 'must be an integer' });
+    }
+
+    if (expectNonEmptyString(errors, serverConfig.name, `${serverPath}.name`) && !/^[A-Za-z0-9_-]+$/.test(serverConfig.name)) {
+        errors.push({ path: `${serverPath}.name`, message: 'must be URL-safe (letters, numbers, "-" and "_")' });
+    }
+
+    if (serverConfig.description !== undefined) expectType(errors, serverConfig.description, `${serverPath}.description`, 'string');
+
+    if (serverConfig.basePath !== undefined && expectNonEmptyString(errors, serverConfig.basePath, `${serverPath}.basePath`) &&
+        !/^(\/[A-Za-z0-9._~-]+)+$/.test(serverConfig.basePath)) {
+        errors.push({ path: `${serverPath}.basePath`, message: 'must start with "/" and not end with "/" (e.g. "/justlearning")' });
+    }
+
+    if (expectStringArray(errors, serverConfig.domains, `${serverPath}.domains`)) {
+
+        serverConfig.domains.forEach((domain, domainIndex) => {
+
+            if (typeof domain !== 'string' || getDomainPatternType(domain) === 'exact') {
+                return;
+            }
+
+            try {
+                compileDomainPattern(domain);
+            } catch (error) {
+                errors.push({ path: `${serverPath}.domains[${domainIndex}]`, message: `invalid domain pattern: ${error.message}` });
+            }
+
+            const flagsError = getDomainPatternType(domain) === 'regex' ? checkRegexFlags(domain) : null;
+
+            if (flagsError) {
+                errors.push({ path: `${serverPath}.domains[${domainIndex}]`, message: flagsError });
+            }
+        });
+    }
+
+
+    validateRules(errors, serverConfig, `${serverPath}.`);
+
+
+    // Proxy microservers only need their upstream, paths are optional
+    const isProxy = serverConfig.server?.type === 'proxy';
+
+
+    // File system paths
+    const paths = serverConfig.paths;
+
+    if (!(isProxy && paths === undefined) && expectType(errors, paths, `${serverPath}.paths`, 'object')) {
+
+        ['src', 'public', 'server', 'html'].forEach(key => expectNonEmptyString(errors, paths[key], `${serverPath}.paths.${key}`));
+        ['app', 'main'].forEach(key => paths[key] !== undefined && expectType(errors, paths[key], `${serverPath}.paths.${key}`, 'string'));
+
+        if (options.checkFiles) {
+
+            if (typeof paths.src === 'string' && !fs.existsSync(path.join(options.rootDir, 'src', paths.src))) {
+                errors.push({ path: `${serverPath}.paths.src`, message: `directory not found: src/${paths.src}` });
+            }
+
+            if (typeof paths.public === 'string' && typeof paths.html === 'string' &&
+                !fs.existsSync(path.join(options.rootDir, 'public', paths.public, paths.html))) {
+                errors.push({ path: `${serverPath}.paths.html`, message: `file not found: public/${paths.public}/${paths.html}` });
+            }
+        }
+    }
+
+
+    // Custom error pages, read from public/<paths.public>/
+    const errorPages = serverConfig.errorPages;
+
+    if (errorPages !== undefined && expectType(errors, errorPages, `${serverPath}.errorPages`, 'object')) {
+
+        Object.entries(errorPages).forEach(([status, page]) => {
+
+            const pagePath = `${serverPath}.errorPages.${status}`;
+
+            if (!/^[45]\d\d$/.test(status)) {
+                errors.push({ path: pagePath, message: 'key must be a 4xx or 5xx status code' });
+            }
+
+            if (!expectNonEmptyString(errors, page, pagePath)) {
+                return;
+            }
+
+            if (typeof paths?.public !== 'string') {
+                errors.push({ path: pagePath, message: 'error pages need paths.public' });
+            } else if (options.checkFiles && !fs.existsSync(path.join(options.rootDir, 'public', paths.public, page))) {
+                errors.push({ path: pagePath, message: `file not found: public/${paths.public}/${page}` });
+            }
+        });
+    }
+
+
+    // Maintenance mode
+    const maintenance = serverConfig.maintenance;
+
+    if (maintenance !== undefined && expectType(errors, maintenance, `${serverPath}.maintenance`, 'object')) {
+
+        const maintenancePath = `${serverPath}.maintenance`;
+
+        if (maintenance.enabled !== undefined) expectType(errors, maintenance.enabled, `${maintenancePath}.enabled`, 'boolean');
+        if (maintenance.message !== undefined) expectType(errors, maintenance.message, `${maintenancePath}.message`, 'string');
+
+        if (maintenance.retryAfter !== undefined && (!Number.isInteger(maintenance.retryAfter) || maintenance.retryAfter <= 0)) {
+            errors.push({ path: `${maintenancePath}.retryAfter`, message: 'must be a positive integer (seconds)' });
+        }
+
+        if (maintenance.page !== undefined && expectNonEmptyString(errors, maintenance.page, `${maintenancePath}.page`)) {
+
+            if (typeof paths?.public !== 'string') {
+                errors.push({ path: `${maintenancePath}.page`, message: 'maintenance page needs paths.public' });
+            } else if (options.checkFiles && !fs.existsSync(path.join(options.rootDir, 'public', paths.public, maintenance.page))) {
+                errors.push({ path: `${maintenancePath}.page`, message: `file not found: public/${paths.public}/${maintenance.page}` });
+            }
+        }
+
+        if (maintenance.allowIPs !== undefined) expectIPList(errors, maintenance.allowIPs, `${maintenancePath}.allowIPs`);
+    }
+
+
+    // Backend configuration
+    const server = serverConfig.server;
+
+    if (expectType(errors, server, `${serverPath}.server`, 'object') && isProxy) {
+
+        validateProxyServer(errors, server, `${serverPath}.server`);
+
+    } else if (server && typeof server === 'object') {
+
+        if (server.type !== undefined && server.type !== 'module') {
+            errors.push({ path: `${serverPath}.server.type`, message: `expected "module" or "proxy", got ${JSON.stringify(server.type)}` });
+        }
+
+        const hasFunction = expectNonEmptyString(errors, server.setupFunction, `${serverPath}.server.setupFunction`);
+        const hasFile = expectNonEmptyString(errors, server.file, `${serverPath}.server.file`);
+
+        expectStringArray(errors, server.routes, `${serverPath}.server.routes`);
+        expectStringArray(errors, server.skipSPA, `${serverPath}.server.skipSPA`);
+
+        if (server.setupTimeout !== undefined) expectPositiveNumber(errors, server.setupTimeout, `${serverPath}.server.setupTimeout`);
+        if (server.restart !== undefined) validateRestartPolicy(errors, server.restart, `${serverPath}.server.restart`);
+        if (server.dependsOn !== undefined) expectStringArray(errors, server.dependsOn, `${serverPath}.server.dependsOn`);
+
+        if (server.isolation !== undefined && !ISOLATION_MODES.includes(server.isolation)) {
+            errors.push({ path: `${serverPath}.server.isolation`, message: `expected "process" or "worker", got ${JSON.stringify(server.isolation)}` });
+        }
+
+        if (expectType(errors, server.features, `${serverPath}.server.features`, 'object')) {
+
+            FEATURE_FLAGS.forEach(flag => server.features[flag] !== undefined &&
+                expectType(errors, server.features[flag], `${serverPath}.server.features.${flag}`, 'boolean'));
+        }
+
+        if (server.cors !== undefined) validateCors(errors, server.cors, `${serverPath}.server.cors`);
+        if (server.rateLimit !== undefined) validateRateLimit(errors, server.rateLimit, `${serverPath}.server.rateLimit`);
+        if (server.authentication !== undefined) validateAuthentication(errors, server.authentication, `${serverPath}.server.authentication`);
+
+        if (options.checkFiles && hasFile && typeof paths?.server === 'string') {
+            checkServerFile(errors, `${paths.server}/${server.file}`, hasFunction ? server.setupFunction : null, `${serverPath}.server`, options.rootDir);
+        }
+
+        if (server.submodules !== undefined) {
+            validateSubmodules(errors, server.submodules, paths?.server, `${serverPath}.server.submodules`, options);
+        }
+    }
+
+
+    // Database configuration (null when unused)
+    if (isProxy && serverConfig.database) {
+        errors.push({ path: `${serverPath}.database`, message: 'proxy microservers cannot have a database' });
+    } else {
+        validateDatabase(errors, serverConfig.database, server?.features, `${serverPath}.database`, options);
+    }
+}
+
+
+/**
+ * Cross-server checks: unique ids, names (and submodule instance keys), basePaths and domains
+ */
+function validateUniqueness(errors, servers) {
+
+    const seen = { id: new Map(), name: new Map(), basePath: new Map(), domain: new Map() };
+
+    servers.forEach((serverConfig, index) => {
+
+        if (!isPlainObject(serverConfig)) {
+            return;
+        }
+
+        const serverPath = `servers[${index}]`;
+
+        ['id', 'name', 'basePath'].forEach(key => {
+
+            const value = serverConfig[key];
+
+            if (value === undefined) return;
+
+            if (seen[key].has(value)) {
+                errors.push({ path: `${serverPath}.${key}`, message: `duplicate ${key} '${value}' (also used by ${seen[key].get(value)})` });
+            } else {
+                seen[key].set(value, serverPath);
+            }
+        });
+
+        // Submodule instance keys share the registry with microserver names
+        if (isPlainObject(serverConfig.server)) {
+
+            listSubmodules(serverConfig).forEach(({ key, jsonPath }) => {
+
+                if (seen.name.has(key)) {
+                    errors.push({ path: `${serverPath}.${jsonPath}`, message: `duplicate instance key '${key}' (also used by ${seen.name.get(key)}); set a different "key"` });
+                } else {
+                    seen.name.set(key, `${serverPath}.${jsonPath}`);
+                }
+            });
+        }
+
+        if (!Array.isArray(serverConfig.domains)) {
+            return;
+        }
+
+        serverConfig.domains.forEach((domain, domainIndex) => {
+
+            const domainPath = `${serverPath}.domains[${domainIndex}]`;
+
+            if (seen.domain.has(domain)) {
+                errors.push({ path: domainPath, message: `duplicate domain '${domain}' (also used by ${seen.domain.get(domain)})` });
+            } else {
+                seen.domain.set(domain, domainPath);
+            }
+        });
+    });
+}
+
+
+function validateAuthenticationSecret(errors, config) {
+
+    const authenticated = config.servers.findIndex(serverConfig => serverConfig?.server?.features?.authentication === true);
+
+    if (authenticated !== -1 && !config.global?.authentication?.secret) {
+        errors.push({
+            path: 'global.authentication.secret',
+            message: `required by servers[${authenticated}].server.features.authentication (e.g. "\${JWT_SECRET}")`
+        });
+    }
+}
+
+
+function validateDependencies(errors, servers) {
+
+    // Only entries whose dependsOn passed the type checks
+    const validServers = servers.filter(serverConfig => isPlainObject(serverConfig) && isPlainObject(serverConfig.server) &&
+        (serverConfig.server.dependsOn === undefined || Array.isArray(serverConfig.server.dependsOn)) &&
+        listSubmodules(serverConfig).every(({ config }) => config.dependsOn === undefined || Array.isArray(config.dependsOn)));
+
+    const graph = buildDependencyGraph(validServers);
+
+    // Submodules of isolated microservers run in their child process
+    const isolatedKeys = new Set();
+
+    validServers.filter(serverConfig => serverConfig.server.isolation)
+        .forEach(serverConfig => listSubmodules(serverConfig).forEach(({ key }) => isolatedKeys.add(key)));
+
+    const checkEntries = (dependsOn, key, jsonPath) => {
+
+        if (!Array.isArray(dependsOn)) {
+            return;
+        }
+
+        dependsOn.forEach((dependency, index) => {
+
+            const dependencyPath = `${jsonPath}.dependsOn[${index}]`;
+
+            if (dependency === key) {
+                errors.push({ path: dependencyPath, message: `'${key}' cannot depend on itself` });
+            } else if (isolatedKeys.has(dependency)) {
+                errors.push({ path: dependencyPath, message: `'${dependency}' runs inside an isolated microserver, depend on its parent instead` });
+            } else if (typeof dependency === 'string' && !graph.has(dependency)) {
+                errors.push({ path: dependencyPath, message: `no microserver or submodule named '${dependency}' (submodules are 'parent-submodule' unless they set a key)` });
+            }
+        });
+    };
+
+    servers.forEach((serverConfig, index) => {
+
+        if (!validServers.includes(serverConfig)) {
+            return;
+        }
+
+        checkEntries(serverConfig.server.dependsOn, serverConfig.name, `servers[${index}].server`);
+
+        listSubmodules(serverConfig).forEach(({ key, config, jsonPath }) =>
+            checkEntries(config.dependsOn, key, `servers[${index}].${jsonPath}`));
+    });
+
+    const cycle = findDependencyCycle(graph);
+
+    if (cycle) {
+        errors.push({ path: 'servers', message: `dependency cycle: ${cycle.join(' → ')}` });
+    }
+}
+
+
+function validateDefault(errors, defaultConfig, servers) {
+
+    if (!expectType(errors, defaultConfig, 'default', 'object')) {
+        return;
+    }
+
+    const hasName = expectNonEmptyString(errors, defaultConfig.serverName, 'default.serverName');
+    const hasId = defaultConfig.serverId === undefined || expectType(errors, defaultConfig.serverId, 'default.serverId', 'number');
+
+    if (!hasName || !Array.isArray(servers)) {
+        return;
+    }
+
+    const defaultServer = servers.find(server => server?.name === defaultConfig.serverName);
+
+    if (!defaultServer) {
+        errors.push({ path: 'default.serverName', message: `no server named '${defaultConfig.serverName}'` });
+        return;
+    }
+
+    if (hasId && defaultConfig.serverId !== undefined && defaultServer.id !== defaultConfig.serverId) {
+        errors.push({ path: 'default.serverId', message: `server '${defaultConfig.serverName}' has id ${defaultServer.id}, not ${defaultConfig.serverId}` });
+    }
+}
+
+
+/**
+ * Validates a complete servers.config.json object
+ *
+ * @param {Object} config - Parsed configuration
+ * @param {Object} options - Validation options
+ * @param {boolean} options.checkFiles - Check that referenced files exist (default: true)
+ * @param {string} options.rootDir - Project root used to resolve files
+ * @returns {Array<{path: string, message: string}>} Every problem found (empty when valid)
+ */
+export function validateServerConfig(config, options = {}) {
+
+    const validationOptions = {
+        checkFiles: options.checkFiles !== false,
+        rootDir: options.rootDir || PROJECT_ROOT
+    };
+
+    const errors = [];
+
+    if (!expectType(errors, config, '$', 'object')) {
+        return errors;
+    }
+
+    validateGlobal(errors, config.global);
+
+    if (expectType(errors, config.servers, 'servers', 'array')) {
+
+        if (config.servers.length === 0) {
+            errors.push({ path: 'servers', message: 'at least one server is required' });
+        }
+
+        config.servers.forEach((serverConfig, index) => validateServer(errors, serverConfig, index, validationOptions));
+        validateUniqueness(errors, config.servers);
+        validateDependencies(errors, config.servers);
+        validateAuthenticationSecret(errors, config);
+    }
+
+    validateDefault(errors, config.default, config.servers);
+
+    return errors;
+}
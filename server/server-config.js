@@ -0,0 +1,215 @@
+// ============================================
+// server/server-config.js - servers.config.json Loader
+// ============================================
+// Single place that knows where servers.config.json lives and how it is read.
+// Used at boot by ConfigManager, on every hot reload, by vite.config.js
+// and by the standalone check in validate-config.js.
+//
+// Config path, first match wins:
+//   1. --config <path> (or --config=<path>) on the command line
+//   2. MULTIHOST_CONFIG environment variable
+//   3. /etc/secrets/servers.config.json
+//   4. ./servers.config.json
+//
+// With "global": { "discovery": true }, server/*-server/microserver.json
+// manifests are added to the servers (see server-discovery.js).
+//
+// The overlays of the environment (--env, MULTIHOST_ENV or NODE_ENV) are then
+// merged in: the "environments" block, then servers.config.<env>.json
+// (see server-config-environments.js).
+//
+// ${VAR}, ${VAR:-default} and {"$file": path} references are resolved
+// before validation (see server-config-interpolation.js).
+// ============================================
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+import { validateServerConfig, ConfigValidationError, PROJECT_ROOT } from './server-config-validator.js';
+import { interpolateConfig } from './server-config-interpolation.js';
+import { applyDiscovery } from './server-discovery.js';
+import { applyEnvironment, resolveEnvironment, findValueSource } from './server-config-environments.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Production secret file takes precedence over the local development file
+export const SECRET_CONFIG_PATH = '/etc/secrets/servers.config.json';
+export const LOCAL_CONFIG_PATH = path.join(__dirname, '../servers.config.json');
+
+export const CONFIG_PATH_ENV = 'MULTIHOST_CONFIG';
+export const CONFIG_PATH_FLAG = '--config';
+
+// Raw (uninterpolated) file contents of each loaded config, for debugging
+// output that must not reveal resolved secrets
+const configSources = new WeakMap();
+
+
+/**
+ * Reads the --config flag from command line arguments
+ *
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {string|null} Path given with --config, or null
+ */
+export function getConfigPathFlag(argv = process.argv) {
+
+    for (let index = 0; index < argv.length; index++) {
+
+        if (argv[index] === CONFIG_PATH_FLAG && argv[index + 1]) {
+            return argv[index + 1];
+        }
+
+        if (argv[index].startsWith(`${CONFIG_PATH_FLAG}=`)) {
+            return argv[index].slice(CONFIG_PATH_FLAG.length + 1);
+        }
+    }
+
+    return null;
+}
+
+
+/**
+ * Resolves which servers.config.json file should be used
+ *
+ * @param {Object} options - Overrides for testing or tooling
+ * @param {Array<string>} options.argv - Command line arguments (default: process.argv)
+ * @param {Object} options.env - Environment (default: process.env)
+ * @returns {string} Absolute path to the configuration file
+ */
+export function resolveConfigPath(options = {}) {
+
+    const override = getConfigPathFlag(options.argv || process.argv) || (options.env || process.env)[CONFIG_PATH_ENV];
+
+    if (override) {
+        return path.resolve(override);
+    }
+
+    return fs.existsSync(SECRET_CONFIG_PATH) ? SECRET_CONFIG_PATH : LOCAL_CONFIG_PATH;
+}
+
+
+/**
+ * Points problems found in a discovered server at its manifest
+ *
+ * @param {Array<{path: string, message: string}>} errors - Problems found
+ * @param {Array<Object>} discovered - { manifestPath, index } of discovered servers
+ * @returns {Array<{path: string, message: string}>} Problems with manifest paths
+ */
+function locateDiscoveredErrors(errors, discovered) {
+
+    return errors.map(error => {
+
+        const match = error.path.match(/^servers\[(\d+)\]/);
+        const source = match && discovered.find(entry => entry.index === Number(match[1]));
+
+        return source ? { ...error, path: `${match[0]} (${source.manifestPath})${error.path.slice(match[0].length)}` } : error;
+    });
+}
+
+
+/**
+ * Points problems in values set by an environment overlay at the overlay
+ *
+ * @param {Array<{path: string, message: string}>} errors - Problems found
+ * @param {Array<Object>} sources - { path, source } of the values overlays set
+ * @returns {Array<{path: string, message: string}>} Problems with their overlay
+ */
+function locateOverlayErrors(errors, sources) {
+
+    return errors.map(error => {
+
+        const source = findValueSource(sources, error.path);
+
+        return source ? { ...error, path: `${error.path} (from ${source})` } : error;
+    });
+}
+
+
+/**
+ * Reads, parses, interpolates and validates servers.config.json
+ *
+ * Any failure is thrown so the caller can decide whether to abort (boot)
+ * or keep the running config (reload).
+ *
+ * @param {string} configPath - Path to the configuration file
+ * @param {Object} options - Options passed to validateServerConfig, plus env for interpolation
+ *                           (rootDir is also where microserver.json manifests are discovered)
+ * @param {string} options.environment - Environment whose overlays apply (default: resolveEnvironment())
+ * @returns {Object} Parsed configuration with overlays merged and references resolved
+ * @throws {ConfigValidationError} If a reference cannot be resolved or validation fails
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export function loadServerConfig(configPath = resolveConfigPath(), options = {}) {
+
+    let fileConfig;
+
+    try {
+
+        const configData = fs.readFileSync(configPath, 'utf8');
+        fileConfig = JSON.parse(configData);
+
+    } catch (error) {
+
+        throw new Error(`Failed to read configuration ${configPath}: ${error.message}`);
+    }
+
+
+    const { config: discoveredConfig, discovered, errors: discoveryErrors } = applyDiscovery(fileConfig, options.rootDir || PROJECT_ROOT);
+
+    if (discoveryErrors.length > 0) {
+
+        throw new ConfigValidationError(discoveryErrors, configPath);
+    }
+
+
+    // Overlays may target discovered servers too
+    const { config: rawConfig, environment, errors: overlayErrors } = applyEnvironment(discoveredConfig, {
+        environment: options.environment || resolveEnvironment({ env: options.env }),
+        configPath
+    });
+
+    if (overlayErrors.length > 0) {
+
+        throw new ConfigValidationError(overlayErrors, configPath);
+    }
+
+    const locateErrors = errors => locateDiscoveredErrors(locateOverlayErrors(errors, environment.sources), discovered);
+
+
+    const { config, errors: referenceErrors, references } = interpolateConfig(rawConfig, {
+        env: options.env,
+        baseDir: path.dirname(configPath)
+    });
+
+    if (referenceErrors.length > 0) {
+
+        throw new ConfigValidationError(locateErrors(referenceErrors), configPath);
+    }
+
+
+    const errors = validateServerConfig(config, options);
+
+    if (errors.length > 0) {
+
+        throw new ConfigValidationError(locateErrors(errors), configPath);
+    }
+
+    configSources.set(config, { configPath, raw: rawConfig, references, discovered, environment });
+
+    return config;
+}
+
+
+/**
+ * Returns where a loaded configuration came from
+ *
+ * @param {Object} config - Configuration returned by loadServerConfig
+ * @returns {Object|null} { configPath, raw, references, discovered, environment } -
+ *                        raw is the file content (with discovered servers and
+ *                        overlays merged) before ${VAR} / "$file" resolution,
+ *                        environment is { name, overlays, overlayPath, sources }
+ */
+export function getConfigSource(config) {
+
+    return configSources.get(config) || null;
+}
@@ -0,0 +1,172 @@
+// ============================================
+// server/server-cors.js - Per-Microserver CORS
+// ============================================
+// With "features": { "cors": true }, the multihost answers CORS for the
+// requests routed to that microserver, Socket.IO polling included, using
+// the "cors" block of its server config:
+//
+//   "server": {
+//     "features": { "cors": true },
+//     "cors": {
+//       "origins": ["https://app.example.com", "localhost", "*.onrender.com"],
+//       "methods": ["GET", "POST"],
+//       "credentials": true,
+//       "maxAge": 600
+//     }
+//   }
+//
+// origins entries:
+//   "*"                          any origin
+//   "https://app.example.com"    exact origin (scheme, host and port)
+//   "localhost", "*.example.com" domains pattern (see server-domain-matcher.js),
+//   "/^tenant-\d+\.io$/"         matched against the origin's host, any scheme or port
+//
+// Without origins, the microserver's own domains are allowed. Other
+// microservers get no CORS headers from the multihost.
+// ============================================
+
+import cors from 'cors';
+
+import { getDomainPatternType, compileDomainPattern } from './server-domain-matcher.js';
+
+// Set on a request once CORS ran for it (before the Express app for Socket.IO)
+const CORS_APPLIED = Symbol('corsApplied');
+
+// Middleware per server config object: a reload brings new objects
+const middlewareCache = new WeakMap();
+
+
+/**
+ * Compiles an origins entry into a test on the request Origin
+ *
+ * @param {string} entry - origins entry
+ * @returns {Function} (origin: URL) => boolean
+ * @throws {Error} If a domains pattern is invalid
+ */
+export function compileOriginPattern(entry) {
+
+    if (entry === '*') {
+        return () => true;
+    }
+
+    if (entry.includes('://')) {
+
+        const allowed = new URL(entry).origin;
+
+        return origin => origin.origin === allowed;
+    }
+
+    if (getDomainPatternType(entry) === 'exact') {
+
+        const host = entry.toLowerCase();
+
+        return origin => origin.hostname === host;
+    }
+
+    const pattern = compileDomainPattern(entry);
+
+    return origin => pattern.test(origin.hostname);
+}
+
+
+/**
+ * Options for the cors package from a microserver configuration
+ *
+ * @param {Object} serverConfig - Microserver configuration
+ * @returns {Object|null} cors options, or null when features.cors is not enabled
+ */
+export function buildCorsOptions(serverConfig) {
+
+    const server = serverConfig?.server;
+
+    if (server?.features?.cors !== true) {
+        return null;
+    }
+
+    const corsConfig = server.cors || {};
+    const tests = (corsConfig.origins || serverConfig.domains || []).map(compileOriginPattern);
+
+    const options = {
+        // Answers with the request's own origin when allowed, no CORS headers otherwise
+        origin: (origin, callback) => {
+
+            let parsed = null;
+
+            try {
+                parsed = origin ? new URL(origin) : null;
+            } catch {
+                parsed = null;
+            }
+
+            callback(null, !!parsed && tests.some(test => test(parsed)));
+        },
+        methods: corsConfig.methods,
+        allowedHeaders: corsConfig.allowedHeaders,
+        exposedHeaders: corsConfig.exposedHeaders,
+        credentials: corsConfig.credentials === true,
+        maxAge: corsConfig.maxAge
+    };
+
+    // Unset fields keep the cors package defaults
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+
+    return options;
+}
+
+
+/**
+ * CORS middleware of a microserver
+ *
+ * @param {Object} serverConfig - Microserver configuration
+ * @returns {Function|null} Middleware, or null when features.cors is not enabled
+ */
+export function getCorsMiddleware(serverConfig) {
+
+    if (!serverConfig) {
+        return null;
+    }
+
+    if (!middlewareCache.has(serverConfig)) {
+
+        const options = buildCorsOptions(serverConfig);
+
+        middlewareCache.set(serverConfig, options ? cors(options) : null);
+    }
+
+    return middlewareCache.get(serverConfig);
+}
+
+
+/**
+ * Runs the CORS middleware of a microserver once per request
+ *
+ * Works on plain http requests too. Preflight requests are answered
+ * (204) without calling next.
+ *
+ * @param {Object} serverConfig - Configuration of the microserver the request is routed to
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Function} next - Called unless the request was a preflight
+ */
+export function applyCors(serverConfig, req, res, next) {
+
+    const middleware = getCorsMiddleware(serverConfig);
+
+    if (!middleware || req[CORS_APPLIED]) {
+        return next();
+    }
+
+    req[CORS_APPLIED] = true;
+    middleware(req, res, next);
+}
+
+
+/**
+ * Routing gate applying the target microserver's CORS policy
+ *
+ * @returns {Function} Express middleware (needs req.serverConfig, see setupDomainRouting)
+ */
+export function corsGate() {
+
+    return (req, res, next) => applyCors(req.serverConfig, req, res, next);
+}
@@ -0,0 +1,146 @@
+// ============================================
+// server/server-crash-containment.js - Crash Attribution and Restart Policy
+// ============================================
+// Keeps track of which microserver the running code belongs to, with
+// AsyncLocalStorage, so that an uncaught exception or unhandled rejection
+// can be attributed to the microserver whose route, socket handler, timer
+// or promise threw (see ErrorHandler and MicroserverManager.handleCrash).
+//
+// The context is entered by the MicroserverManager:
+// - around setup and hooks (timers and promises created there inherit it)
+// - around its isolated routers and server facade listeners
+// - on the request and socket emitters handed to the microserver, so that
+//   'data' events (request bodies, WebSocket frames) run in it too
+//
+// Synchronous throws leaving the context are tagged with their owner, since
+// the uncaughtException handler no longer runs inside it.
+//
+// Restart policy of a crashed microserver (server.restart, or restart on a
+// submodule entry):
+//
+//   "restart": "never"
+//   "restart": { "policy": "on-failure", "maxRetries": 5, "delay": 1000, "maxDelay": 30000 }
+// ============================================
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const microserverContext = new AsyncLocalStorage();
+
+// Owner of a synchronous throw that left its microserver context
+const ERROR_OWNER = Symbol('multihost.errorOwner');
+
+// Microserver an emitter's events run for (see bindToMicroserver)
+const EMITTER_OWNER = Symbol('multihost.emitterOwner');
+
+export const RESTART_POLICIES = ['never', 'on-failure'];
+
+export const DEFAULT_RESTART_POLICY = {
+    policy: 'on-failure',
+    maxRetries: 5,
+    delay: 1000,
+    maxDelay: 30000
+};
+
+// More attributed crashes than `count` within `window` ms exits the process
+export const DEFAULT_CRASH_THRESHOLD = {
+    count: 10,
+    window: 60000
+};
+
+
+/**
+ * Runs a function in the context of a microserver
+ *
+ * @param {string} name - Registry key of the microserver or submodule
+ * @param {Function} fn - Function to run
+ * @returns {any} What fn returns
+ */
+export function runInMicroserver(name, fn) {
+
+    try {
+
+        return microserverContext.run({ name }, fn);
+
+    } catch (error) {
+
+        if (error !== null && typeof error === 'object' && !error[ERROR_OWNER]) {
+            error[ERROR_OWNER] = name;
+        }
+
+        throw error;
+    }
+}
+
+
+/**
+ * Runs every event of an emitter in the context of a microserver
+ *
+ * Binding it again (e.g. a request passing from a microserver to its
+ * submodule) changes the owner.
+ *
+ * @param {EventEmitter} emitter - Request, response or socket
+ * @param {string} name - Registry key of the microserver or submodule
+ * @returns {EventEmitter} The emitter
+ */
+export function bindToMicroserver(emitter, name) {
+
+    if (!emitter[EMITTER_OWNER]) {
+
+        const emit = emitter.emit;
+
+        emitter.emit = function (...args) {
+            return runInMicroserver(emitter[EMITTER_OWNER], () => emit.apply(this, args));
+        };
+    }
+
+    emitter[EMITTER_OWNER] = name;
+
+    return emitter;
+}
+
+
+/**
+ * Returns the microserver an error belongs to
+ *
+ * @param {any} error - Uncaught exception or rejection reason
+ * @returns {string|null} Registry key, or null if the error cannot be attributed
+ */
+export function getErrorOwner(error) {
+
+    const store = microserverContext.getStore();
+
+    if (store) {
+        return store.name;
+    }
+
+    return error !== null && typeof error === 'object' ? error[ERROR_OWNER] || null : null;
+}
+
+
+/**
+ * Normalises a restart policy from the configuration
+ *
+ * @param {string|Object|undefined} restart - server.restart (or submodule restart)
+ * @returns {Object} { policy, maxRetries, delay, maxDelay }
+ */
+export function resolveRestartPolicy(restart) {
+
+    if (typeof restart === 'string') {
+        return { ...DEFAULT_RESTART_POLICY, policy: restart };
+    }
+
+    return { ...DEFAULT_RESTART_POLICY, ...restart };
+}
+
+
+/**
+ * Delay before a restart attempt: exponential backoff, capped
+ *
+ * @param {Object} policy - Resolved restart policy
+ * @param {number} attempt - Attempts already made since the last stable run
+ * @returns {number} Delay in milliseconds
+ */
+export function getRestartDelay(policy, attempt) {
+
+    return Math.min(policy.delay * 2 ** attempt, policy.maxDelay);
+}
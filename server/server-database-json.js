@@ -0,0 +1,331 @@
+// ============================================
+// server/server-database-json.js - JSON File Database Driver
+// ============================================
+// Offline database kept in one JSON file, one array per collection
+// (the db.json layout of json-server):
+//
+//   "database": {
+//     "type": "json",
+//     "connection": "data/db.json",   // relative to the microserver's server directory
+//     "models": ["posts", "users"]    // collections created when missing
+//   }
+//
+// The handle mimics a small part of the MongoDB driver:
+//
+//   const posts = options.database.collection('posts');
+//   await posts.find({ author: 'ana' }).sort({ created_at: -1 }).limit(10).toArray();
+//   await posts.findOne({ id: 3 });
+//   await posts.insertOne({ title: 'Hello' });         // → { insertedId }
+//   await posts.updateOne({ id: 3 }, { $set: { title: 'Hi' } });
+//   await posts.deleteOne({ id: 3 });
+//   await posts.countDocuments();
+//
+// Documents are identified by `id` (numbers count up, otherwise a UUID).
+// Filters match top-level fields by equality. Writes replace the file
+// atomically, one at a time; the file is read again when another process
+// changed it.
+// ============================================
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+
+/**
+ * Tells whether a document matches an equality filter
+ */
+function matches(document, filter = {}) {
+
+    return Object.entries(filter).every(([field, value]) => document[field] === value);
+}
+
+
+function copy(document) {
+
+    return document === undefined ? null : structuredClone(document);
+}
+
+
+/**
+ * Query results, read with toArray()
+ */
+class JsonCursor {
+
+    constructor(load) {
+
+        this.load = load;
+        this.sortSpec = null;
+        this.skipCount = 0;
+        this.limitCount = 0;
+    }
+
+
+    sort(spec) {
+
+        this.sortSpec = spec;
+        return this;
+    }
+
+
+    skip(count) {
+
+        this.skipCount = count;
+        return this;
+    }
+
+
+    limit(count) {
+
+        this.limitCount = count;
+        return this;
+    }
+
+
+    async toArray() {
+
+        let documents = this.load();
+
+        if (this.sortSpec) {
+
+            const fields = Object.entries(this.sortSpec);
+
+            documents = [...documents].sort((a, b) => {
+
+                for (const [field, direction] of fields) {
+
+                    if (a[field] < b[field]) return -direction;
+                    if (a[field] > b[field]) return direction;
+                }
+
+                return 0;
+            });
+        }
+
+        documents = documents.slice(this.skipCount, this.limitCount ? this.skipCount + this.limitCount : undefined);
+
+        return documents.map(copy);
+    }
+}
+
+
+class JsonCollection {
+
+    constructor(database, name) {
+
+        this.database = database;
+        this.name = name;
+    }
+
+
+    documents() {
+
+        return this.database.read()[this.name] || [];
+    }
+
+
+    find(filter = {}) {
+
+        return new JsonCursor(() => this.documents().filter(document => matches(document, filter)));
+    }
+
+
+    async findOne(filter = {}) {
+
+        return copy(this.documents().find(document => matches(document, filter)));
+    }
+
+
+    async countDocuments(filter = {}) {
+
+        return this.documents().filter(document => matches(document, filter)).length;
+    }
+
+
+    async insertOne(document) {
+
+        return this.database.write(data => {
+
+            const documents = data[this.name] = data[this.name] || [];
+            const numericIds = documents.every(existing => typeof existing.id === 'number');
+            const id = document.id ?? (numericIds ? Math.max(0, ...documents.map(existing => existing.id)) + 1 : crypto.randomUUID());
+
+            documents.push({ ...structuredClone(document), id });
+
+            return { insertedId: id };
+        });
+    }
+
+
+    async updateOne(filter, update) {
+
+        return this.database.write(data => {
+
+            const document = (data[this.name] || []).find(existing => matches(existing, filter));
+
+            if (!document) {
+                return { matchedCount: 0, modifiedCount: 0 };
+            }
+
+            Object.assign(document, structuredClone(update.$set || {}));
+            Object.keys(update.$unset || {}).forEach(field => delete document[field]);
+
+            return { matchedCount: 1, modifiedCount: 1 };
+        });
+    }
+
+
+    async deleteOne(filter) {
+
+        return this.database.write(data => {
+
+            const documents = data[this.name] || [];
+            const index = documents.findIndex(existing => matches(existing, filter));
+
+            if (index !== -1) {
+                documents.splice(index, 1);
+            }
+
+            return { deletedCount: index === -1 ? 0 : 1 };
+        });
+    }
+}
+
+
+class JsonDatabase {
+
+    constructor(filePath, models) {
+
+        this.type = 'json';
+        this.filePath = filePath;
+        this.models = models;
+        this.data = null;
+        this.loadedAt = null;
+
+        // Writes run one after the other
+        this.queue = Promise.resolve();
+    }
+
+
+    /**
+     * Current content, read again if the file changed on disk
+     */
+    read() {
+
+        const mtime = fs.statSync(this.filePath).mtimeMs;
+
+        if (mtime !== this.loadedAt) {
+
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.loadedAt = mtime;
+        }
+
+        return this.data;
+    }
+
+
+    /**
+     * Applies a change to the content and replaces the file
+     *
+     * The change works on a copy: if it throws or the file cannot be
+     * replaced, the cached content still matches the file.
+     *
+     * @param {Function} change - (data) => result, mutates data
+     * @returns {Promise<any>} Result of change
+     */
+    write(change) {
+
+        const run = this.queue.then(() => {
+
+            const data = structuredClone(this.read());
+            const result = change(data);
+            const temporaryPath = `${this.filePath}.${process.pid}.tmp`;
+
+            try {
+
+                fs.writeFileSync(temporaryPath, JSON.stringify(data, null, 2));
+                fs.renameSync(temporaryPath, this.filePath);
+
+            } catch (error) {
+
+                fs.rmSync(temporaryPath, { force: true });
+                throw error;
+            }
+
+            this.data = data;
+            this.loadedAt = fs.statSync(this.filePath).mtimeMs;
+
+            return result;
+        });
+
+        this.queue = run.catch(() => {});
+
+        return run;
+    }
+
+
+    collection(name) {
+
+        return new JsonCollection(this, name);
+    }
+
+
+    async ping() {
+
+        this.read();
+    }
+
+
+    async close() {
+
+        await this.queue;
+    }
+
+
+    getStats() {
+
+        const data = this.data || {};
+
+        return {
+            file: this.filePath,
+            collections: Object.fromEntries(Object.entries(data)
+                .filter(([, documents]) => Array.isArray(documents))
+                .map(([name, documents]) => [name, documents.length]))
+        };
+    }
+}
+
+
+/**
+ * Opens (or creates) a JSON database file
+ *
+ * @param {Object} databaseConfig - { connection, models }
+ * @param {Object} context - { baseDir } directory connection is relative to
+ * @returns {Promise<JsonDatabase>} Handle
+ * @throws {Error} If the file is not a JSON object
+ */
+export async function connect(databaseConfig, context) {
+
+    const filePath = path.resolve(context.baseDir, databaseConfig.connection);
+    const models = databaseConfig.models || [];
+
+    if (!fs.existsSync(filePath)) {
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify({}, null, 2));
+    }
+
+    const database = new JsonDatabase(filePath, models);
+    const data = database.read();
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`${filePath} must contain a JSON object of collections`);
+    }
+
+    const missing = models.filter(model => !Array.isArray(data[model]));
+
+    if (missing.length > 0) {
+        await database.write(content => missing.forEach(model => { content[model] = []; }));
+    }
+
+    return database;
+}
@@ -0,0 +1,53 @@
+// ============================================
+// server/server-database-mongodb.js - MongoDB Database Driver
+// ============================================
+// Connects a microserver to MongoDB with the official driver, which is
+// not a dependency of the multihost: install it where it is used
+// (npm install mongodb).
+//
+//   "database": {
+//     "type": "mongodb",
+//     "connection": "${MONGODB_URI:-mongodb://127.0.0.1:27017/app}",
+//     "models": ["posts"],
+//     "options": { "serverSelectionTimeoutMS": 5000 }
+//   }
+//
+// The database is the one named in the connection string. The handle
+// exposes collection(name) (native driver collections), plus the client
+// and db of the driver for anything else.
+// ============================================
+
+
+/**
+ * Connects to MongoDB
+ *
+ * @param {Object} databaseConfig - { connection, options }
+ * @returns {Promise<Object>} Handle { type, client, db, collection, ping, close, getStats }
+ * @throws {Error} If the mongodb package is missing (code DATABASE_DRIVER_MISSING) or the server is unreachable
+ */
+export async function connect(databaseConfig) {
+
+    let mongodb;
+
+    try {
+        mongodb = await import('mongodb');
+    } catch {
+        throw Object.assign(new Error("the 'mongodb' package is not installed (npm install mongodb)"), { code: 'DATABASE_DRIVER_MISSING' });
+    }
+
+    const client = new mongodb.MongoClient(databaseConfig.connection, databaseConfig.options || {});
+
+    await client.connect();
+
+    const db = client.db();
+
+    return {
+        type: 'mongodb',
+        client,
+        db,
+        collection: (name) => db.collection(name),
+        ping: () => db.command({ ping: 1 }),
+        close: () => client.close(),
+        getStats: () => ({ database: db.databaseName })
+    };
+}
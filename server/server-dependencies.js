@@ -0,0 +1,175 @@
+// ============================================
+// server/server-dependencies.js - Startup Order Between Microservers
+// ============================================
+// Microservers and submodules declare what they need to be running first:
+//
+//   "server": { ..., "dependsOn": ["auth"] }
+//   "submodules": [{ "name": "api", ..., "dependsOn": ["auth-sessions"] }]
+//
+// Entries are registry keys: a microserver name, or the instance key of a
+// submodule ('parent-submodule' unless set, see server-submodules.js). A
+// submodule always depends on its parent.
+//
+// A dependency graph is a Map of registry key → array of registry keys. It
+// is built from the configuration (validator) or from the MicroserverManager
+// registry, then:
+// - findDependencyCycle() reports a cycle, rejected at validation time
+// - runInDependencyOrder() runs a task per entry once its dependencies are
+//   done (or, reversed, once its dependents are done), concurrently for
+//   entries that do not depend on each other
+// ============================================
+
+import { listSubmodules } from './server-submodules.js';
+
+
+/**
+ * Builds the dependency graph of a configuration
+ *
+ * @param {Array<Object>} servers - config.servers
+ * @returns {Map<string, Array<string>>} Registry key → registry keys it depends on
+ */
+export function buildDependencyGraph(servers) {
+
+    const graph = new Map();
+
+    for (const serverConfig of servers) {
+
+        graph.set(serverConfig.name, [...(serverConfig.server?.dependsOn || [])]);
+
+        for (const { key, config, parentKey } of listSubmodules(serverConfig)) {
+            graph.set(key, [parentKey, ...(config.dependsOn || [])]);
+        }
+    }
+
+    return graph;
+}
+
+
+/**
+ * Finds a dependency cycle
+ *
+ * Dependencies missing from the graph are ignored.
+ *
+ * @param {Map<string, Array<string>>} graph - Dependency graph
+ * @returns {Array<string>|null} Cycle as a path (first key repeated at the end), or null
+ */
+export function findDependencyCycle(graph) {
+
+    // Keys on the current path, in order, and keys fully explored
+    const path = [];
+    const done = new Set();
+
+    const visit = (key) => {
+
+        const index = path.indexOf(key);
+
+        if (index !== -1) {
+            return [...path.slice(index), key];
+        }
+
+        if (done.has(key) || !graph.has(key)) {
+            return null;
+        }
+
+        path.push(key);
+
+        for (const dependency of graph.get(key)) {
+
+            const cycle = visit(dependency);
+
+            if (cycle) {
+                return cycle;
+            }
+        }
+
+        path.pop();
+        done.add(key);
+
+        return null;
+    };
+
+    for (const key of graph.keys()) {
+
+        const cycle = visit(key);
+
+        if (cycle) {
+            return cycle;
+        }
+    }
+
+    return null;
+}
+
+
+/**
+ * Orders the graph so that every key comes after its dependencies
+ *
+ * Keys without ordering constraints keep their graph (configuration) order.
+ *
+ * @param {Map<string, Array<string>>} graph - Dependency graph without cycles
+ * @returns {Array<string>} Registry keys in start order
+ */
+export function sortByDependencies(graph) {
+
+    const order = [];
+    const placed = new Set();
+
+    const place = (key) => {
+
+        if (placed.has(key) || !graph.has(key)) {
+            return;
+        }
+
+        placed.add(key);
+        graph.get(key).forEach(place);
+        order.push(key);
+    };
+
+    graph.forEach((dependencies, key) => place(key));
+
+    return order;
+}
+
+
+/**
+ * Runs a task for every key once the keys it waits for have settled
+ *
+ * Forward, a key waits for its dependencies (startup); reversed, for the
+ * keys that depend on it (shutdown). Tasks of independent keys run
+ * concurrently. A failing task does not stop the others: the task itself
+ * decides what a failed dependency means.
+ *
+ * @param {Map<string, Array<string>>} graph - Dependency graph
+ * @param {Function} task - async (key) => void
+ * @param {Object} options - Options
+ * @param {boolean} options.reverse - Run dependents first
+ * @returns {Promise<void>} Resolves once every task settled
+ * @throws {Error} With code DEPENDENCY_CYCLE if the graph has a cycle
+ */
+export async function runInDependencyOrder(graph, task, options = {}) {
+
+    const cycle = findDependencyCycle(graph);
+
+    if (cycle) {
+        throw Object.assign(new Error(`Dependency cycle: ${cycle.join(' → ')}`), { code: 'DEPENDENCY_CYCLE' });
+    }
+
+    const waitsFor = new Map(Array.from(graph.keys()).map(key => [key, []]));
+
+    graph.forEach((dependencies, key) => dependencies
+        .filter(dependency => graph.has(dependency))
+        .forEach(dependency => options.reverse ? waitsFor.get(dependency).push(key) : waitsFor.get(key).push(dependency)));
+
+    const runs = new Map();
+
+    const run = (key) => {
+
+        if (!runs.has(key)) {
+            runs.set(key, Promise.allSettled(waitsFor.get(key).map(run)).then(() => task(key)));
+        }
+
+        return runs.get(key);
+    };
+
+    await Promise.allSettled(Array.from(graph.keys()).map(run));
+}
@@ -0,0 +1,182 @@
+// ============================================
+// server/server-discovery.js - Convention-Based Microserver Discovery
+// ============================================
+// With discovery enabled in servers.config.json:
+//
+//   "global": { "discovery": true }
+//
+// every server/<N>-<name>-server/microserver.json manifest is added to
+// config.servers, without touching the central file. A manifest is a
+// regular server entry; what the folder name already says may be left out:
+//
+//   server/3-shop-server/microserver.json
+//   {
+//     "name": "shop",
+//     "domains": ["shop.example.com"],
+//     "server": { "setupFunction": "setupShop", "file": "server-shop.js", ... }
+//   }
+//
+//   id      3 (folder prefix)
+//   paths   { src: "3-shop-src", public: "3-shop-public", server: "3-shop-server",
+//             html: "index-shop.html", app: "App-Shop.jsx", main: "main.jsx" }
+//
+// Entries of the central file win: a manifest whose name is already
+// configured there is skipped. Manifests are read on every (re)load, but
+// only servers.config.json is watched: reload with SIGHUP after editing one.
+// ============================================
+
+import path from 'path';
+import fs from 'fs';
+
+export const MANIFEST_FILE = 'microserver.json';
+
+// <N>-<name>-server
+const SERVER_FOLDER_PATTERN = /^(\d+)-([A-Za-z0-9_-]+)-server$/;
+
+
+/**
+ * Whether discovery is enabled in a (raw) configuration
+ *
+ * @param {Object} config - Parsed configuration
+ * @returns {boolean} True with "global": { "discovery": true }
+ */
+export function isDiscoveryEnabled(config) {
+
+    return config?.global?.discovery === true;
+}
+
+
+/**
+ * Converts a microserver name to PascalCase ("just-learning" → "JustLearning")
+ *
+ * @param {string} name - Microserver name
+ * @returns {string} PascalCase name
+ */
+export function toPascalCase(name) {
+
+    return name
+        .split(/[-_]+/)
+        .filter(Boolean)
+        .map(part => part[0].toUpperCase() + part.slice(1))
+        .join('');
+}
+
+
+/**
+ * Paths the conventions give to a microserver folder set
+ *
+ * @param {number} id - Microserver id (folder prefix)
+ * @param {string} name - Microserver name
+ * @returns {Object} paths block for servers.config.json
+ */
+export function getConventionalPaths(id, name) {
+
+    return {
+        src: `${id}-${name}-src`,
+        public: `${id}-${name}-public`,
+        server: `${id}-${name}-server`,
+        html: `index-${name}.html`,
+        app: `App-${toPascalCase(name)}.jsx`,
+        main: 'main.jsx'
+    };
+}
+
+
+/**
+ * Reads every microserver.json manifest under server/
+ *
+ * Invalid JSON is reported as a problem; the content itself is validated
+ * with the rest of the configuration.
+ *
+ * @param {string} rootDir - Project root
+ * @returns {{ manifests: Array<Object>, errors: Array<{path: string, message: string}> }}
+ *          manifests are { manifestPath, serverConfig }, manifestPath relative to rootDir
+ */
+export function discoverMicroservers(rootDir) {
+
+    const manifests = [];
+    const errors = [];
+    const serverDir = path.join(rootDir, 'server');
+
+    const folders = fs.existsSync(serverDir)
+        ? fs.readdirSync(serverDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name).sort()
+        : [];
+
+    for (const folder of folders) {
+
+        const match = folder.match(SERVER_FOLDER_PATTERN);
+        const manifestPath = `server/${folder}/${MANIFEST_FILE}`;
+
+        if (!match || !fs.existsSync(path.join(rootDir, manifestPath))) {
+            continue;
+        }
+
+        let manifest;
+
+        try {
+
+            manifest = JSON.parse(fs.readFileSync(path.join(rootDir, manifestPath), 'utf8'));
+
+        } catch (error) {
+
+            errors.push({ path: manifestPath, message: `could not be read: ${error.message}` });
+            continue;
+        }
+
+        if (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest)) {
+
+            errors.push({ path: manifestPath, message: 'must contain a server entry object' });
+            continue;
+        }
+
+        const id = manifest.id ?? Number(match[1]);
+        const name = manifest.name ?? match[2];
+
+        manifests.push({
+            manifestPath,
+            serverConfig: {
+                ...manifest,
+                id,
+                name,
+                paths: { ...getConventionalPaths(id, name), server: folder, ...manifest.paths }
+            }
+        });
+    }
+
+    return { manifests, errors };
+}
+
+
+/**
+ * Adds discovered microservers to a (raw) configuration
+ *
+ * @param {Object} config - Parsed configuration, left untouched
+ * @param {string} rootDir - Project root
+ * @returns {{ config: Object, discovered: Array<Object>, errors: Array<Object> }}
+ *          discovered are { name, manifestPath, index } of the servers added
+ */
+export function applyDiscovery(config, rootDir) {
+
+    if (!isDiscoveryEnabled(config) || !Array.isArray(config.servers)) {
+        return { config, discovered: [], errors: [] };
+    }
+
+    const { manifests, errors } = discoverMicroservers(rootDir);
+    const configuredNames = new Set(config.servers.map(serverConfig => serverConfig?.name));
+    const servers = [...config.servers];
+    const discovered = [];
+
+    for (const { manifestPath, serverConfig } of manifests) {
+
+        if (configuredNames.has(serverConfig.name)) {
+
+            console.log(`[DISCOVERY] ${manifestPath} skipped: '${serverConfig.name}' is configured in servers.config.json`);
+            continue;
+        }
+
+        discovered.push({ name: serverConfig.name, manifestPath, index: servers.length });
+        servers.push(serverConfig);
+    }
+
+    return { config: { ...config, servers }, discovered, errors };
+}
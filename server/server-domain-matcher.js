@@ -0,0 +1,206 @@
+// ============================================
+// server/server-domain-matcher.js - Domain Pattern Matching
+// ============================================
+// Resolves a request host to a microserver from the `domains` entries in
+// servers.config.json. Three kinds of entries are supported:
+//
+//   "devel.run"              exact host
+//   "*.develrun.example"     wildcard: each "*" is a whole label position and
+//   "api.*"                  matches one or more labels
+//   "/^tenant-(\d+)\.io$/i"  explicit regex, written between slashes
+//
+// Precedence is deterministic: exact > wildcard > regex > default.
+// Among wildcards the most specific pattern (most literal labels) wins,
+// then config order. Regexes are tried in config order.
+//
+// The "g" and "y" flags are dropped: a compiled pattern is shared by all
+// requests and must not keep a lastIndex from one match to the next.
+// ============================================
+
+// Flags that make RegExp.exec() stateful
+const STATEFUL_FLAGS = /[gy]/g;
+
+
+/**
+ * Classifies a domains entry
+ *
+ * @param {string} pattern - Entry from a server's domains array
+ * @returns {'exact'|'wildcard'|'regex'} Pattern type
+ */
+export function getDomainPatternType(pattern) {
+
+    if (pattern.length > 2 && pattern.startsWith('/') && pattern.lastIndexOf('/') > 0) {
+        return 'regex';
+    }
+
+    return pattern.includes('*') ? 'wildcard' : 'exact';
+}
+
+
+/**
+ * Checks that a regex written "/.../flags" does not use the "g" or "y" flag
+ *
+ * @param {string} literal - Regex entry, between slashes
+ * @returns {string|null} Validation message, or null when the flags are fine
+ */
+export function checkRegexFlags(literal) {
+
+    return /[gy]/.test(literal.slice(literal.lastIndexOf('/') + 1))
+        ? 'the "g" and "y" flags are not allowed (matching must not depend on the previous request)'
+        : null;
+}
+
+
+/**
+ * Compiles a regex written "/.../flags", without the "g" and "y" flags
+ *
+ * @param {string} literal - Regex entry, between slashes
+ * @returns {RegExp} Compiled regex
+ * @throws {Error} If the regex is invalid
+ */
+export function compileRegexLiteral(literal) {
+
+    const lastSlash = literal.lastIndexOf('/');
+
+    return new RegExp(literal.slice(1, lastSlash), literal.slice(lastSlash + 1).replace(STATEFUL_FLAGS, ''));
+}
+
+
+/**
+ * Compiles a domains entry into a RegExp
+ *
+ * @param {string} pattern - Wildcard or regex domains entry
+ * @returns {RegExp} Compiled pattern (case-insensitive for wildcards)
+ * @throws {Error} If the pattern is not a valid wildcard or regex
+ */
+export function compileDomainPattern(pattern) {
+
+    if (getDomainPatternType(pattern) === 'regex') {
+        return compileRegexLiteral(pattern);
+    }
+
+    const labels = pattern.split('.');
+
+    if (labels.some(label => label.includes('*') && label !== '*')) {
+        throw new Error(`"*" must be a whole label in "${pattern}"`);
+    }
+
+    const source = labels
+        .map(label => label === '*' ? '([^.]+(?:\\.[^.]+)*)' : label.replace(/[-\\^$+?()[\]{}|]/g, '\\$&'))
+        .join('\\.');
+
+    return new RegExp(`^${source}$`, 'i');
+}
+
+
+/**
+ * Builds a matcher for all domains of all servers
+ *
+ * @param {Array} servers - servers array from servers.config.json
+ * @param {string} defaultServerName - Fallback microserver (default.serverName)
+ * @returns {Object} Matcher with match(domain) and patterns
+ */
+export function buildDomainMatcher(servers, defaultServerName) {
+
+    const exact = new Map();
+    const wildcards = [];
+    const regexes = [];
+
+    servers.forEach(server => {
+
+        server.domains.forEach(pattern => {
+
+            const type = getDomainPatternType(pattern);
+
+            if (type === 'exact') {
+
+                exact.set(pattern.toLowerCase(), { serverName: server.name, pattern });
+                return;
+            }
+
+            const entry = { serverName: server.name, pattern, regex: compileDomainPattern(pattern) };
+
+            if (type === 'wildcard') {
+
+                entry.specificity = pattern.split('.').filter(label => label !== '*').length;
+                entry.leadingWildcard = pattern.startsWith('*.');
+                wildcards.push(entry);
+
+            } else {
+
+                regexes.push(entry);
+            }
+        });
+    });
+
+    // Stable sort: most literal labels first, config order for ties
+    wildcards.sort((a, b) => b.specificity - a.specificity);
+
+
+    /**
+     * Resolves a domain (host without port) to a microserver
+     *
+     * @param {string} domain - Request domain
+     * @returns {Object} { serverName, type, pattern, subdomain, captures }
+     */
+    function match(domain) {
+
+        const host = domain.toLowerCase();
+
+        const exactMatch = exact.get(host);
+
+        if (exactMatch) {
+            return { ...exactMatch, type: 'exact', subdomain: null, captures: [] };
+        }
+
+        for (const entry of wildcards) {
+
+            const result = entry.regex.exec(host);
+
+            if (result) {
+
+                const captures = result.slice(1);
+
+                return {
+                    serverName: entry.serverName,
+                    pattern: entry.pattern,
+                    type: 'wildcard',
+                    // "*.develrun.example" on "acme.develrun.example" → "acme"
+                    subdomain: entry.leadingWildcard ? captures[0] : null,
+                    captures
+                };
+            }
+        }
+
+        for (const entry of regexes) {
+
+            const result = entry.regex.exec(domain);
+
+            if (result) {
+
+                const captures = result.slice(1);
+
+                return {
+                    serverName: entry.serverName,
+                    pattern: entry.pattern,
+                    type: 'regex',
+                    // Named group "subdomain" wins, otherwise the first capture
+                    subdomain: result.groups?.subdomain ?? captures[0] ?? null,
+                    captures
+                };
+            }
+        }
+
+        return { serverName: defaultServerName, pattern: null, type: 'default', subdomain: null, captures: [] };
+    }
+
+
+    return {
+        match,
+        patterns: {
+            exact: Array.from(exact.values()).map(entry => entry.pattern),
+            wildcard: wildcards.map(entry => entry.pattern),
+            regex: regexes.map(entry => entry.pattern)
+        }
+    };
+}
@@ -0,0 +1,171 @@
+// ============================================
+// server/server-error-pages.js - Error Responses per Microserver
+// ============================================
+// Every error answered by the multihost itself (unknown routes, errors thrown
+// in microserver routes, missing builds, proxy failures...) goes through
+// sendErrorResponse() so that it looks the same everywhere:
+//
+// - API requests (path matches a skipSPA prefix, or Accept: application/json)
+//   get a JSON envelope: { error, message, status, path, microserver, timestamp }
+// - Everything else gets the microserver's custom page, declared in
+//   servers.config.json and read from public/<paths.public>/:
+//
+//     "errorPages": { "404": "404.html", "500": "500.html", "503": "503.html" }
+//
+//   or a minimal built-in page when none is configured.
+// ============================================
+
+import http from 'http';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_ROOT = path.join(__dirname, '../public');
+
+
+/**
+ * Tells whether a request expects a JSON error instead of an HTML page
+ *
+ * @param {express.Request} req - Request
+ * @param {Object} serverConfig - Target microserver configuration (may be undefined)
+ * @returns {boolean} True for API requests
+ */
+export function isApiRequest(req, serverConfig) {
+
+    if ((req.headers.accept || '').includes('application/json')) {
+        return true;
+    }
+
+    const skipSPA = serverConfig?.server?.skipSPA || [];
+
+    return skipSPA.some(skipPath => req.url.startsWith(skipPath));
+}
+
+
+/**
+ * Resolves the custom error page of a microserver for a status code
+ *
+ * @param {Object} serverConfig - Target microserver configuration
+ * @param {number} status - HTTP status code
+ * @param {string} override - Page to use instead of errorPages[status] (e.g. maintenance.page)
+ * @returns {string|null} Absolute path of the page, or null if none is usable
+ */
+export function resolveErrorPage(serverConfig, status, override = null) {
+
+    const page = override || serverConfig?.errorPages?.[status];
+
+    if (!page || !serverConfig.paths?.public) {
+        return null;
+    }
+
+    const pagePath = path.join(PUBLIC_ROOT, serverConfig.paths.public, page);
+
+    return fs.existsSync(pagePath) ? pagePath : null;
+}
+
+
+/**
+ * Builds the built-in error page used when no custom page is configured
+ */
+function buildDefaultPage(status, title, message) {
+
+    const escapedMessage = message.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${status} ${title}</title></head>
+<body><h1>${status} ${title}</h1><p>${escapedMessage}</p></body>
+</html>`;
+}
+
+
+/**
+ * Refuses a WebSocket upgrade with the JSON error envelope
+ *
+ * Upgrades never reach Express: the response is written to the socket,
+ * which is then closed.
+ *
+ * @param {http.IncomingMessage} req - Upgrade request (req.targetModule set by ServerManager)
+ * @param {net.Socket} socket - Client socket
+ * @param {number} status - HTTP status code
+ * @param {Object} options - Response options
+ * @param {string} options.message - Human-readable message
+ * @param {Object} options.headers - Extra response headers (e.g. Retry-After)
+ */
+export function rejectUpgrade(req, socket, status, options = {}) {
+
+    const title = http.STATUS_CODES[status] || 'Error';
+
+    const body = JSON.stringify({
+        error: title,
+        message: options.message || title,
+        status: status,
+        path: req.url,
+        microserver: req.targetModule || null,
+        timestamp: new Date().toISOString()
+    });
+
+    const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        ...options.headers,
+        Connection: 'close'
+    };
+
+    const head = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+
+    socket.end(`HTTP/1.1 ${status} ${title}\r\n${head}\r\n${body}`);
+}
+
+
+/**
+ * Sends an error response for the microserver a request was routed to
+ *
+ * @param {express.Request} req - Request (req.serverConfig/req.targetModule set by routing)
+ * @param {express.Response} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} options - Response options
+ * @param {string} options.message - Human-readable message
+ * @param {string} options.page - Page in public/<paths.public>/ overriding errorPages
+ * @param {Object} options.headers - Extra response headers (e.g. Retry-After)
+ */
+export function sendErrorResponse(req, res, status, options = {}) {
+
+    const serverConfig = req.serverConfig;
+    const title = http.STATUS_CODES[status] || 'Error';
+    const message = options.message || title;
+
+    res.status(status);
+
+    if (options.headers) {
+        res.set(options.headers);
+    }
+
+    if (isApiRequest(req, serverConfig)) {
+
+        res.json({
+            error: title,
+            message: message,
+            status: status,
+            path: req.originalUrl || req.url,
+            microserver: req.targetModule || null,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+
+    const pagePath = resolveErrorPage(serverConfig, status, options.page);
+
+    if (pagePath) {
+
+        res.sendFile(pagePath, (error) => {
+
+            if (error && !res.headersSent) {
+                res.type('html').send(buildDefaultPage(status, title, message));
+            }
+        });
+        return;
+    }
+
+    res.type('html').send(buildDefaultPage(status, title, message));
+}
@@ -0,0 +1,115 @@
+// ============================================
+// server/server-http-facade.js - Per-Microserver HTTP Server Facade
+// ============================================
+// Microservers receive a facade instead of the shared http.Server, so that
+// whatever they attach to "the server" (Socket.IO, engine.io, ws...) stays
+// theirs and can be detached without touching the others:
+//
+// - 'request' and 'upgrade' listeners added to the facade only see the
+//   requests routed to that microserver, once they passed the routing
+//   gates (maintenance...) like any other request (ServerManager and the
+//   facade gate of the MicroserverManager dispatch them)
+// - Requests its listeners pass on (Socket.IO calls the listeners that were
+//   there before it attached) continue through the multihost Express app
+//   (static assets, SPA, microserver routes)
+// - close() only closes the facade: io.close() no longer stops the shared
+//   HTTP server
+//
+// When the microserver stops, the MicroserverManager drops its facade and
+// everything attached to it stops receiving traffic.
+// ============================================
+
+import { EventEmitter } from 'events';
+
+
+/**
+ * Creates the HTTP server facade of a microserver
+ *
+ * @param {http.Server} server - Shared HTTP server
+ * @param {string} name - Registry key of the microserver, for logging
+ * @returns {EventEmitter} Facade with dispatchRequest/dispatchUpgrade/isIntercepting
+ */
+export function createServerFacade(server, name) {
+
+    const facade = new EventEmitter();
+
+    // Continuation of each request currently travelling through the facade
+    const pending = new WeakMap();
+
+    // Base listener: requests not taken by an attached listener continue to Express
+    const forward = (req, res) => pending.get(req)?.(req, res);
+
+    facade.on('request', forward);
+
+    facade.address = () => server.address();
+
+    Object.defineProperty(facade, 'listening', { get: () => server.listening });
+
+    // The multihost owns listen()
+    facade.listen = (...args) => {
+
+        console.warn(`[SERVER FACADE] ${name} called listen(), ignored: the multihost handles listening`);
+
+        const callback = args.find(arg => typeof arg === 'function');
+
+        if (callback) {
+            process.nextTick(callback);
+        }
+
+        return facade;
+    };
+
+    // Closes what is attached to the facade, never the shared server
+    facade.close = (callback) => {
+
+        facade.emit('close');
+
+        if (typeof callback === 'function') {
+            process.nextTick(callback);
+        }
+
+        return facade;
+    };
+
+
+    /**
+     * Tells whether something attached its own listeners to the facade
+     *
+     * @returns {boolean} True when requests or upgrades must go through the facade
+     */
+    facade.isIntercepting = () => {
+
+        const requestListeners = facade.listeners('request');
+
+        return facade.listenerCount('upgrade') > 0 ||
+            requestListeners.length > 1 ||
+            requestListeners[0] !== forward;
+    };
+
+
+    /**
+     * Passes a request through the facade listeners
+     *
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {Function} next - (req, res) => void, called if no listener takes it
+     */
+    facade.dispatchRequest = (req, res, next) => {
+
+        pending.set(req, next);
+        facade.emit('request', req, res);
+    };
+
+
+    /**
+     * Passes an upgrade to the facade listeners
+     *
+     * @returns {boolean} False when nothing on the facade listens to upgrades
+     */
+    facade.dispatchUpgrade = (req, socket, head) => {
+
+        return facade.emit('upgrade', req, socket, head);
+    };
+
+    return facade;
+}
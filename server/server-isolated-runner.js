@@ -0,0 +1,298 @@
+// ============================================
+// server/server-isolated-runner.js - Isolated Microserver Runtime
+// ============================================
+// Entry point of the child process (child_process.fork) or worker thread
+// started for a microserver with `server.isolation` (see server-isolation.js).
+//
+// It runs the microserver exactly like the multihost would, on an HTTP
+// server of its own bound to 127.0.0.1 on a free port, and talks to the
+// multihost over IPC:
+//
+//   multihost → runner   { type: 'start', serverConfig }
+//                        { type: 'request', id, action: 'health' | 'configChange' | 'stop', payload }
+//   runner → multihost   { type: 'ready', port }
+//                        { type: 'failed', error }
+//                        { type: 'response', id, result } | { type: 'response', id, error }
+//
+// Requests arrive through the multihost proxy with X-Forwarded-* headers
+// (X-Forwarded-Prefix carries the basePath). Submodules run here too, and
+// share a service registry of their own with the microserver. Their
+// database blocks are opened here as well.
+// ============================================
+
+import http from 'http';
+import express from 'express';
+import { isMainThread, parentPort } from 'worker_threads';
+
+import { getInitHook, bindHooks, normaliseHealth } from './server-lifecycle.js';
+import { sendErrorResponse } from './server-error-pages.js';
+import { ServiceRegistry } from './ServiceRegistry.js';
+import { DatabaseManager } from './DatabaseManager.js';
+import { listSubmodules } from './server-submodules.js';
+
+// IPC with the multihost; send() calls back once the message is handed over
+const channel = isMainThread
+    ? { send: (message, done) => process.send(message, done), on: listener => process.on('message', listener) }
+    : { send: (message, done) => { parentPort.postMessage(message); done?.(); }, on: listener => parentPort.on('message', listener) };
+
+// A child process outlives nothing: exit when the multihost goes away.
+// Signals sent to the whole process group (Ctrl+C) are left to the
+// multihost, which stops the microserver through its 'stop' request.
+if (isMainThread) {
+    process.on('disconnect', () => process.exit(0));
+    process.on('SIGINT', () => {});
+    process.on('SIGTERM', () => {});
+}
+
+// Started instances, parent first: { name, hooks }
+const instances = [];
+
+let httpServer = null;
+
+// Instances start one after the other: a provided service is available at once
+const services = new ServiceRegistry();
+
+const databases = new DatabaseManager();
+
+// Database handle of each instance: its own, or its closest parent's
+// Key: registry key, Value: handle or null
+const databaseHandles = new Map();
+
+
+/**
+ * Imports a microserver file and runs its init hook
+ *
+ * @param {string} filePath - Path relative to server/
+ * @param {string} exportName - setupFunction name
+ * @param {Array} args - (router, server, options)
+ * @param {string} name - Registry key, for errors
+ * @returns {Promise<Object>} Bound lifecycle hooks
+ */
+async function startInstance(filePath, exportName, args, name) {
+
+    const importedModule = await import(`./${filePath}`);
+    const exported = importedModule[exportName];
+    const init = getInitHook(exported);
+
+    if (!init) {
+        throw new Error(`'${exportName}' in ${filePath} is neither a function nor a lifecycle definition`);
+    }
+
+    const hooks = bindHooks(exported, await init(...args));
+
+    if (hooks.ready) {
+        await hooks.ready();
+    }
+
+    instances.push({ name, hooks });
+
+    return hooks;
+}
+
+
+/**
+ * Starts the microserver and its submodules, then listens on a free port
+ *
+ * @param {Object} serverConfig - Configuration of the microserver
+ * @returns {Promise<number>} Port the runner listens on
+ */
+async function start(serverConfig) {
+
+    const app = express();
+
+    httpServer = http.createServer(app);
+
+    // Body parsing was skipped by the multihost for isolated microservers
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    // Same request context as in the multihost
+    app.use((req, res, next) => {
+
+        req.targetModule = serverConfig.name;
+        req.serverConfig = serverConfig;
+        req.basePath = req.headers['x-forwarded-prefix'] || '';
+        next();
+    });
+
+    const router = express.Router();
+
+    app.use(router);
+
+    databaseHandles.set(serverConfig.name, serverConfig.database
+        ? await databases.open(serverConfig.name, serverConfig.database, { serverPath: serverConfig.paths.server, features: serverConfig.server.features })
+        : null);
+
+    await startInstance(`${serverConfig.paths.server}/${serverConfig.server.file}`, serverConfig.server.setupFunction, [router, httpServer, {
+        shouldStart: false,
+        serverConfig: serverConfig,
+        serverId: serverConfig.id,
+        serverName: serverConfig.name,
+        isolation: serverConfig.server.isolation,
+        registerUpgradeHandler: (handler) => httpServer.on('upgrade', handler),
+        database: databaseHandles.get(serverConfig.name),
+        ...services.bindTo(serverConfig.name)
+    }], serverConfig.name);
+
+    // Parents before children, each attachment on its own router
+    for (const attachment of listSubmodules(serverConfig)) {
+
+        const { key, config: submodule } = attachment;
+        const submoduleRouter = express.Router();
+
+        if (attachment.mountPath) {
+            app.use(attachment.mountPath, submoduleRouter);
+        } else {
+            app.use(submoduleRouter);
+        }
+
+        databaseHandles.set(key, submodule.database
+            ? await databases.open(key, submodule.database, { serverPath: attachment.serverPath, features: submodule.features })
+            : databaseHandles.get(attachment.parentKey));
+
+        await startInstance(`${attachment.serverPath}/${submodule.file}`, submodule.setupFunction, [submoduleRouter, httpServer, {
+            shouldStart: false,
+            parentConfig: serverConfig,
+            submoduleConfig: submodule,
+            serverId: serverConfig.id,
+            serverName: serverConfig.name,
+            instanceKey: key,
+            parentKey: attachment.parentKey,
+            mountPath: attachment.mountPath,
+            features: submodule.features || {},
+            settings: submodule.settings || {},
+            database: databaseHandles.get(key),
+            ...services.bindTo(key)
+        }], key);
+    }
+
+    app.use((req, res) => sendErrorResponse(req, res, 404, { message: `Cannot ${req.method} ${req.originalUrl}` }));
+
+    // Express recognises error middleware by its four parameters
+    app.use((error, req, res, next) => {
+
+        if (res.headersSent) {
+            return next(error);
+        }
+
+        console.error(`[ISOLATED ${serverConfig.name}] ❌ ${req.method} ${req.originalUrl}: ${error.message}`);
+
+        const status = error.status >= 400 && error.status < 600 ? error.status : 500;
+
+        sendErrorResponse(req, res, status, { message: status < 500 || process.env.NODE_ENV !== 'production' ? error.message : undefined });
+    });
+
+    await new Promise((resolve, reject) => {
+
+        httpServer.once('error', reject);
+        httpServer.listen(0, '127.0.0.1', resolve);
+    });
+
+    return httpServer.address().port;
+}
+
+
+/**
+ * Answers a request from the multihost
+ *
+ * @param {string} action - health, configChange or stop
+ * @param {Object} payload - Action payload
+ * @returns {Promise<any>} Result sent back
+ */
+async function handleAction(action, payload = {}) {
+
+    if (action === 'health') {
+
+        const results = {};
+
+        for (const { name, hooks } of instances) {
+
+            const health = hooks.healthCheck ? normaliseHealth(await hooks.healthCheck()) : { healthy: true, details: {} };
+            const database = await databases.check(name);
+
+            if (database) {
+                health.healthy = health.healthy && database.healthy;
+                health.details.database = database;
+            }
+
+            results[name] = {
+                health,
+                stats: hooks.getStats ? hooks.getStats() : null
+            };
+        }
+
+        return {
+            healthy: Object.values(results).every(result => result.health.healthy),
+            instances: results,
+            memory: process.memoryUsage()
+        };
+    }
+
+    if (action === 'configChange') {
+
+        const [main] = instances;
+
+        if (main?.hooks.onConfigChange) {
+            await main.hooks.onConfigChange(payload.serverConfig, payload.oldServerConfig);
+        }
+
+        return { applied: true };
+    }
+
+    if (action === 'stop') {
+
+        // Submodules first
+        for (const { name, hooks } of instances.slice().reverse()) {
+
+            try {
+                if (hooks.stop) await hooks.stop();
+            } catch (error) {
+                console.error(`[ISOLATED ${name}] ❌ stop failed: ${error.message}`);
+            }
+        }
+
+        await databases.closeAll();
+
+        httpServer?.closeAllConnections?.();
+        httpServer?.close();
+
+        return { stopped: true };
+    }
+
+    throw new Error(`Unknown action: ${action}`);
+}
+
+
+channel.on(async (message) => {
+
+    if (message?.type === 'start') {
+
+        try {
+
+            const port = await start(message.serverConfig);
+
+            channel.send({ type: 'ready', port });
+
+        } catch (error) {
+
+            channel.send({ type: 'failed', error: { message: error.message, code: error.code || null, stack: error.stack } }, () => process.exit(1));
+        }
+        return;
+    }
+
+    if (message?.type === 'request') {
+
+        const done = message.action === 'stop' ? () => process.exit(0) : undefined;
+
+        try {
+
+            const result = await handleAction(message.action, message.payload);
+
+            channel.send({ type: 'response', id: message.id, result }, done);
+
+        } catch (error) {
+
+            channel.send({ type: 'response', id: message.id, error: { message: error.message } }, done);
+        }
+    }
+});
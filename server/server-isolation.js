@@ -0,0 +1,424 @@
+// ============================================
+// server/server-isolation.js - Isolated Microservers
+// ============================================
+// Built-in lifecycle definition for servers declared with `server.isolation`:
+//
+//   "server": {
+//     "setupFunction": "setupWebshell",
+//     "file": "multihost-entry.js",
+//     "isolation": "process"          // or "worker"
+//   }
+//
+// The microserver entry file (and its submodules) runs in a child process
+// (child_process.fork) or a worker thread, started from
+// server-isolated-runner.js, on a port of its own bound to 127.0.0.1.
+// The multihost keeps routing, static assets and the SPA, and proxies
+// every routed request and WebSocket upgrade to it (server-proxy.js).
+//
+// Crashes stay inside the child: it is restarted with exponential backoff
+// (1s, 2s, 4s... up to 30s), requests answer 503 meanwhile, and the
+// backoff resets once a child stayed up for a minute.
+// ============================================
+
+import path from 'path';
+import { fork } from 'child_process';
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+
+import { setupProxy } from './server-proxy.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RUNNER_PATH = path.join(__dirname, 'server-isolated-runner.js');
+
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 30000;
+
+// A child up for this long resets the backoff
+const STABLE_PERIOD = 60000;
+
+// Limits for IPC requests and for a child to exit after 'stop'
+const REQUEST_TIMEOUT = 5000;
+const STOP_TIMEOUT = 8000;
+
+
+/**
+ * Starts a runner as a child process or a worker thread
+ *
+ * @param {string} mode - "process" or "worker"
+ * @param {string} name - Microserver name
+ * @returns {Object} { id, send(message), kill(), on(event, listener) } with 'message' and 'exit' events
+ */
+function spawnRunner(mode, name) {
+
+    if (mode === 'worker') {
+
+        const worker = new Worker(RUNNER_PATH, { name: `multihost-${name}` });
+
+        return {
+            id: `thread ${worker.threadId}`,
+            send: message => worker.postMessage(message),
+            kill: () => worker.terminate(),
+            on: (event, listener) => {
+
+                // An uncaught error in a worker emits 'error', then 'exit'
+                if (event === 'exit') worker.on('error', error => console.error(`[ISOLATION] ${name} worker error: ${error.stack || error.message}`));
+
+                worker.on(event, event === 'exit' ? code => listener(code, null) : listener);
+            }
+        };
+    }
+
+    const child = fork(RUNNER_PATH, [], { stdio: 'inherit', env: { ...process.env, MULTIHOST_ISOLATED: name } });
+
+    return {
+        id: `pid ${child.pid}`,
+        send: message => child.connected && child.send(message),
+        kill: () => child.kill('SIGKILL'),
+        on: (event, listener) => child.on(event, listener)
+    };
+}
+
+
+/**
+ * Runtime of one isolated microserver, held as its lifecycle context
+ */
+class IsolatedMicroserver {
+
+    /**
+     * @param {Object} options - Setup options from the MicroserverManager
+     */
+    constructor(options) {
+
+        this.serverConfig = options.serverConfig;
+        this.name = options.serverName;
+        this.mode = options.serverConfig.server.isolation;
+
+        this.runner = null;
+        this.upstream = null;
+        this.startedAt = null;
+        this.isStopping = false;
+        this.restartTimer = null;
+        this.restartAttempt = 0;
+
+        // IPC requests waiting for a response, by id
+        this.pending = new Map();
+        this.nextRequestId = 1;
+
+        this.stats = {
+            restarts: 0,
+            crashes: 0,
+            lastCrash: null,
+            lastHealth: null
+        };
+    }
+
+
+    /**
+     * Starts a runner and waits for it to listen
+     *
+     * @returns {Promise<void>}
+     * @throws {Error} If the microserver fails to start in the runner
+     */
+    start() {
+
+        const runner = spawnRunner(this.mode, this.name);
+
+        this.runner = runner;
+
+        console.log(`[ISOLATION] Starting ${this.name} in a ${this.mode} (${runner.id})...`);
+
+        return new Promise((resolve, reject) => {
+
+            let isReady = false;
+
+            runner.on('message', (message) => {
+
+                if (message.type === 'ready') {
+
+                    isReady = true;
+
+                    this.upstream = new URL(`http://127.0.0.1:${message.port}`);
+                    this.startedAt = Date.now();
+
+                    console.log(`[ISOLATION] ✅ ${this.name} listening on ${this.upstream.host} (${runner.id})`);
+                    resolve();
+
+                } else if (message.type === 'failed') {
+
+                    reject(Object.assign(new Error(message.error.message), { code: message.error.code }));
+
+                } else if (message.type === 'response') {
+
+                    this.settleRequest(message);
+                }
+            });
+
+            runner.on('exit', (code, signal) => {
+
+                if (this.runner === runner) {
+                    this.handleExit(code, signal, isReady);
+                }
+
+                if (!isReady) {
+                    reject(new Error(`${this.name} ${this.mode} exited during startup (code ${code}${signal ? `, ${signal}` : ''})`));
+                }
+            });
+
+            runner.send({ type: 'start', serverConfig: this.serverConfig });
+        });
+    }
+
+
+    /**
+     * Handles the end of the current runner
+     *
+     * Outside a stop, this is a crash: requests answer 503 and a new
+     * runner is started after the backoff delay.
+     */
+    handleExit(code, signal, wasReady) {
+
+        const uptime = this.startedAt ? Date.now() - this.startedAt : 0;
+
+        this.runner = null;
+        this.upstream = null;
+        this.startedAt = null;
+
+        this.pending.forEach(({ reject }) => reject(new Error(`${this.name} ${this.mode} exited`)));
+        this.pending.clear();
+
+        if (this.isStopping || !wasReady) {
+            return;
+        }
+
+        this.stats.crashes++;
+        this.stats.lastCrash = { code, signal, uptime, at: new Date().toISOString() };
+
+        if (uptime >= STABLE_PERIOD) {
+            this.restartAttempt = 0;
+        }
+
+        console.error(`[ISOLATION] ❌ ${this.name} ${this.mode} crashed (code ${code}${signal ? `, ${signal}` : ''}) after ${uptime}ms`);
+
+        this.scheduleRestart();
+    }
+
+
+    /**
+     * Starts a new runner after the current backoff delay
+     */
+    scheduleRestart() {
+
+        const delay = Math.min(RESTART_BASE_DELAY * 2 ** this.restartAttempt, RESTART_MAX_DELAY);
+
+        this.restartAttempt++;
+
+        console.log(`[ISOLATION] Restarting ${this.name} in ${delay}ms (attempt ${this.restartAttempt})`);
+
+        this.restartTimer = setTimeout(async () => {
+
+            this.restartTimer = null;
+
+            if (this.isStopping) {
+                return;
+            }
+
+            try {
+
+                await this.start();
+                this.stats.restarts++;
+
+            } catch (error) {
+
+                console.error(`[ISOLATION] ❌ ${this.name} restart failed: ${error.message}`);
+
+                this.runner?.kill();
+
+                if (!this.isStopping) {
+                    this.scheduleRestart();
+                }
+            }
+        }, delay);
+    }
+
+
+    /**
+     * Sends a request to the runner and waits for its response
+     *
+     * @param {string} action - health, configChange or stop
+     * @param {Object} payload - Action payload
+     * @param {number} timeoutMs - Limit in milliseconds
+     * @returns {Promise<any>} The runner's result
+     */
+    request(action, payload = {}, timeoutMs = REQUEST_TIMEOUT) {
+
+        if (!this.runner) {
+            return Promise.reject(new Error(`${this.name} ${this.mode} is not running`));
+        }
+
+        const id = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+
+            const timer = setTimeout(() => {
+
+                this.pending.delete(id);
+                reject(new Error(`${this.name} ${this.mode} did not answer '${action}' within ${timeoutMs}ms`));
+            }, timeoutMs);
+
+            this.pending.set(id, {
+                resolve: (result) => { clearTimeout(timer); resolve(result); },
+                reject: (error) => { clearTimeout(timer); reject(error); }
+            });
+
+            this.runner.send({ type: 'request', id, action, payload });
+        });
+    }
+
+
+    /**
+     * Settles a pending request with a runner response
+     */
+    settleRequest(message) {
+
+        const request = this.pending.get(message.id);
+
+        if (!request) {
+            return;
+        }
+
+        this.pending.delete(message.id);
+
+        if (message.error) {
+            request.reject(new Error(message.error.message));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+
+    /**
+     * Health of the runner and of the microservers inside it
+     *
+     * @returns {Promise<Object>} { healthy, ...details } for the healthCheck hook
+     */
+    async checkHealth() {
+
+        if (!this.upstream) {
+
+            return {
+                healthy: false,
+                message: this.isStopping ? 'stopping' : `${this.mode} restarting (attempt ${this.restartAttempt})`
+            };
+        }
+
+        try {
+
+            const result = await this.request('health');
+
+            this.stats.lastHealth = { ...result, checkedAt: new Date().toISOString() };
+
+            return { healthy: result.healthy, runner: this.runner?.id };
+
+        } catch (error) {
+
+            return { healthy: false, message: error.message };
+        }
+    }
+
+
+    /**
+     * Stops the runner: 'stop' over IPC, killed if it does not exit in time
+     *
+     * @returns {Promise<void>}
+     */
+    async stop() {
+
+        this.isStopping = true;
+
+        clearTimeout(this.restartTimer);
+
+        const runner = this.runner;
+
+        if (!runner) {
+            return;
+        }
+
+        const exited = new Promise(resolve => runner.on('exit', resolve));
+
+        this.request('stop', {}, STOP_TIMEOUT).catch(error => {
+            console.error(`[ISOLATION] ${this.name} did not stop cleanly: ${error.message}`);
+        });
+
+        const timer = setTimeout(() => {
+
+            console.error(`[ISOLATION] ${this.name} still running after ${STOP_TIMEOUT}ms, killing it`);
+            runner.kill();
+        }, STOP_TIMEOUT);
+
+        await exited;
+
+        clearTimeout(timer);
+
+        console.log(`[ISOLATION] ✅ ${this.name} ${this.mode} stopped`);
+    }
+
+
+    /**
+     * Statistics of the runner, with the microserver stats from the last health check
+     *
+     * @returns {Object} Isolation statistics
+     */
+    getStats() {
+
+        return {
+            isolation: this.mode,
+            runner: this.runner?.id || null,
+            running: !!this.upstream,
+            upstream: this.upstream?.href || null,
+            uptime: this.startedAt ? Date.now() - this.startedAt : 0,
+            restartAttempt: this.restartAttempt,
+            ...this.stats
+        };
+    }
+}
+
+
+/**
+ * Lifecycle definition registered by MicroserverManager for isolated servers
+ */
+export const isolatedMicroserver = {
+
+    async init(app, server, options) {
+
+        const isolated = new IsolatedMicroserver(options);
+
+        await isolated.start();
+
+        isolated.proxy = setupProxy(app, server, {
+            ...options,
+            resolveUpstream: () => isolated.upstream
+        });
+
+        return isolated;
+    },
+
+    healthCheck: (isolated) => isolated.checkHealth(),
+
+    async stop(isolated) {
+
+        await isolated.stop();
+        await isolated.proxy?.cleanup();
+    },
+
+    onConfigChange: (isolated, newConfig, oldConfig) => {
+
+        isolated.serverConfig = newConfig;
+
+        return isolated.request('configChange', { serverConfig: newConfig, oldServerConfig: oldConfig });
+    },
+
+    getStats: (isolated) => ({
+        ...isolated.getStats(),
+        proxy: isolated.proxy?.getStats()
+    })
+};
@@ -0,0 +1,254 @@
+// ============================================
+// server/server-lifecycle.js - Microserver Lifecycle Contract
+// ============================================
+// A microserver module exports, under its setupFunction name, either:
+//
+// 1. A lifecycle definition (every hook but init is optional):
+//
+//   export const myServer = {
+//       async init(router, server, options) { ...; return context; },
+//       async ready(context) { },                      // after init, before ready
+//       async healthCheck(context) { return true; },   // true | false | { healthy, ...details }
+//       async stop(context) { },                       // shutdown, removal
+//       async onConfigChange(context, newConfig, oldConfig) { },
+//       getStats(context) { return {}; }
+//   };
+//
+//   The value returned by init is the instance context passed to every hook,
+//   so one definition can serve several microservers.
+//
+// 2. A bare setup function (original style), adapted to the same contract:
+//
+//   export function setupMyServer(router, server, options) {
+//       return { cleanup, getStats };   // may also return ready/healthCheck/stop/onConfigChange
+//   }
+//
+//   cleanup is used as the stop hook when no stop method is returned.
+//
+// States:
+//
+//   loading ─► initialising ─► ready ◄─► degraded
+//      │            │            │          │
+//      └────────────┴────────────┴──────────┴─► failed
+//                                │          │
+//                                └─► stopping ─► stopped
+//
+// A stopped or failed microserver may start over (initialising or loading).
+// ============================================
+
+export const LIFECYCLE_STATES = Object.freeze({
+    LOADING: 'loading',
+    INITIALISING: 'initialising',
+    READY: 'ready',
+    DEGRADED: 'degraded',
+    STOPPING: 'stopping',
+    STOPPED: 'stopped',
+    FAILED: 'failed'
+});
+
+const { LOADING, INITIALISING, READY, DEGRADED, STOPPING, STOPPED, FAILED } = LIFECYCLE_STATES;
+
+// Allowed transitions, from → [to]
+const TRANSITIONS = {
+    [LOADING]: [INITIALISING, FAILED],
+    [INITIALISING]: [READY, STOPPING, FAILED],
+    [READY]: [DEGRADED, STOPPING, FAILED],
+    [DEGRADED]: [READY, STOPPING, FAILED],
+    [STOPPING]: [STOPPED, FAILED],
+    [STOPPED]: [LOADING, INITIALISING],
+    [FAILED]: [LOADING, INITIALISING, STOPPING]
+};
+
+// Transitions kept per microserver
+const MAX_TRANSITIONS = 20;
+
+const OPTIONAL_HOOKS = ['ready', 'healthCheck', 'stop', 'onConfigChange', 'getStats'];
+
+
+/**
+ * State of one microserver or submodule, with a timestamped history
+ */
+export class MicroserverLifecycle {
+
+    /**
+     * @param {string} name - Registry key of the microserver
+     */
+    constructor(name) {
+
+        this.name = name;
+        this.state = LOADING;
+        this.since = new Date().toISOString();
+        this.reason = null;
+        this.transitions = [{ from: null, to: LOADING, at: this.since, reason: null }];
+    }
+
+
+    /**
+     * Moves to a new state
+     *
+     * @param {string} to - Target state (LIFECYCLE_STATES)
+     * @param {string} reason - Why, kept in the history (e.g. an error message)
+     * @throws {Error} If the transition is not allowed from the current state
+     */
+    transition(to, reason = null) {
+
+        if (!TRANSITIONS[this.state].includes(to)) {
+            throw new Error(`Invalid lifecycle transition for ${this.name}: ${this.state} → ${to}`);
+        }
+
+        const at = new Date().toISOString();
+
+        this.transitions.push({ from: this.state, to, at, reason });
+
+        if (this.transitions.length > MAX_TRANSITIONS) {
+            this.transitions.shift();
+        }
+
+        console.log(`[LIFECYCLE] ${this.name}: ${this.state} → ${to}${reason ? ` (${reason})` : ''}`);
+
+        this.state = to;
+        this.since = at;
+        this.reason = reason;
+    }
+
+
+    /**
+     * Tells whether the microserver is serving requests
+     *
+     * @returns {boolean} True when ready or degraded
+     */
+    isServing() {
+
+        return this.state === READY || this.state === DEGRADED;
+    }
+
+
+    /**
+     * Returns the lifecycle for /api/health
+     */
+    toJSON() {
+
+        return {
+            state: this.state,
+            since: this.since,
+            reason: this.reason,
+            transitions: this.transitions
+        };
+    }
+}
+
+
+/**
+ * Tells whether an export follows the lifecycle definition style
+ *
+ * @param {any} exported - Value exported under the setupFunction name
+ * @returns {boolean} True for an object with an init hook
+ */
+export function isLifecycleDefinition(exported) {
+
+    return !!exported && typeof exported === 'object' && typeof exported.init === 'function';
+}
+
+
+/**
+ * Returns the init hook of an export (the function itself for bare setup functions)
+ *
+ * @param {Function|Object} exported - Setup function or lifecycle definition
+ * @returns {Function|null} (router, server, options) => context, or null if unusable
+ */
+export function getInitHook(exported) {
+
+    if (typeof exported === 'function') {
+        return exported;
+    }
+
+    return isLifecycleDefinition(exported) ? exported.init.bind(exported) : null;
+}
+
+
+/**
+ * Binds the optional hooks of an export to an initialised instance
+ *
+ * Adapter for both styles: definition hooks get the context as first
+ * argument, bare setup functions have the methods of their returned
+ * interface called directly (cleanup standing in for stop).
+ *
+ * @param {Function|Object} exported - Setup function or lifecycle definition
+ * @param {any} context - Value returned by init
+ * @returns {Object} { ready, healthCheck, stop, onConfigChange, getStats }, null when not provided
+ */
+export function bindHooks(exported, context) {
+
+    const hooks = {};
+
+    OPTIONAL_HOOKS.forEach(hook => {
+
+        if (isLifecycleDefinition(exported)) {
+
+            hooks[hook] = typeof exported[hook] === 'function'
+                ? (...args) => exported[hook](context, ...args)
+                : null;
+            return;
+        }
+
+        const method = context?.[hook] || (hook === 'stop' ? context?.cleanup : undefined);
+
+        hooks[hook] = typeof method === 'function' ? (...args) => method.apply(context, args) : null;
+    });
+
+    return hooks;
+}
+
+
+/**
+ * Runs a hook, rejecting if it does not settle in time
+ *
+ * @param {Function} hook - Hook from bindHooks
+ * @param {Array} args - Hook arguments
+ * @param {number} timeoutMs - Limit in milliseconds
+ * @param {string} label - "<name> <hook>", for the timeout message
+ * @returns {Promise<any>} The hook result
+ * @throws {Error} If the hook throws, rejects or times out (code HOOK_TIMEOUT)
+ */
+export async function runHook(hook, args, timeoutMs, label) {
+
+    let timer = null;
+
+    const timeoutPromise = new Promise((resolve, reject) => {
+
+        timer = setTimeout(() => {
+
+            const error = new Error(`${label} did not complete within ${timeoutMs}ms`);
+            error.code = 'HOOK_TIMEOUT';
+            reject(error);
+        }, timeoutMs);
+    });
+
+    try {
+
+        return await Promise.race([Promise.resolve().then(() => hook(...args)), timeoutPromise]);
+
+    } finally {
+
+        clearTimeout(timer);
+    }
+}
+
+
+/**
+ * Normalises a healthCheck result
+ *
+ * @param {boolean|Object|undefined} result - true, false, undefined or { healthy, ...details }
+ * @returns {Object} { healthy, details }
+ */
+export function normaliseHealth(result) {
+
+    if (result && typeof result === 'object') {
+
+        const { healthy, ...details } = result;
+
+        return { healthy: healthy !== false, details };
+    }
+
+    return { healthy: result !== false, details: {} };
+}
@@ -0,0 +1,305 @@
+// ============================================
+// server/server-proxy.js - Reverse-Proxy Microserver
+// ============================================
+// Built-in setup function for servers declared with `server.type: "proxy"`.
+// Instead of running an in-process Express module, every request routed to
+// the microserver (and every WebSocket upgrade) is streamed to `server.upstream`.
+// Also used by isolated microservers (server-isolation.js) to reach their
+// child process, through options.resolveUpstream.
+//
+//   "server": {
+//     "type": "proxy",
+//     "upstream": "http://127.0.0.1:4000",
+//     "timeout": 30000,
+//     "preserveHost": false
+//   }
+// ============================================
+
+import http from 'http';
+import https from 'https';
+
+import { sendErrorResponse } from './server-error-pages.js';
+import { isExemptPath } from './MaintenanceManager.js';
+
+const DEFAULT_TIMEOUT = 30000;
+
+// Hop-by-hop headers must not be forwarded (RFC 7230 section 6.1)
+const HOP_BY_HOP_HEADERS = [
+    'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+    'te', 'trailer', 'transfer-encoding', 'upgrade'
+];
+
+
+/**
+ * Builds the headers sent upstream, including X-Forwarded-*
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {URL} upstream - Upstream base URL
+ * @param {Object} options - { preserveHost, basePath, isUpgrade }
+ * @returns {Object} Headers for the upstream request
+ */
+function buildUpstreamHeaders(req, upstream, options) {
+
+    const headers = { ...req.headers };
+
+    if (!options.isUpgrade) {
+        HOP_BY_HOP_HEADERS.forEach(header => delete headers[header]);
+    }
+
+    const clientIP = req.socket.remoteAddress || '';
+    const priorForwardedFor = req.headers['x-forwarded-for'];
+
+    headers['x-forwarded-for'] = priorForwardedFor ? `${priorForwardedFor}, ${clientIP}` : clientIP;
+    headers['x-forwarded-host'] = req.headers['x-forwarded-host'] || req.headers.host || '';
+    headers['x-forwarded-proto'] = req.headers['x-forwarded-proto'] || (req.socket.encrypted ? 'https' : 'http');
+
+    if (options.basePath) {
+        headers['x-forwarded-prefix'] = options.basePath;
+    }
+
+    if (!options.preserveHost) {
+        headers.host = upstream.host;
+    }
+
+    return headers;
+}
+
+
+/**
+ * Returns the http or https module for an upstream URL
+ */
+function getTransport(upstream) {
+
+    return upstream.protocol === 'https:' ? https : http;
+}
+
+
+/**
+ * Joins the upstream base path with the request URL
+ */
+function buildUpstreamPath(upstream, url) {
+
+    const basePath = upstream.pathname.replace(/\/$/, '');
+
+    return `${basePath}${url}`;
+}
+
+
+/**
+ * Setup function for proxy microservers
+ *
+ * Registered by MicroserverManager for servers with `server.type: "proxy"`.
+ *
+ * @param {express.Router} app - Isolated router of the microserver
+ * @param {http.Server} server - HTTP server from multi-host (unused, upgrades come through the dispatcher)
+ * @param {Object} options - Setup options from multi-host
+ * @param {Function} options.resolveUpstream - () => URL|null, overrides server.upstream (null answers 503)
+ * @returns {Object} Multi-host compatible interface
+ */
+export function setupProxy(app, server, options = {}) {
+
+    const serverConfig = options.serverConfig.server;
+    const serverName = options.serverName;
+
+    const upstream = serverConfig.upstream ? new URL(serverConfig.upstream) : null;
+    const resolveUpstream = options.resolveUpstream || (() => upstream);
+    const timeout = serverConfig.timeout || DEFAULT_TIMEOUT;
+    const preserveHost = serverConfig.preserveHost === true;
+
+    const stats = {
+        requests: 0,
+        upgrades: 0,
+        badGateway: 0,
+        gatewayTimeout: 0,
+        unavailable: 0,
+        activeUpgrades: 0
+    };
+
+    const activeSockets = new Set();
+
+    console.log(`[PROXY] ${serverName} → ${upstream ? upstream.href : 'dynamic upstream'} (timeout: ${timeout}ms)`);
+
+
+    // ============================================
+    // HTTP REQUESTS
+    // ============================================
+    app.use((req, res, next) => {
+
+        // Multihost endpoints (/api/health, /api/config, /api/admin) stay local
+        if (isExemptPath(req.url)) {
+            return next();
+        }
+
+        stats.requests++;
+
+        const upstream = resolveUpstream();
+
+        if (!upstream) {
+
+            stats.unavailable++;
+
+            return sendErrorResponse(req, res, 503, { message: `The upstream service for ${serverName} is not running.` });
+        }
+
+        const upstreamRequest = getTransport(upstream).request({
+            protocol: upstream.protocol,
+            hostname: upstream.hostname,
+            port: upstream.port,
+            method: req.method,
+            path: buildUpstreamPath(upstream, req.url),
+            headers: buildUpstreamHeaders(req, upstream, { preserveHost, basePath: req.basePath })
+        });
+
+        upstreamRequest.setTimeout(timeout, () => {
+            upstreamRequest.destroy(Object.assign(new Error('Upstream timeout'), { code: 'ETIMEDOUT' }));
+        });
+
+        upstreamRequest.on('response', (upstreamResponse) => {
+
+            const headers = { ...upstreamResponse.headers };
+            HOP_BY_HOP_HEADERS.forEach(header => delete headers[header]);
+
+            res.writeHead(upstreamResponse.statusCode, upstreamResponse.statusMessage, headers);
+            upstreamResponse.pipe(res);
+        });
+
+        upstreamRequest.on('error', (error) => {
+
+            const statusCode = error.code === 'ETIMEDOUT' ? 504 : 502;
+
+            if (statusCode === 504) stats.gatewayTimeout++;
+            else stats.badGateway++;
+
+            console.error(`[PROXY] ${serverName} ${req.method} ${req.url} → ${statusCode} (${error.code || error.message})`);
+
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+
+            sendErrorResponse(req, res, statusCode, {
+                message: statusCode === 504
+                    ? `The upstream service for ${serverName} did not respond in time.`
+                    : `The upstream service for ${serverName} is unavailable.`
+            });
+        });
+
+        // Client went away: stop talking to the upstream
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                upstreamRequest.destroy();
+            }
+        });
+
+        req.pipe(upstreamRequest);
+    });
+
+
+    // ============================================
+    // WEBSOCKET UPGRADES
+    // ============================================
+    options.registerUpgradeHandler((req, socket, head) => {
+
+        stats.upgrades++;
+
+        const upstream = resolveUpstream();
+
+        if (!upstream) {
+
+            stats.unavailable++;
+
+            socket.end('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        const upstreamRequest = getTransport(upstream).request({
+            protocol: upstream.protocol,
+            hostname: upstream.hostname,
+            port: upstream.port,
+            method: req.method,
+            path: buildUpstreamPath(upstream, req.url),
+            headers: buildUpstreamHeaders(req, upstream, { preserveHost, basePath: req.basePath, isUpgrade: true })
+        });
+
+        upstreamRequest.setTimeout(timeout, () => {
+            upstreamRequest.destroy(Object.assign(new Error('Upstream timeout'), { code: 'ETIMEDOUT' }));
+        });
+
+        upstreamRequest.on('upgrade', (upstreamResponse, upstreamSocket, upstreamHead) => {
+
+            // Connected: the tunnel has no inactivity timeout
+            upstreamRequest.setTimeout(0);
+
+            const statusLine = `HTTP/1.1 ${upstreamResponse.statusCode} ${upstreamResponse.statusMessage}\r\n`;
+            const headerLines = Object.entries(upstreamResponse.headers)
+                .flatMap(([name, value]) => (Array.isArray(value) ? value : [value]).map(item => `${name}: ${item}\r\n`))
+                .join('');
+
+            socket.write(`${statusLine}${headerLines}\r\n`);
+
+            if (upstreamHead && upstreamHead.length) socket.write(upstreamHead);
+            if (head && head.length) upstreamSocket.write(head);
+
+            stats.activeUpgrades++;
+            activeSockets.add(socket);
+
+            upstreamSocket.pipe(socket);
+            socket.pipe(upstreamSocket);
+
+            const close = () => {
+                if (activeSockets.delete(socket)) stats.activeUpgrades--;
+                upstreamSocket.destroy();
+                socket.destroy();
+            };
+
+            socket.on('error', close);
+            socket.on('close', close);
+            upstreamSocket.on('error', close);
+            upstreamSocket.on('close', close);
+        });
+
+        // Upstream refused the upgrade with a regular response
+        upstreamRequest.on('response', (upstreamResponse) => {
+
+            socket.end(`HTTP/1.1 ${upstreamResponse.statusCode} ${upstreamResponse.statusMessage}\r\n\r\n`);
+            upstreamResponse.resume();
+        });
+
+        upstreamRequest.on('error', (error) => {
+
+            const statusLine = error.code === 'ETIMEDOUT' ? '504 Gateway Timeout' : '502 Bad Gateway';
+
+            if (error.code === 'ETIMEDOUT') stats.gatewayTimeout++;
+            else stats.badGateway++;
+
+            console.error(`[PROXY] ${serverName} upgrade ${req.url} → ${statusLine} (${error.code || error.message})`);
+
+            if (socket.writable) {
+                socket.end(`HTTP/1.1 ${statusLine}\r\nConnection: close\r\n\r\n`);
+            }
+        });
+
+        socket.on('error', () => upstreamRequest.destroy());
+
+        upstreamRequest.end();
+    });
+
+
+    // ============================================
+    // RETURN PUBLIC INTERFACE
+    // ============================================
+    return {
+        cleanup: async () => {
+            activeSockets.forEach(socket => socket.destroy());
+            activeSockets.clear();
+            console.log(`[PROXY] ${serverName} closed active tunnels`);
+        },
+
+        getStats: () => ({
+            type: 'proxy',
+            upstream: resolveUpstream()?.href || null,
+            timeout,
+            ...stats
+        })
+    };
+}
@@ -7,54 +7,19 @@
 
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
+import express from 'express';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { buildDomainMatcher, getDomainPatternType } from './server-domain-matcher.js';
+import { compileRules, applyRules } from './server-rules.js';
+import { sendErrorResponse } from './server-error-pages.js';
 
-export function setupDomainRouting(app) {
 
-    console.log('[ROUTING] Setting up dynamic domain-based routing...');
-
-    // ============================================
-    // LOAD SERVER CONFIGURATION FROM JSON
-    // ============================================
-    // Load configuration from servers.config.json in the project root
-    // This JSON contains all configuration for all microservers
-    // LOAD SERVER CONFIGURATION FROM JSON
-    let config;
-    try {
-        
-        // Try secret file first (production)-> Pending Fixes
-        const secretPath = '/etc/secrets/servers.config.json';
-        
-        if (fs.existsSync(secretPath)) {
-            const configData = fs.readFileSync(secretPath, 'utf8');
-            config = JSON.parse(configData);
-        
-            console.log('[ROUTING] Configuration loaded from secret file');
-        
-        } else {
-        
-            // Fallback to local file (development)
-            const configPath = path.join(__dirname, '../servers.config.json');
-            const configData = fs.readFileSync(configPath, 'utf8');
-            config = JSON.parse(configData);
-        
-            console.log('[ROUTING] Configuration loaded from local file');
-        }
-    } catch (error) {
-
-        console.error('[ROUTING] CRITICAL: Failed to load servers.config.json:', error.message);
-        console.error('[ROUTING] Make sure servers.config.json exists in project root');
-        process.exit(1);
-    }
-
-    // ============================================
-    // BUILD DOMAIN MAPPING FROM CONFIG
-    // ============================================
-    // Create domain mapping from array configuration
-    // Each server can have multiple domains that point to the same microserver
-    const domainMap = {};
+// ============================================
+// BUILD DOMAIN MATCHER FROM CONFIG
+// ============================================
+// Each server can have multiple domains that point to the same microserver.
+// Entries can be exact hosts, wildcards or regexes (see server-domain-matcher.js)
+function buildDomainMatcherFromConfig(config) {
 
     config.servers.forEach(server => {
 
@@ -62,34 +27,186 @@ export function setupDomainRouting(app) {
 
         server.domains.forEach(domain => {
 
-            domainMap[domain] = server.name;
-            console.log(`[ROUTING]   - Domain: ${domain} â†' ${server.name}`);
+            console.log(`[ROUTING]   - Domain: ${domain} (${getDomainPatternType(domain)}) → ${server.name}`);
         });
     });
 
-    // Configure default domain
-    domainMap['default'] = config.default.serverName;
     console.log(`[ROUTING] Default server: ${config.default.serverName}`);
 
+    return buildDomainMatcher(config.servers, config.default.serverName);
+}
 
 
+// ============================================
+// BUILD PATH-PREFIX MOUNTS FROM CONFIG
+// ============================================
+// Servers declaring a basePath (e.g. "/justlearning") are reachable under that
+// prefix on any host. Longest prefix first so nested prefixes resolve correctly.
+function buildBasePaths(config) {
+
+    return config.servers
+        .filter(server => server.basePath)
+        .map(server => ({ basePath: server.basePath, serverName: server.name }))
+        .sort((a, b) => b.basePath.length - a.basePath.length);
+}
 
-    // ============================================
-    // DISPLAY LOADED CONFIGURATION
-    // ============================================
+
+// ============================================
+// BUILD REDIRECT / REWRITE RULES FROM CONFIG
+// ============================================
+// Global rules plus one rule set per server (see server-rules.js)
+function buildRoutingRules(config) {
+
+    const servers = new Map();
+
+    config.servers.forEach(server => servers.set(server.name, compileRules(server)));
+
+    return { global: compileRules(config.global), servers };
+}
+
+
+/**
+ * Finds the basePath mount matching a request URL
+ *
+ * "/justlearning" and "/justlearning/..." match, "/justlearningX" does not.
+ *
+ * @param {Array} basePaths - Mounts from buildBasePaths()
+ * @param {string} url - Request URL (path and query)
+ * @returns {Object|null} Matching mount or null
+ */
+function matchBasePath(basePaths, url) {
+
+    const pathname = url.split('?')[0];
+
+    return basePaths.find(({ basePath }) =>
+        pathname === basePath || pathname.startsWith(`${basePath}/`)
+    ) || null;
+}
+
+
+// ============================================
+// DISPLAY LOADED CONFIGURATION
+// ============================================
+function displayRoutingConfig(config) {
 
     console.log('[ROUTING] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('[ROUTING] Loaded server configurations:');
     config.servers.forEach(server => {
-        console.log(`[ROUTING]   ${server.name}: ${server.domains.join(', ')}`);
+        console.log(`[ROUTING]   ${server.name}: ${server.domains.join(', ')}${server.basePath ? ` + ${server.basePath}/*` : ''}`);
         console.log(`[ROUTING]     → ${server.description}`);
-        console.log(`[ROUTING]     → Setup: ${server.server.setupFunction}`);
-        console.log(`[ROUTING]     → Routes: ${server.server.routes.join(', ') || 'none'}`);
-        console.log(`[ROUTING]     → Features: Socket.IO=${server.server.features.socketio}, CORS=${server.server.features.cors}`);
+        console.log(`[ROUTING]     → Setup: ${server.server.type === 'proxy' ? `proxy → ${server.server.upstream}` : server.server.setupFunction}`);
+        console.log(`[ROUTING]     → Routes: ${(server.server.routes || []).join(', ') || 'none'}`);
+        console.log(`[ROUTING]     → Features: Socket.IO=${server.server.features?.socketio}, CORS=${server.server.features?.cors}`);
     });
     console.log('[ROUTING] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+}
+
+
+/**
+ * Installs the domain detection middleware and the SPA catchall
+ *
+ * Configuration is read from the ConfigManager, and the domain map is
+ * rebuilt whenever the configuration is hot reloaded, so the middleware
+ * always routes with the current servers.config.json.
+ *
+ * @param {Express.Application} app - Express application
+ * @param {ConfigManager} configManager - Source of the active configuration
+ * @param {Object} options - Routing options
+ * @param {Array<Function>} options.gates - Middlewares run once the target is known,
+ *                                          before static assets, SPA and microserver routes
+ * @returns {Object} { config, resolveTarget } - Config at setup time and the request resolver
+ */
+export function setupDomainRouting(app, configManager, options = {}) {
+
+    console.log('[ROUTING] Setting up dynamic domain-based routing...');
+
+    // Routing state, replaced as a whole on each configuration reload
+    let config = configManager.getConfig();
+    let domainMatcher = buildDomainMatcherFromConfig(config);
+    let basePaths = buildBasePaths(config);
+    let routingRules = buildRoutingRules(config);
+
+    displayRoutingConfig(config);
+
+    configManager.onChange((newConfig) => {
+
+        const newDomainMatcher = buildDomainMatcherFromConfig(newConfig);
+        const newBasePaths = buildBasePaths(newConfig);
+        const newRoutingRules = buildRoutingRules(newConfig);
+
+        return {
+            commit: () => {
+
+                config = newConfig;
+                domainMatcher = newDomainMatcher;
+                basePaths = newBasePaths;
+                routingRules = newRoutingRules;
+
+                console.log('[ROUTING] Domain routing updated from reloaded configuration');
+                displayRoutingConfig(config);
+            }
+        };
+    });
+
 
 
+    // ============================================
+    // TARGET RESOLUTION
+    // ============================================
+    // Resolves which microserver a request belongs to. Works on plain
+    // http.IncomingMessage too, so WebSocket upgrades (which never reach
+    // Express) are routed with exactly the same rules.
+    function resolveTarget(req) {
+
+        // Extract domain without port
+        const fullHost = req.headers.host || 'localhost';
+        const domain = fullHost.split(':')[0];
+
+        // A basePath prefix wins, then domains: exact > wildcard > regex > default
+        const mount = matchBasePath(basePaths, req.url);
+        const match = mount
+            ? { serverName: mount.serverName, type: 'basePath', pattern: mount.basePath, subdomain: null, captures: [] }
+            : domainMatcher.match(domain);
+
+        // Strip the prefix: the microserver sees the same URLs as on its own domain
+        let url = req.url;
+
+        if (mount) {
+            url = url.slice(mount.basePath.length) || '/';
+
+            if (url.startsWith('?')) {
+                url = `/${url}`;
+            }
+        }
+
+        return {
+            serverName: match.serverName,
+            serverConfig: config.servers.find(s => s.name === match.serverName),
+            basePath: mount ? mount.basePath : null,
+            url,
+            fullHost,
+            domain,
+            match
+        };
+    }
+
+
+    // ============================================
+    // GLOBAL REDIRECTS AND REWRITES
+    // ============================================
+    // Run before target resolution on the full URL, so a global rewrite
+    // can send a request to another microserver (e.g. into a basePath)
+    app.use((req, res, next) => {
+
+        const domain = (req.headers.host || 'localhost').split(':')[0];
+
+        if (applyRules(routingRules.global, req, res, { domain })) {
+            return;
+        }
+
+        next();
+    });
+
 
     // ============================================
     // DOMAIN DETECTION MIDDLEWARE
@@ -97,34 +214,70 @@ export function setupDomainRouting(app) {
     // This middleware runs on each request to determine which microserver should handle the request
     app.use((req, res, next) => {
 
-        // Extract domain without port
-        const fullHost = req.get('host') || req.headers.host || 'localhost';
-        const domain = fullHost.split(':')[0];
+        const target = resolveTarget(req);
+        const { fullHost, domain, match } = target;
+
+        req.targetModule = target.serverName;
 
-        // Determine which microserver should handle this request
-        req.targetModule = domainMap[domain] || domainMap['default'];
+        // (req.originalUrl keeps the full URL when a basePath prefix was stripped)
+        if (target.basePath) {
+            req.basePath = target.basePath;
+            req.url = target.url;
+        }
 
         // Find complete server configuration
-        req.serverConfig = config.servers.find(s => s.name === req.targetModule);
+        req.serverConfig = target.serverConfig;
 
         // Add debug information to request for troubleshooting
         req.routingInfo = {
             fullHost,
             domain,
             targetModule: req.targetModule,
-            availableDomains: Object.keys(domainMap).filter(d => d !== 'default'),
+            availableDomains: config.servers.flatMap(s => s.domains),
+            matchType: match.type,
+            matchedPattern: match.pattern,
+            subdomain: match.subdomain,
+            captures: match.captures,
+            basePath: req.basePath || null,
             serverDescription: req.serverConfig?.description,
             serverId: req.serverConfig?.id,
             serverFeatures: req.serverConfig?.server.features
         };
 
         // Routing log for debugging
-        console.log(`[ROUTING] ${fullHost} (${domain}) â†' ${req.targetModule} (${req.serverConfig?.description})`);
+        console.log(`[ROUTING] ${fullHost} (${domain}) → ${req.targetModule} [${match.type}] (${req.serverConfig?.description})`);
+
+        // Server redirects and rewrites, relative to the microserver (basePath stripped)
+        const serverRules = routingRules.servers.get(req.targetModule);
+
+        if (serverRules && applyRules(serverRules, req, res, { domain, prefix: req.basePath })) {
+            return;
+        }
 
         next();
     });
 
 
+    // ============================================
+    // ROUTING GATES
+    // ============================================
+    // Per-microserver checks that may answer instead of the microserver
+    // (maintenance mode...), in the order given
+    (options.gates || []).forEach(gate => app.use(gate));
+
+
+    // ============================================
+    // PREFIXED STATIC ASSETS
+    // ============================================
+    // The global express.static('dist') runs before routing and only sees
+    // unprefixed URLs. Requests mounted under a basePath are served from
+    // dist again here, after the prefix has been stripped.
+    // Proxy microservers serve their own assets from the upstream.
+    const serveDist = express.static('dist');
+
+    app.use((req, res, next) => req.basePath && req.serverConfig?.server.type !== 'proxy' ? serveDist(req, res, next) : next());
+
+
     // ============================================
     // SPA ROUTING CATCHALL
     // ============================================
@@ -140,7 +293,17 @@ export function setupDomainRouting(app) {
 
         if (!serverConfig) {
             console.error(`[ROUTING] CRITICAL: No configuration found for module: ${req.targetModule}`);
-            return res.status(500).send('Server configuration error - microserver not found');
+            return sendErrorResponse(req, res, 500, { message: 'Server configuration error - microserver not found' });
+        }
+
+        // Proxy microservers have no SPA: everything goes to the upstream
+        if (serverConfig.server.type === 'proxy') {
+            return next();
+        }
+
+        // Socket.IO of isolated microservers runs in their child: polling goes to the proxy
+        if (serverConfig.server.isolation && serverConfig.server.features?.socketio && req.url.startsWith('/socket.io/')) {
+            return next();
         }
 
         // Check if this route should skip the SPA catchall
@@ -166,7 +329,7 @@ export function setupDomainRouting(app) {
         // Verify that the file exists
         if (!fs.existsSync(fullHtmlPath)) {
             console.error(`[ROUTING] ERROR: HTML file not found: ${fullHtmlPath}`);
-            return res.status(404).send(`HTML file not found for microserver: ${req.targetModule}`);
+            return sendErrorResponse(req, res, 404, { message: `HTML file not found for microserver: ${req.targetModule}` });
         }
 
         // Serve the microserver HTML file
@@ -178,7 +341,7 @@ export function setupDomainRouting(app) {
     // ============================================
     // RETURN CONFIGURATION FOR OTHER MODULES
     // ============================================
-    // Return configuration so other modules can use it
-    // This allows server.js to access configuration for dynamic setup
-    return config;
+    // Return configuration so other modules can use it, and the resolver
+    // so non-Express traffic (WebSocket upgrades) can be routed the same way
+    return { config, resolveTarget };
 }
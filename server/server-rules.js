@@ -0,0 +1,293 @@
+// ============================================
+// server/server-rules.js - Declarative Redirects and Rewrites
+// ============================================
+// Compiles the `redirects` and `rewrites` arrays of servers.config.json
+// (global and per server) and applies them to requests.
+//
+//   "redirects": [
+//     { "source": "/blog/:slug", "destination": "/posts/:slug", "status": 301 },
+//     { "host": "www.*", "destination": "https://$1", "preservePath": true, "status": 308 }
+//   ],
+//   "rewrites": [
+//     { "source": "/docs/*", "destination": "/help/:splat" }
+//   ]
+//
+// source       Path pattern: "/blog/:slug" (named segment), "/docs/*" (rest of
+//              the path, available as :splat) or a regex written "/^...$/flags"
+//              ("g" and "y" are dropped, see server-domain-matcher.js)
+// host         Optional domain pattern, same syntax as `domains`
+// destination  Target URL. :name is replaced by named segments, $1..$n by the
+//              captures of host then source, in that order
+// status       301, 302, 307 or 308 (redirects only, default 301)
+// preservePath Append the original path and query to the destination
+//
+// The query string is kept unless the destination sets its own.
+// First matching rule wins; rewrites are internal (req.url changes, no redirect).
+// ============================================
+
+import { getDomainPatternType, compileDomainPattern, compileRegexLiteral } from './server-domain-matcher.js';
+
+export const REDIRECT_STATUSES = [301, 302, 307, 308];
+const DEFAULT_REDIRECT_STATUS = 301;
+
+
+/**
+ * Tells whether a source is a regex ("/^...$/flags") rather than a path pattern
+ *
+ * @param {string} source - Rule source
+ * @returns {boolean} True for regex sources
+ */
+export function isRegexSource(source) {
+
+    return source.startsWith('/^') && /\/[a-z]*$/.test(source) && source.lastIndexOf('/') > 1;
+}
+
+
+/**
+ * Compiles a rule source into a RegExp
+ *
+ * @param {string} source - Path pattern or regex source
+ * @param {Object} options
+ * @param {boolean} options.ignoreCase - Match any letter case, like Express routes (default: false)
+ * @returns {Object} { regex, keys } - keys are the names of the capture groups
+ * @throws {Error} If the regex is invalid
+ */
+export function compileSourcePattern(source, { ignoreCase = false } = {}) {
+
+    if (isRegexSource(source)) {
+
+        const regex = compileRegexLiteral(source);
+
+        return { regex: ignoreCase && !regex.ignoreCase ? new RegExp(regex.source, `${regex.flags}i`) : regex, keys: [] };
+    }
+
+    const keys = [];
+
+    const pattern = source
+        .split('/')
+        .map(segment => {
+
+            if (segment === '*') {
+                keys.push('splat');
+                return '(.*)';
+            }
+
+            if (segment.startsWith(':')) {
+                keys.push(segment.slice(1));
+                return '([^/]+)';
+            }
+
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+
+    // "/docs/*" also matches "/docs", a trailing slash is optional
+    return { regex: new RegExp(`^${pattern.replace(/\/\(\.\*\)$/, '(?:/(.*))?')}/?$`, ignoreCase ? 'i' : ''), keys };
+}
+
+
+/**
+ * Compiles a single rule
+ *
+ * @param {Object} rule - Rule from servers.config.json
+ * @param {'redirect'|'rewrite'} kind - Rule kind
+ * @returns {Object} Compiled rule
+ */
+function compileRule(rule, kind) {
+
+    const compiled = {
+        kind,
+        source: rule.source || null,
+        host: rule.host || null,
+        destination: rule.destination,
+        preservePath: rule.preservePath === true,
+        status: kind === 'redirect' ? (rule.status || DEFAULT_REDIRECT_STATUS) : null,
+        path: rule.source ? compileSourcePattern(rule.source) : null,
+        hostRegex: null
+    };
+
+    if (rule.host && getDomainPatternType(rule.host) !== 'exact') {
+        compiled.hostRegex = compileDomainPattern(rule.host);
+    }
+
+    return compiled;
+}
+
+
+/**
+ * Compiles the redirects and rewrites of a config block
+ *
+ * @param {Object} block - `global` or a server entry
+ * @returns {Object} { redirects, rewrites }
+ */
+export function compileRules(block = {}) {
+
+    return {
+        redirects: (block.redirects || []).map(rule => compileRule(rule, 'redirect')),
+        rewrites: (block.rewrites || []).map(rule => compileRule(rule, 'rewrite'))
+    };
+}
+
+
+/**
+ * Matches a compiled rule against a host and URL
+ *
+ * @param {Object} rule - Compiled rule
+ * @param {string} domain - Request domain (host without port)
+ * @param {string} pathname - Request path without query
+ * @returns {Object|null} { params, captures } or null
+ */
+function matchRule(rule, domain, pathname) {
+
+    let captures = [];
+    const params = {};
+
+    if (rule.host) {
+
+        if (rule.hostRegex) {
+
+            const hostMatch = rule.hostRegex.exec(domain);
+
+            if (!hostMatch) {
+                return null;
+            }
+
+            captures = hostMatch.slice(1);
+
+        } else if (rule.host.toLowerCase() !== domain.toLowerCase()) {
+
+            return null;
+        }
+    }
+
+    if (rule.path) {
+
+        const pathMatch = rule.path.regex.exec(pathname);
+
+        if (!pathMatch) {
+            return null;
+        }
+
+        pathMatch.slice(1).forEach((value, index) => {
+
+            const key = rule.path.keys[index];
+
+            if (key) {
+                params[key] = value ?? '';
+            }
+        });
+
+        Object.assign(params, pathMatch.groups);
+        captures = captures.concat(pathMatch.slice(1));
+    }
+
+    return { params, captures };
+}
+
+
+/**
+ * Builds the destination URL of a matched rule
+ *
+ * @param {Object} rule - Compiled rule
+ * @param {Object} result - { params, captures } from matchRule
+ * @param {string} url - Original request URL (path and query)
+ * @returns {string} Destination URL
+ */
+function buildDestination(rule, result, url) {
+
+    let destination = rule.destination
+        .replace(/\$(\d+)/g, (token, index) => result.captures[index - 1] ?? '')
+        .replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (token, name) => name in result.params ? result.params[name] : token);
+
+    if (rule.preservePath) {
+
+        return `${destination.replace(/\/$/, '')}${url}`;
+    }
+
+    const queryIndex = url.indexOf('?');
+
+    if (queryIndex !== -1 && !destination.includes('?')) {
+        destination += url.slice(queryIndex);
+    }
+
+    return destination;
+}
+
+
+/**
+ * Applies rules to a request
+ *
+ * Redirects are answered directly; the first matching rewrite replaces req.url.
+ *
+ * @param {Object} rules - Compiled { redirects, rewrites }
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @param {Object} options - { domain, prefix } - prefix is prepended to local redirect targets (basePath)
+ * @returns {boolean} True if the request was redirected
+ */
+export function applyRules(rules, req, res, options = {}) {
+
+    const pathname = req.url.split('?')[0];
+
+    for (const rule of rules.redirects) {
+
+        const result = matchRule(rule, options.domain, pathname);
+
+        if (result) {
+
+            let location = buildDestination(rule, result, req.url);
+
+            if (options.prefix && location.startsWith('/')) {
+                location = `${options.prefix}${location}`;
+            }
+
+            console.log(`[ROUTING] Redirect ${rule.status}: ${options.domain}${req.originalUrl} → ${location}`);
+
+            res.redirect(rule.status, location);
+            return true;
+        }
+    }
+
+    for (const rule of rules.rewrites) {
+
+        const result = matchRule(rule, options.domain, pathname);
+
+        if (result) {
+
+            const url = buildDestination(rule, result, req.url);
+
+            console.log(`[ROUTING] Rewrite: ${req.url} → ${url}`);
+
+            req.url = url;
+            break;
+        }
+    }
+
+    return false;
+}
+
+
+/**
+ * Lists the configured rules for debugging (/api/config)
+ *
+ * @param {Object} config - Active configuration
+ * @returns {Object} { global, servers } with the raw rules of each block
+ */
+export function listRules(config) {
+
+    const describe = (block = {}) => ({
+        redirects: block.redirects || [],
+        rewrites: block.rewrites || []
+    });
+
+    const servers = {};
+
+    config.servers.forEach(server => {
+
+        if (server.redirects || server.rewrites) {
+            servers[server.name] = describe(server);
+        }
+    });
+
+    return { global: describe(config.global), servers };
+}
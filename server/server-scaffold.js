@@ -0,0 +1,292 @@
+// ============================================
+// server/server-scaffold.js - New Microserver Scaffolding
+// ============================================
+// Backs `node multihost.js new <name> --domain <domain>`:
+//
+//   server/<N>-<name>-server/server-<name>.js   setup<Name>(app, server, options)
+//   src/<N>-<name>-src/main.jsx                 React entry
+//   src/<N>-<name>-src/App-<Name>.jsx           React app
+//   public/<N>-<name>-public/index-<name>.html  HTML entry loading main.jsx
+//
+// <N> is the next free id. The new entry is validated together with the
+// existing configuration before anything is written, then appended to
+// servers.config.json, or written as server/<N>-<name>-server/microserver.json
+// when the manifest option is set (discovery, see server-discovery.js).
+// ============================================
+
+import path from 'path';
+import fs from 'fs';
+
+import { validateServerConfig, ConfigValidationError, PROJECT_ROOT } from './server-config-validator.js';
+import { interpolateConfig } from './server-config-interpolation.js';
+import { applyDiscovery, isDiscoveryEnabled, getConventionalPaths, toPascalCase, MANIFEST_FILE } from './server-discovery.js';
+
+// Lowercase, so that folder names, aliases (@name) and file names agree
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+
+// ============================================
+// FILE TEMPLATES
+// ============================================
+
+function serverTemplate(name, setupFunction) {
+
+    const tag = name.toUpperCase();
+
+    return `// ============================================
+// server-${name}.js - ${toPascalCase(name)} Microserver
+// ============================================
+// Scaffolded by \`node multihost.js new ${name}\`. The router given to the
+// setup function only receives requests for this microserver's domains.
+// ============================================
+
+export function ${setupFunction}(app, server, options = {}) {
+
+    const startedAt = Date.now();
+    let requestCount = 0;
+
+    app.get('/api/status', (req, res) => {
+
+        requestCount++;
+
+        res.json({
+            server: options.serverName,
+            status: 'ok',
+            uptime: Date.now() - startedAt,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    console.log('[${tag}] ${toPascalCase(name)} module initialised');
+
+    return {
+        cleanup: async () => {
+            console.log('[${tag}] ${toPascalCase(name)} module stopped');
+        },
+
+        getStats: () => ({
+            requests: requestCount,
+            uptime: Date.now() - startedAt
+        })
+    };
+}
+`;
+}
+
+
+function mainTemplate(name, paths) {
+
+    const appComponent = `App${toPascalCase(name)}`;
+
+    return `// ============================================
+// ${paths.src}/main.jsx - ${toPascalCase(name)} Entry Point
+// ============================================
+import React from 'react'
+import ReactDOM from 'react-dom/client'
+
+import ${appComponent} from './${paths.app}'
+
+ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+        <${appComponent} />
+    </React.StrictMode>
+)
+`;
+}
+
+
+function appTemplate(name) {
+
+    const appComponent = `App${toPascalCase(name)}`;
+
+    return `// ============================================
+// App-${toPascalCase(name)}.jsx - ${toPascalCase(name)} Application
+// ============================================
+import { useEffect, useState } from 'react'
+
+export default function ${appComponent}() {
+
+    const [status, setStatus] = useState('checking...')
+
+    useEffect(() => {
+
+        fetch('/api/status')
+            .then(response => response.json())
+            .then(data => setStatus(data.status))
+            .catch(() => setStatus('unreachable'))
+    }, [])
+
+    return (
+        <main>
+            <h1>${toPascalCase(name)}</h1>
+            <p>Backend status: {status}</p>
+        </main>
+    )
+}
+`;
+}
+
+
+function htmlTemplate(name, paths, description) {
+
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <link rel="icon" type="image/png" href="/favicon.ico" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta name="description" content="${description.replace(/"/g, '&quot;')}" />
+    <title>${toPascalCase(name)}</title>
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="../../src/${paths.src}/${paths.main}"></script>
+  </body>
+</html>
+`;
+}
+
+
+// ============================================
+// SCAFFOLDING
+// ============================================
+
+/**
+ * Builds the servers.config.json entry of a new microserver
+ *
+ * @param {Object} options - { id, name, domains, description }
+ * @returns {Object} Server entry
+ */
+export function buildServerEntry({ id, name, domains, description }) {
+
+    return {
+        id,
+        name,
+        description,
+        domains,
+        paths: getConventionalPaths(id, name),
+        server: {
+            setupFunction: `setup${toPascalCase(name)}`,
+            file: `server-${name}.js`,
+            routes: ['/api/status'],
+            skipSPA: ['/assets/', '/api/'],
+            features: {
+                socketio: false,
+                cors: false
+            }
+        },
+        database: null
+    };
+}
+
+
+/**
+ * Scaffolds a microserver and registers it
+ *
+ * Nothing is written when the name, the folders or the resulting
+ * configuration are not valid.
+ *
+ * @param {Object} options - Scaffolding options
+ * @param {string} options.name - Microserver name (lowercase, URL-safe)
+ * @param {Array<string>} options.domains - Domains it answers
+ * @param {string} options.description - Description (default: "<Name> microserver")
+ * @param {boolean} options.manifest - Write a microserver.json manifest instead of editing the config
+ * @param {string} options.configPath - servers.config.json to read and update
+ * @param {string} options.rootDir - Project root (default: PROJECT_ROOT)
+ * @param {Object} options.env - Environment for ${VAR} references
+ * @returns {{ serverConfig: Object, files: Array<string>, registeredIn: string }}
+ *          files relative to rootDir; registeredIn is the config path or the manifest
+ * @throws {ConfigValidationError} If the entry does not fit the configuration
+ * @throws {Error} If the name is invalid or taken, or a folder already exists
+ */
+export function scaffoldMicroserver(options) {
+
+    const rootDir = options.rootDir || PROJECT_ROOT;
+    const { name, domains = [] } = options;
+
+    if (!NAME_PATTERN.test(name || '')) {
+        throw new Error(`Invalid name ${JSON.stringify(name)}: use lowercase letters, numbers and "-", starting with a letter`);
+    }
+
+    if (domains.length === 0) {
+        throw new Error('At least one --domain is required');
+    }
+
+    const fileConfig = JSON.parse(fs.readFileSync(options.configPath, 'utf8'));
+
+    if (options.manifest && !isDiscoveryEnabled(fileConfig)) {
+        throw new Error(`Manifests are only loaded with "global": { "discovery": true } in ${options.configPath}`);
+    }
+
+    const { config: currentConfig } = applyDiscovery(fileConfig, rootDir);
+    const servers = Array.isArray(currentConfig.servers) ? currentConfig.servers : [];
+
+    if (servers.some(serverConfig => serverConfig?.name === name)) {
+        throw new Error(`A microserver named '${name}' already exists`);
+    }
+
+    const id = Math.max(0, ...servers.map(serverConfig => Number.isInteger(serverConfig?.id) ? serverConfig.id : 0)) + 1;
+
+    const serverConfig = buildServerEntry({
+        id,
+        name,
+        domains,
+        description: options.description || `${toPascalCase(name)} microserver`
+    });
+
+    const { paths } = serverConfig;
+
+    const files = {
+        [`server/${paths.server}/${serverConfig.server.file}`]: serverTemplate(name, serverConfig.server.setupFunction),
+        [`src/${paths.src}/${paths.main}`]: mainTemplate(name, paths),
+        [`src/${paths.src}/${paths.app}`]: appTemplate(name),
+        [`public/${paths.public}/${paths.html}`]: htmlTemplate(name, paths, serverConfig.description)
+    };
+
+    const folders = [`server/${paths.server}`, `src/${paths.src}`, `public/${paths.public}`];
+    const existing = folders.filter(folder => fs.existsSync(path.join(rootDir, folder)));
+
+    if (existing.length > 0) {
+        throw new Error(`Already exists: ${existing.join(', ')}`);
+    }
+
+
+    // Validate the configuration as it will be loaded, files aside (not written yet)
+    const { config, errors: referenceErrors } = interpolateConfig({ ...currentConfig, servers: [...servers, serverConfig] }, {
+        env: options.env,
+        baseDir: path.dirname(options.configPath)
+    });
+
+    const errors = referenceErrors.length > 0 ? referenceErrors : validateServerConfig(config, { checkFiles: false, rootDir });
+
+    if (errors.length > 0) {
+        throw new ConfigValidationError(errors, options.configPath);
+    }
+
+
+    Object.entries(files).forEach(([file, content]) => {
+
+        fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, file), content);
+    });
+
+    if (options.manifest) {
+
+        // id and paths follow from the folder name
+        const manifest = { ...serverConfig };
+        const manifestPath = `server/${paths.server}/${MANIFEST_FILE}`;
+
+        delete manifest.id;
+        delete manifest.paths;
+
+        fs.writeFileSync(path.join(rootDir, manifestPath), `${JSON.stringify(manifest, null, 2)}\n`);
+
+        return { serverConfig, files: [...Object.keys(files), manifestPath], registeredIn: manifestPath };
+    }
+
+    // Appended to the file as written: ${VAR} references stay unresolved
+    fileConfig.servers.push(serverConfig);
+    fs.writeFileSync(options.configPath, JSON.stringify(fileConfig, null, 2));
+
+    return { serverConfig, files: Object.keys(files), registeredIn: options.configPath };
+}
@@ -0,0 +1,115 @@
+// ============================================
+// server/server-submodules.js - Submodule Attachments
+// ============================================
+// A submodule attaches an API module to a microserver, or to another
+// submodule:
+//
+//   "submodules": [
+//     {
+//       "name": "blog",
+//       "setupFunction": "setupBlog",
+//       "file": "server-blog.js",
+//       "paths": { "server": "shared-modules" },   // default: the parent's directory
+//       "mountPath": "/blog",                      // its routes answer under /blog
+//       "features": { "cors": true },
+//       "settings": { "postsPerPage": 10 },        // free-form, for the module itself
+//       "key": "main-blog",                        // default: <parent key>-<name>
+//       "submodules": [ ... ]                      // nested, attached to this one
+//     }
+//   ]
+//
+// The instance key names an attachment everywhere: registry, stats,
+// dependsOn, admin API and service registry. The same module file can so
+// be attached several times, to different microservers or under different
+// names, each with its own configuration and lifecycle.
+//
+// Nested submodules inherit their parent's directory and mount path:
+// "/comments" under "/blog" answers under /blog/comments.
+// ============================================
+
+
+/**
+ * Instance key of a submodule attachment
+ *
+ * @param {string} parentKey - Registry key of the parent (microserver name or submodule key)
+ * @param {Object} submodule - Submodule entry
+ * @returns {string} submodule.key, or '<parentKey>-<name>'
+ */
+export function getSubmoduleKey(parentKey, submodule) {
+
+    return typeof submodule.key === 'string' && submodule.key.length > 0 ? submodule.key : `${parentKey}-${submodule.name}`;
+}
+
+
+/**
+ * Flattens the submodule tree of a microserver, parents before children
+ *
+ * Entries that are not objects (invalid configurations) are skipped.
+ *
+ * @param {Object} serverConfig - Configuration of a microserver
+ * @returns {Array<Object>} Attachments:
+ *          { key, config, parentKey, root, serverPath, mountPath, jsonPath }
+ *          root is the microserver name, serverPath the directory (relative to
+ *          server/) of the submodule file, mountPath the full prefix or null,
+ *          jsonPath the entry's path from the microserver entry
+ */
+export function listSubmodules(serverConfig) {
+
+    const attachments = [];
+
+    const visit = (submodules, parent, jsonPath) => {
+
+        if (!Array.isArray(submodules)) {
+            return;
+        }
+
+        submodules.forEach((submodule, index) => {
+
+            if (submodule === null || typeof submodule !== 'object' || Array.isArray(submodule)) {
+                return;
+            }
+
+            const attachment = {
+                key: getSubmoduleKey(parent.key, submodule),
+                config: submodule,
+                parentKey: parent.key,
+                root: serverConfig.name,
+                serverPath: typeof submodule.paths?.server === 'string' ? submodule.paths.server : parent.serverPath,
+                mountPath: `${parent.mountPath || ''}${typeof submodule.mountPath === 'string' ? submodule.mountPath : ''}` || null,
+                jsonPath: `${jsonPath}[${index}]`
+            };
+
+            attachments.push(attachment);
+            visit(submodule.submodules, attachment, `${attachment.jsonPath}.submodules`);
+        });
+    };
+
+    visit(serverConfig.server?.submodules, { key: serverConfig.name, serverPath: serverConfig.paths?.server, mountPath: null }, 'server.submodules');
+
+    return attachments;
+}
+
+
+/**
+ * Tells whether an attachment sits below another instance
+ *
+ * @param {Map<string, Object>} instances - Registry key → entry with parent
+ * @param {string} key - Registry key of the possible descendant
+ * @param {string} ancestor - Registry key of the possible ancestor
+ * @returns {boolean} True if ancestor is its parent, grandparent...
+ */
+export function isDescendantOf(instances, key, ancestor) {
+
+    let parent = instances.get(key)?.parent;
+
+    while (parent) {
+
+        if (parent === ancestor) {
+            return true;
+        }
+
+        parent = instances.get(parent)?.parent;
+    }
+
+    return false;
+}
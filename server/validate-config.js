@@ -0,0 +1,68 @@
+// ============================================
+// server/validate-config.js - Standalone servers.config.json Check
+// ============================================
+// Usage:
+//   node server/validate-config.js [path/to/servers.config.json]
+//   node server/validate-config.js --config path/to/servers.config.json
+//   node server/validate-config.js --env production [--print]
+//   npm run validate:config
+//
+// Without a path, the same file the multihost would load is checked
+// (MULTIHOST_CONFIG, then /etc/secrets/servers.config.json, then ./servers.config.json).
+// Overlays of the environment (--env, MULTIHOST_ENV, then NODE_ENV) are
+// merged first; the values they set are listed with their overlay.
+// ${VAR} references are resolved against the environment and .env.
+// --print outputs the merged configuration, ${VAR} and "$file" unresolved.
+// Exits with code 1 and lists every problem when the config is invalid.
+// ============================================
+
+import 'dotenv/config';
+import path from 'path';
+
+import { resolveConfigPath, loadServerConfig, getConfigSource } from './server-config.js';
+import { ConfigValidationError } from './server-config-validator.js';
+
+
+const argument = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : null;
+const shouldPrint = process.argv.includes('--print');
+const configPath = argument ? path.resolve(argument) : resolveConfigPath();
+
+console.log(`[VALIDATE CONFIG] Checking ${configPath}...`);
+
+try {
+
+    const config = loadServerConfig(configPath);
+
+    const { raw, references, discovered, environment } = getConfigSource(config);
+
+    console.log(`[VALIDATE CONFIG] ✅ Configuration is valid: ${config.servers.length} servers, default '${config.default.serverName}'`);
+
+    console.log(`[VALIDATE CONFIG]   Environment '${environment.name}': ${environment.overlays.length > 0 ? environment.overlays.join(' + ') : 'no overlays'}`);
+
+    environment.sources.forEach(entry =>
+        console.log(`[VALIDATE CONFIG]   ${entry.path}: from ${entry.source}`));
+
+    discovered.forEach(entry =>
+        console.log(`[VALIDATE CONFIG]   ${entry.name}: discovered from ${entry.manifestPath}`));
+
+    references.forEach(reference =>
+        console.log(`[VALIDATE CONFIG]   ${reference.path}: ${reference.type === 'env' ? `\${${reference.name}}${reference.defaulted ? ' (default)' : ''}` : `$file ${reference.name}`}`));
+
+    if (shouldPrint) {
+        console.log(JSON.stringify(raw, null, 2));
+    }
+
+} catch (error) {
+
+    if (error instanceof ConfigValidationError) {
+
+        console.error(`[VALIDATE CONFIG] ❌ ${error.errors.length} problem(s) found:`);
+        error.errors.forEach(problem => console.error(`[VALIDATE CONFIG]   ${problem.path}: ${problem.message}`));
+
+    } else {
+
+        console.error(`[VALIDATE CONFIG] ❌ ${error.message}`);
+    }
+
+    process.exit(1);
+}
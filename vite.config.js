@@ -10,29 +10,34 @@ import react from '@vitejs/plugin-react'
 import fs from 'fs'
 import path from 'path'
 
+import 'dotenv/config'
+
+import { resolveConfigPath, loadServerConfig } from './server/server-config.js'
+
 // ============================================
 // LOAD CONFIGURATION
 // ============================================
+// Same loader, ${VAR} / "$file" resolution and validation as the multihost
+// (server/server-config.js). Vite owns the --config flag, so only the
+// MULTIHOST_CONFIG variable can point to another servers.config.json here.
 let config;
 try {
-  const configPath = fs.existsSync('/etc/secrets/servers.config.json')
-  ? '/etc/secrets/servers.config.json'
-  : './servers.config.json';
-
-  const configData = fs.readFileSync(configPath, 'utf8');
-  config = JSON.parse(configData);
+  config = loadServerConfig(resolveConfigPath({ argv: [] }));
   console.log(`[VITE] Loaded config: ${config.servers.length} servers`);
 } catch (error) {
   console.error('[VITE] Failed to load servers.config.json:', error.message);
   process.exit(1);
 }
 
+// Proxy servers (server.type "proxy") have no frontend to build
+const frontendServers = config.servers.filter(server => server.server.type !== 'proxy');
+
 // ============================================
 // BUILD INPUTS - One HTML per server
 // ============================================
 const buildInputs = {};
 
-config.servers.forEach(server => {
+frontendServers.forEach(server => {
   const htmlPath = `./public/${server.paths.public}/${server.paths.html}`;
 
   if (fs.existsSync(htmlPath)) {
@@ -44,6 +49,22 @@ config.servers.forEach(server => {
 
 console.log('[VITE] Build inputs:', Object.keys(buildInputs));
 
+// ============================================
+// BASE PATHS - Servers mounted under a path prefix
+// ============================================
+// A server with "basePath" is served under that prefix by the multihost
+// (server-routing.js strips it), so its HTML must reference assets under
+// the same prefix. Key: HTML file relative to the project root.
+const basePathsByHtml = {};
+
+frontendServers.forEach(server => {
+  if (server.basePath) {
+    basePathsByHtml[`public/${server.paths.public}/${server.paths.html}`] = server.basePath;
+  }
+});
+
+const hasBasePaths = Object.keys(basePathsByHtml).length > 0;
+
 // ============================================
 // DEV PROXIES
 // ============================================
@@ -54,7 +75,7 @@ config.global.dev.proxies.forEach(proxy => {
 });
 
 // Add server-specific routes
-config.servers.forEach(server => {
+frontendServers.forEach(server => {
   server.server.routes.forEach(route => {
     if (!devProxies[route]) {
       devProxies[route] = config.global.dev.proxies[0].target;
@@ -67,7 +88,7 @@ config.servers.forEach(server => {
 // ============================================
 const aliases = { ...config.global.aliases };
 
-config.servers.forEach(server => {
+frontendServers.forEach(server => {
   aliases[`@${server.name}`] = path.resolve(process.cwd(), `./src/${server.paths.src}`);
 });
 
@@ -83,7 +104,7 @@ export default defineConfig({
                               name: 'handle-static-assets',
                               configureServer(server) {
                                 // Serve static files during development - dynamically from config
-                                config.servers.forEach(serverConfig => {
+                                frontendServers.forEach(serverConfig => {
                                   server.middlewares.use(`/${serverConfig.paths.public}`, (req, res, next) => {
                                     req.url = req.url.replace(`/${serverConfig.paths.public}`, `/public/${serverConfig.paths.public}`);
                                     next();
@@ -93,7 +114,7 @@ export default defineConfig({
 
                               resolveId(id) {
                                 // Resolve static asset imports - check all servers from config
-                                for (const serverConfig of config.servers) {
+                                for (const serverConfig of frontendServers) {
                                   if (id.startsWith(`/${serverConfig.paths.public}/`)) {
                                     const assetPath = path.resolve(process.cwd(), `public${id}`);
                                     if (fs.existsSync(assetPath)) {
@@ -114,7 +135,7 @@ export default defineConfig({
 
                               async generateBundle(options, bundle) {
                                 // Copy static assets to dist - dynamically from config
-                                for (const serverConfig of config.servers) {
+                                for (const serverConfig of frontendServers) {
                                   const sourceDir = path.join('public', serverConfig.paths.public);
                                   const targetDir = path.join('dist', 'public', serverConfig.paths.public);
 
@@ -153,11 +174,12 @@ export default defineConfig({
       REACT_APP_SHELL_URI: JSON.stringify(process.env.REACT_APP_SHELL_URI),
                             VITE_SHELL_URI: JSON.stringify(process.env.VITE_SHELL_URI),
                             MICROSERVERS_CONFIG: JSON.stringify({
-                              servers: config.servers.map(s => ({
+                              servers: frontendServers.map(s => ({
                                 name: s.name,
                                 domains: s.domains,
                                 features: s.server.features,
-                                paths: s.paths
+                                paths: s.paths,
+                                basePath: s.basePath || ''
                               })),
                               default: config.default
                             })
@@ -195,6 +217,21 @@ export default defineConfig({
     alias: aliases
   },
 
+  // Per-server base: HTML of a basePath server gets prefixed asset URLs,
+  // JS-imported assets use relative URLs so shared chunks work under any prefix
+  experimental: hasBasePaths ? {
+    renderBuiltUrl(filename, { hostId, hostType }) {
+      if (hostType === 'html') {
+        const basePath = basePathsByHtml[hostId] || '';
+        return `${basePath}/${filename}`;
+      }
+      if (hostType === 'js') {
+        return { relative: true };
+      }
+      return undefined;
+    }
+  } : undefined,
+
   // Disable publicDir to prevent automatic copying
   publicDir: false
 });